@@ -153,6 +153,45 @@ function toStableStateEntries(state) {
   return entries;
 }
 
+function toMergedStateEntries(state, entityId) {
+  const registry = state?.entity_registry || {};
+  const owners = [entityId];
+  const visited = new Set(owners);
+  for (let i = 0; i < owners.length; i += 1) {
+    for (const parent of registry[owners[i]]?.member_of || []) {
+      if (!visited.has(parent)) {
+        visited.add(parent);
+        owners.push(parent);
+      }
+    }
+  }
+  const merged = new Map();
+  const entries = toStableStateEntries(state);
+  for (const ownerId of owners) {
+    for (const entry of entries.filter((item) => item.entity_id === ownerId)) {
+      const key = `${entry.domain}.${entry.field}`;
+      if (!merged.has(key)) {
+        merged.set(key, { ...entry, entity_id: entityId, inherited_from: ownerId === entityId ? "" : ownerId });
+      }
+    }
+  }
+  return Array.from(merged.values()).sort((a, b) => (
+    a.domain.localeCompare(b.domain) || a.field.localeCompare(b.field)
+  ));
+}
+
+function toScheduledEntries(state) {
+  const entries = [];
+  for (const [entityId, domains] of Object.entries(state?.scheduled_facts || {})) {
+    for (const [domain, fields] of Object.entries(domains || {})) {
+      for (const [field, fact] of Object.entries(fields || {})) {
+        entries.push({ entity_id: entityId, domain, field, fact: fact || {} });
+      }
+    }
+  }
+  return entries.sort((a, b) => String(a.fact.valid_from).localeCompare(String(b.fact.valid_from)));
+}
+
 function sortPending(pendingConfirmations) {
   return Object.values(pendingConfirmations || {})
     .filter(Boolean)
@@ -552,7 +591,7 @@ function buildInboundObservation(params) {
   }
 
   const refId = inboundMessageId || eventId.slice(0, 12);
-  return {
+  const observation = {
     event_id: eventId,
     event_ts: coerceIsoTimestamp(event?.timestamp),
     domain,
@@ -574,6 +613,33 @@ function buildInboundObservation(params) {
       fallback_reason: String(intentInfo.fallback_reason || "")
     }
   };
+  // Dates in the message ("Sunday", "tomorrow at 3pm") resolve against the message time.
+  if (rootDir && typeof stateApi.attachTemporalInfo === "function") {
+    try {
+      stateApi.attachTemporalInfo(rootDir, observation);
+    } catch (_error) {
+      observation.meta.temporal_error = "bridge_temporal_parse_error";
+    }
+  }
+  return observation;
+}
+
+// Splits the message into one observation per extracted field ("We're in Tahoe. School is closed
+// tomorrow." -> travel.location, family.school_status). Messages without a recognizable field
+// keep the whole-message `<domain>.current_assertion` observation.
+function buildInboundObservations(params) {
+  const { stateApi, rootDir } = params;
+  const observation = buildInboundObservation(params);
+  if (!rootDir || typeof stateApi.extractFieldObservations !== "function") {
+    return [observation];
+  }
+  try {
+    const extracted = stateApi.extractFieldObservations(rootDir, observation);
+    return extracted.length > 0 ? extracted : [observation];
+  } catch (_error) {
+    observation.meta.extraction_error = "bridge_field_extraction_error";
+    return [observation];
+  }
 }
 
 function maybeApplyNaturalDecision(params) {
@@ -609,9 +675,13 @@ function buildCanonicalPrependContext(state, options = {}) {
   const reviewState = options.reviewState || {};
   const activePromptId = String(reviewState.active_prompt_id || "");
 
-  const entries = toStableStateEntries(state);
+  const mergedEntityId = String(options.mergedEntityId || "");
+  const entries = mergedEntityId ? toMergedStateEntries(state, mergedEntityId) : toStableStateEntries(state);
   const lines = [];
   lines.push("Canonical state snapshot (machine-managed, latest known truth):");
+  if (mergedEntityId) {
+    lines.push(`Merged view for ${mergedEntityId}: its own fields first, then fields inherited from its family/team.`);
+  }
 
   if (entries.length === 0) {
     lines.push("- No committed state fields yet.");
@@ -620,7 +690,7 @@ function buildCanonicalPrependContext(state, options = {}) {
     for (const entry of visible) {
       const record = entry.record || {};
       lines.push(
-        `- [${entry.entity_id}] ${entry.domain}.${entry.field} = ${summarizeValue(record.value)} (confidence=${record.confidence ?? "n/a"}, source=${record.source || "unknown"})`
+        `- [${entry.entity_id}] ${entry.domain}.${entry.field} = ${summarizeValue(record.value)} (confidence=${record.confidence ?? "n/a"}, source=${record.source || "unknown"}${entry.inherited_from ? `, inherited from ${entry.inherited_from}` : ""})`
       );
     }
     if (entries.length > visible.length) {
@@ -628,6 +698,17 @@ function buildCanonicalPrependContext(state, options = {}) {
     }
   }
 
+  const scheduled = toScheduledEntries(state);
+  if (scheduled.length > 0) {
+    lines.push("");
+    lines.push(`Scheduled (not yet current): ${scheduled.length}`);
+    for (const entry of scheduled.slice(0, maxFields)) {
+      lines.push(
+        `- [${entry.entity_id}] ${entry.domain}.${entry.field} = ${summarizeValue(entry.fact.value)} from ${entry.fact.valid_from}${entry.fact.valid_to ? ` until ${entry.fact.valid_to}` : ""}`
+      );
+    }
+  }
+
   if (includePending) {
     const pending = sortPending(state.pending_confirmations || {});
     lines.push("");
@@ -640,6 +721,18 @@ function buildCanonicalPrependContext(state, options = {}) {
     }
   }
 
+  const conflicts = Array.isArray(state.active_conflicts) ? state.active_conflicts : [];
+  if (conflicts.length > 0) {
+    lines.push("");
+    lines.push(`Unresolved conflicts: ${conflicts.length} (do not treat these fields as settled)`);
+    for (const conflict of conflicts.slice(0, maxFields)) {
+      const values = (conflict.values || [])
+        .map((candidate) => `${summarizeValue(candidate.value)} (${candidate.source || "unknown"})`)
+        .join(" vs ");
+      lines.push(`- [${conflict.entity_id}] ${conflict.domain}.${conflict.field}: ${values}`);
+    }
+  }
+
   lines.push("");
   lines.push("If chat context conflicts with this snapshot, prefer this snapshot.");
   return lines.join("\n");
@@ -793,6 +886,7 @@ function registerStateConsistencyBridge(api) {
     const prependContext = buildCanonicalPrependContext(state, {
       maxFields: Number(cfg.injectMaxFields || DEFAULT_INJECT_MAX_FIELDS),
       includePending: cfg.includePending !== false,
+      mergedEntityId: cfg.injectMergedView ? ingestEntityId : "",
       reviewState
     });
     if (!prependContext) {
@@ -861,7 +955,7 @@ function registerStateConsistencyBridge(api) {
       return;
     }
 
-    const observation = buildInboundObservation({
+    const observations = buildInboundObservations({
       event,
       ctx,
       stateApi,
@@ -869,10 +963,21 @@ function registerStateConsistencyBridge(api) {
       entityId: ingestEntityId,
       sourceType: ingestSourceType
     });
-    const ingestResult = stateApi.ingestObservation(rootDir, observation, { forceCommit: false });
+    // One lock and one save for every observation the message yielded.
+    let ingestResults;
+    try {
+      ingestResults = typeof stateApi.ingestObservationBatch === "function"
+        ? stateApi.ingestObservationBatch(rootDir, observations, { forceCommit: false }).results
+        : observations.map((observation) => stateApi.ingestObservation(rootDir, observation, { forceCommit: false }));
+    } catch (error) {
+      api.logger.warn?.(`state-consistency-bridge: inbound ingestion failed (${String(error.message || error)})`);
+      return;
+    }
 
-    if (ingestResult.status === "pending_confirmation" && ingestResult.prompt?.prompt_id) {
-      updateReviewState(rootDir, ingestResult.prompt.prompt_id);
+    for (const ingestResult of ingestResults) {
+      if (ingestResult.status === "pending_confirmation" && ingestResult.prompt?.prompt_id) {
+        updateReviewState(rootDir, ingestResult.prompt.prompt_id);
+      }
     }
 
     if (projectOnIngest && typeof stateApi.renderHeartbeatProjection === "function") {
@@ -942,6 +1047,7 @@ function registerStateConsistencyBridge(api) {
 module.exports = registerStateConsistencyBridge;
 module.exports._internal = {
   buildInboundObservation,
+  buildInboundObservations,
   buildCanonicalPrependContext,
   buildPromptButtons,
   buildPromptMessage,
@@ -4,27 +4,121 @@
 
 const crypto = require("crypto");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const { execFileSync } = require("child_process");
 
 const Ajv = require("ajv/dist/2020");
 const addFormats = require("ajv-formats");
 
-const MAX_PROCESSED_EVENT_IDS = 5000;
+const CURRENT_STATE_VERSION = 7;
 const MAX_TENTATIVE_OBSERVATIONS = 1000;
+const MAX_FIELD_HISTORY_VERSIONS = 20;
+const MAX_AUTO_SNAPSHOTS = 10;
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,79}$/;
+const ENTITY_ID_PATTERN = /^(user|family|team):[a-z0-9._-]+$/;
 const DEFAULT_ENTITY_ID = "user:primary";
 const DLQ_RETRY_SCHEDULE_MS = [60_000, 5 * 60_000, 30 * 60_000, 2 * 60 * 60_000];
 const DLQ_DEFAULT_MAX_RETRIES = DLQ_RETRY_SCHEDULE_MS.length + 1;
+const STORAGE_BACKENDS = ["file", "sqlite"];
+const STORAGE_STREAMS = ["changes", "dlq", "learning_events", "journal"];
+const DEDUP_COMPACT_MIN_LINES = 2000;
+const DEDUP_RETENTION_DEFAULTS = {
+  default: 30,
+  conversation_assertive: 30,
+  conversation_planning: 30,
+  email_poll: 90,
+  email_webhook: 90,
+  transactions_email: 180,
+  calendar_poll: "permanent",
+  calendar_webhook: "permanent",
+  static_markdown: "permanent",
+  manual_markdown: "permanent",
+  system_migration: "permanent",
+  legacy_processed_event_ids: "permanent"
+};
+// The journal is never rotated: it is the source of truth for rebuild and as-of queries.
+const ROTATED_STREAMS = ["changes", "learning_events", "dlq"];
+const LOG_ROTATION_DEFAULTS = {
+  max_bytes: 1024 * 1024,
+  max_age_days: 30,
+  keep_days: 7
+};
+// Evaluated in order; the first rule whose `match` (domain.field glob) fits decides.
+// `ttl_hours` counts from the field's last_update, `value_end` expires once value.end passes.
+// A field committed with a valid_to expires then whether or not a rule matches.
+const EXPIRY_RULE_DEFAULTS = [
+  { match: "*.calendar_event_*", value_end: true, grace_hours: 0 }
+];
+// Field catalog keys are domain.field globs; an exact key wins over a glob, otherwise the first
+// matching glob in declaration order applies. state-fields.json extends or overrides these.
+const FIELD_CATALOG_DEFAULTS = {
+  "travel.location": { type: "string" },
+  "financial.balance": { format: "currency_amount" }
+};
+const FIELD_VALUE_TYPES = ["string", "number", "integer", "boolean", "object", "array"];
+const FIELD_VALUE_FORMATS = {
+  date: "string",
+  "date-time": "string",
+  currency_amount: "number",
+  enum: null
+};
+// Built-in patterns mapping text to field values. The `value` group is the value; `proper_noun`
+// keeps its leading capitalized words ("Lake Tahoe" from "Lake Tahoe now") and `intent` applies
+// unless the sentence is conditional. `extract` entries in state-fields.json replace a field's list.
+const EXTRACTION_TRANSFORMS = ["proper_noun", "lowercase", "trim"];
+const EXTRACTION_NAME = String.raw`(?<value>[\w'.&-]+(?:\s+[\w'.&-]+){0,3})`;
+const FIELD_EXTRACTION_PATTERNS = {
+  "travel.location": [
+    {
+      pattern: new RegExp(String.raw`\b(?:we(?:'re| are)|i(?:'m| am)|staying|arrived|landed)\s+(?:(?:now|still|back|currently|safely)\s+)?(?:in|at)\s+${EXTRACTION_NAME}`, "i"),
+      transform: "proper_noun",
+      intent: "assertive"
+    },
+    {
+      pattern: new RegExp(String.raw`\b(?:leav(?:e|ing)\s+for|head(?:ed|ing)?\s+to|fly(?:ing)?\s+to|driv(?:e|ing)\s+to|going\s+to|trip\s+to|(?:will|'ll)\s+be\s+in)\s+${EXTRACTION_NAME}`, "i"),
+      transform: "proper_noun",
+      intent: "planning"
+    }
+  ],
+  "family.school_status": [
+    { pattern: /\bschools?\s+(?:is|are|was|were|will\s+be|has\s+been)\s+(?:still\s+)?(?<value>closed|open|cancell?ed|delayed)\b/i, transform: "lowercase" }
+  ],
+  "financial.balance": [
+    { pattern: /\bbalance\s+(?:is|of|was|at|:)\s*(?<value>[$€£]?\s?\d[\d,]*(?:\.\d{1,2})?)/i, transform: "trim" }
+  ],
+  "project.status": [
+    { pattern: /\bproject\s+(?:is|was)\s+(?:now\s+)?(?<value>on track|blocked|done|complete|delayed|at risk|paused)\b/i, transform: "lowercase" }
+  ],
+  "profile.name": [
+    { pattern: new RegExp(String.raw`\bmy name is\s+${EXTRACTION_NAME}`, "i"), transform: "proper_noun", intent: "assertive" }
+  ]
+};
+const STATE_LOCK_DEFAULTS = {
+  timeout_ms: 10_000,
+  stale_ms: 60_000,
+  poll_ms: 50
+};
 
+// Recency decay applied to an observation's age: linear to `floor` over `window_hours`,
+// exponential with `half_life_hours`, or step (the first step whose max_hours covers the age,
+// `floor` after the last). A domain's `by_source` map overrides the model per source type.
+const DECAY_MODELS = ["linear", "exponential", "step"];
+const LINEAR_DECAY = { model: "linear", window_hours: 168, floor: 0.4 };
 const DOMAIN_DEFAULTS = {
-  travel: { ask_threshold: 0.65, auto_threshold: 0.9, margin_threshold: 0.15, calibration_remaining: 30 },
-  family: { ask_threshold: 0.65, auto_threshold: 0.9, margin_threshold: 0.15, calibration_remaining: 30 },
-  project: { ask_threshold: 0.65, auto_threshold: 0.9, margin_threshold: 0.2, calibration_remaining: 30 },
-  financial: { ask_threshold: 0.7, auto_threshold: 0.92, margin_threshold: 0.2, calibration_remaining: 30 },
-  profile: { ask_threshold: 0.7, auto_threshold: 0.95, margin_threshold: 0.25, calibration_remaining: 30 },
-  school: { ask_threshold: 0.65, auto_threshold: 0.9, margin_threshold: 0.15, calibration_remaining: 30 },
-  general: { ask_threshold: 0.7, auto_threshold: 0.92, margin_threshold: 0.2, calibration_remaining: 30 }
+  travel: { ask_threshold: 0.65, auto_threshold: 0.9, margin_threshold: 0.15, calibration_remaining: 30, conflict_strategy: "freshest", decay: LINEAR_DECAY },
+  family: { ask_threshold: 0.65, auto_threshold: 0.9, margin_threshold: 0.15, calibration_remaining: 30, conflict_strategy: "ask", decay: LINEAR_DECAY },
+  project: { ask_threshold: 0.65, auto_threshold: 0.9, margin_threshold: 0.2, calibration_remaining: 30, conflict_strategy: "freshest", decay: LINEAR_DECAY },
+  financial: { ask_threshold: 0.7, auto_threshold: 0.92, margin_threshold: 0.2, calibration_remaining: 30, conflict_strategy: "most_reliable", decay: LINEAR_DECAY },
+  profile: { ask_threshold: 0.7, auto_threshold: 0.95, margin_threshold: 0.25, calibration_remaining: 30, conflict_strategy: "ask", decay: LINEAR_DECAY },
+  school: { ask_threshold: 0.65, auto_threshold: 0.9, margin_threshold: 0.15, calibration_remaining: 30, conflict_strategy: "ask", decay: LINEAR_DECAY },
+  general: { ask_threshold: 0.7, auto_threshold: 0.92, margin_threshold: 0.2, calibration_remaining: 30, conflict_strategy: "ask", decay: LINEAR_DECAY }
 };
+const CONFLICT_STRATEGIES = ["freshest", "most_reliable", "ask"];
+const DOMAIN_THRESHOLD_KEYS = ["ask_threshold", "auto_threshold", "margin_threshold"];
+const DOMAIN_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const CORROBORATION_WINDOW_HOURS = 72;
+const MAX_CORROBORATORS = 10;
 
 const SOURCE_RELIABILITY_DEFAULTS = {
   conversation_assertive: 0.9,
@@ -40,6 +134,16 @@ const SOURCE_RELIABILITY_DEFAULTS = {
   user_confirmation: 1
 };
 
+// Signal kinds ("<kind>:<mode>" from SignalEvent.source) handled by each built-in source type.
+const SIGNAL_SOURCE_KINDS = {
+  calendar_poll: ["calendar:poll"],
+  calendar_webhook: ["calendar:webhook"],
+  email_poll: ["email:poll"],
+  email_webhook: ["email:webhook"]
+};
+const SOURCE_TYPE_PATTERN = /^[a-z][a-z0-9_]{1,59}$/;
+const SIGNAL_KIND_PATTERN = /^[a-z][a-z0-9_]*:[a-z][a-z0-9_]*$/;
+
 const INTENT_FACTORS = {
   assertive: 1,
   planning: 0.72,
@@ -88,6 +192,9 @@ const FEW_SHOT_EXAMPLES = {
 
 const VALID_DOMAINS = Object.keys(DOMAIN_DEFAULTS);
 const VALID_INTENTS = Object.keys(INTENT_FACTORS);
+// Replaces the planning factor for observations whose validity window starts later:
+// the plan is asserted for a known period rather than speculated about.
+const SCHEDULED_INTENT_FACTOR = 0.95;
 const INTENT_EXTRACTOR_MODE_RULE = "rule";
 const INTENT_EXTRACTOR_MODE_COMMAND = "command";
 const ADAPTIVE_MODE_OFF = "off";
@@ -110,6 +217,13 @@ const ADAPTIVE_DEFAULTS = {
   high_confirmation_rate: 0.85,
   min_interval_hours: 20
 };
+// Source reliability is learned as a Beta posterior whose prior mean is the source's default
+// reliability, weighted like this many labeled outcomes.
+const RELIABILITY_PRIOR_STRENGTH = 10;
+const RELIABILITY_BOUNDS = {
+  min: 0.3,
+  max: 0.99
+};
 
 function nowIso() {
   return new Date().toISOString();
@@ -231,10 +345,25 @@ function readJsonIfExistsSafe(filePath, fallback) {
 }
 
 function writeJson(filePath, value) {
+  writeFileAtomic(filePath, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+function writeFileAtomic(filePath, text) {
   ensureDirForFile(filePath);
-  const tmp = `${filePath}.tmp-${process.pid}`;
-  fs.writeFileSync(tmp, `${JSON.stringify(value, null, 2)}\n`, "utf8");
-  fs.renameSync(tmp, filePath);
+  const tmp = `${filePath}.tmp-${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeFileSync(fd, text, "utf8");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmp, filePath);
+  } catch (error) {
+    fs.rmSync(tmp, { force: true });
+    throw error;
+  }
 }
 
 function appendLine(filePath, line) {
@@ -288,9 +417,18 @@ function getPaths(rootDir) {
     memory: path.join(rootDir, "MEMORY.md"),
     reviewState: path.join(rootDir, "memory", "state-telegram-review-state.json"),
     stateTracker: path.join(rootDir, "memory", "state-tracker.json"),
+    stateLock: path.join(rootDir, "memory", "state-tracker.json.lock"),
     stateChanges: path.join(rootDir, "memory", "state-changes.md"),
     stateDlq: path.join(rootDir, "memory", "state-dlq.jsonl"),
     stateLearningEvents: path.join(rootDir, "memory", "state-learning-events.jsonl"),
+    stateJournal: path.join(rootDir, "memory", "state-journal.jsonl"),
+    stateSqlite: path.join(rootDir, "memory", "state.sqlite"),
+    stateSnapshots: path.join(rootDir, "memory", "snapshots"),
+    stateDedup: path.join(rootDir, "memory", "state-dedup.jsonl"),
+    stateArchive: path.join(rootDir, "memory", "archive"),
+    domainsConfig: path.join(rootDir, "state-domains.json"),
+    sourcesConfig: path.join(rootDir, "state-sources.json"),
+    fieldsConfig: path.join(rootDir, "state-fields.json"),
     schemas: {
       stateObservation: path.join(rootDir, "schemas", "state_observation.schema.json"),
       userConfirmation: path.join(rootDir, "schemas", "user_confirmation.schema.json"),
@@ -352,6 +490,634 @@ function loadCronConfigInfo(rootDir) {
   }
 }
 
+const domainConfigCache = new Map();
+
+function parseDecayModel(label, value, allowBySource = true) {
+  if (!value || typeof value !== "object" || Array.isArray(value) || !DECAY_MODELS.includes(value.model)) {
+    return { errors: [`${label}.model: expected one of ${DECAY_MODELS.join(", ")}`] };
+  }
+  const errors = [];
+  const positive = (key, fallback) => {
+    const number = value[key] === undefined ? fallback : Number(value[key]);
+    if (!Number.isFinite(number) || number <= 0) {
+      errors.push(`${label}.${key}: expected a positive number of hours`);
+    }
+    return number;
+  };
+  const floor = value.floor === undefined ? (value.model === "linear" ? LINEAR_DECAY.floor : 0) : Number(value.floor);
+  if (!Number.isFinite(floor) || floor < 0 || floor > 1) {
+    errors.push(`${label}.floor: expected a number between 0 and 1`);
+  }
+  const decay = { model: value.model };
+  if (value.model === "linear") {
+    decay.window_hours = positive("window_hours", LINEAR_DECAY.window_hours);
+  } else if (value.model === "exponential") {
+    decay.half_life_hours = positive("half_life_hours", undefined);
+  } else {
+    const steps = Array.isArray(value.steps) ? value.steps : [];
+    const valid = steps.length > 0 && steps.every((step, idx) => (
+      step && Number(step.max_hours) > 0 && Number(step.factor) >= 0 && Number(step.factor) <= 1 &&
+      (idx === 0 || Number(step.max_hours) > Number(steps[idx - 1].max_hours))
+    ));
+    if (!valid) {
+      errors.push(`${label}.steps: expected { max_hours, factor } steps with increasing max_hours and factors between 0 and 1`);
+    }
+    decay.steps = steps.map((step) => ({ max_hours: Number(step?.max_hours), factor: Number(step?.factor) }));
+  }
+  decay.floor = floor;
+  if (value.by_source !== undefined) {
+    if (!allowBySource || !value.by_source || typeof value.by_source !== "object" || Array.isArray(value.by_source)) {
+      errors.push(`${label}.by_source: expected an object of source type -> decay model`);
+    } else {
+      decay.by_source = {};
+      for (const [sourceType, sourceDecay] of Object.entries(value.by_source)) {
+        const parsed = parseDecayModel(`${label}.by_source.${sourceType}`, sourceDecay, false);
+        errors.push(...parsed.errors);
+        decay.by_source[sourceType] = parsed.decay;
+      }
+    }
+  }
+  return { errors, decay };
+}
+
+function parseDomainConfigEntry(name, entry, base) {
+  const errors = [];
+  if (!DOMAIN_NAME_PATTERN.test(name)) {
+    return { errors: [`${name}: domain names must be lowercase letters, digits and underscores`] };
+  }
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return { errors: [`${name}: expected an object of thresholds and examples`] };
+  }
+  const domain = { ...base };
+  for (const key of DOMAIN_THRESHOLD_KEYS) {
+    if (entry[key] === undefined) {
+      continue;
+    }
+    const value = Number(entry[key]);
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      errors.push(`${name}.${key}: expected a number between 0 and 1`);
+      continue;
+    }
+    domain[key] = value;
+  }
+  if (domain.ask_threshold > domain.auto_threshold) {
+    errors.push(`${name}: ask_threshold must not exceed auto_threshold`);
+  }
+  if (entry.conflict_strategy !== undefined) {
+    if (CONFLICT_STRATEGIES.includes(entry.conflict_strategy)) {
+      domain.conflict_strategy = entry.conflict_strategy;
+    } else {
+      errors.push(`${name}.conflict_strategy: expected one of ${CONFLICT_STRATEGIES.join(", ")}`);
+    }
+  }
+  if (entry.decay !== undefined) {
+    const parsed = parseDecayModel(`${name}.decay`, entry.decay);
+    errors.push(...parsed.errors);
+    domain.decay = parsed.decay;
+  }
+  let examples = null;
+  if (entry.examples !== undefined) {
+    const valid = Array.isArray(entry.examples) && entry.examples.length > 0 && entry.examples.every((example) => (
+      example &&
+      typeof example.input === "string" &&
+      example.input.trim() &&
+      VALID_INTENTS.includes(example.intent)
+    ));
+    if (valid) {
+      examples = entry.examples.map((example) => ({ input: example.input.trim(), intent: example.intent }));
+    } else {
+      errors.push(`${name}.examples: expected a non-empty list of { input, intent } with intent one of ${VALID_INTENTS.join(", ")}`);
+    }
+  }
+  return { errors, domain, examples };
+}
+
+// state-domains.json adds domains (or overrides built-in ones) with their thresholds and
+// few-shot examples. Entries with errors are skipped and reported by `doctor`; the built-in
+// domains always remain so "general" is available as the fallback.
+function loadDomainConfig(rootDir) {
+  const paths = getPaths(path.resolve(rootDir));
+  const signature = fileSignature(paths.domainsConfig);
+  const cached = domainConfigCache.get(paths.rootDir);
+  if (cached && cached.signature === signature) {
+    return cached;
+  }
+
+  const config = {
+    path: paths.domainsConfig,
+    signature,
+    status: "missing",
+    error: null,
+    errors: [],
+    configured: [],
+    domains: JSON.parse(JSON.stringify(DOMAIN_DEFAULTS)),
+    examples: { ...FEW_SHOT_EXAMPLES },
+    names: []
+  };
+  if (fs.existsSync(paths.domainsConfig)) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(fs.readFileSync(paths.domainsConfig, "utf8"));
+      config.status = "ok";
+    } catch (error) {
+      config.status = "invalid";
+      config.error = error.message;
+    }
+    const entries = parsed?.domains && typeof parsed.domains === "object" ? parsed.domains : {};
+    if (parsed && entries !== parsed.domains) {
+      config.errors.push("expected a top-level \"domains\" object");
+    }
+    for (const [name, entry] of Object.entries(entries)) {
+      const result = parseDomainConfigEntry(name, entry, config.domains[name] || DOMAIN_DEFAULTS.general);
+      if (result.errors.length > 0) {
+        config.errors.push(...result.errors);
+        continue;
+      }
+      config.domains[name] = result.domain;
+      if (result.examples) {
+        config.examples[name] = result.examples;
+      }
+      config.configured.push(name);
+    }
+  }
+  config.names = Object.keys(config.domains);
+  domainConfigCache.set(paths.rootDir, config);
+  return config;
+}
+
+function resolveDomainName(rootDir, domain) {
+  return loadDomainConfig(rootDir).names.includes(domain) ? domain : "general";
+}
+
+const sourceRegistryCache = new Map();
+
+function parseSourceRegistryEntry(name, entry, base) {
+  if (!SOURCE_TYPE_PATTERN.test(name)) {
+    return { errors: [`${name}: source types must be 2-60 lowercase letters, digits and underscores`] };
+  }
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return { errors: [`${name}: expected an object with reliability, signal_kinds and auto_commit`] };
+  }
+  const errors = [];
+  const source = base ? { ...base, signal_kinds: [...base.signal_kinds] } : { reliability: null, signal_kinds: [], auto_commit: true };
+  if (entry.reliability !== undefined) {
+    const value = Number(entry.reliability);
+    if (Number.isFinite(value) && value >= 0 && value <= 1) {
+      source.reliability = value;
+    } else {
+      errors.push(`${name}.reliability: expected a number between 0 and 1`);
+    }
+  } else if (source.reliability === null) {
+    errors.push(`${name}.reliability: required for a new source type`);
+  }
+  if (entry.signal_kinds !== undefined) {
+    if (Array.isArray(entry.signal_kinds) && entry.signal_kinds.every((kind) => SIGNAL_KIND_PATTERN.test(kind))) {
+      source.signal_kinds = [...new Set(entry.signal_kinds)];
+    } else {
+      errors.push(`${name}.signal_kinds: expected a list of "<kind>:<mode>" strings such as "github:poll"`);
+    }
+  }
+  if (entry.auto_commit !== undefined) {
+    if (typeof entry.auto_commit === "boolean") {
+      source.auto_commit = entry.auto_commit;
+    } else {
+      errors.push(`${name}.auto_commit: expected true or false`);
+    }
+  }
+  return { errors, source };
+}
+
+function builtinSourceTypes() {
+  const types = {};
+  for (const [name, reliability] of Object.entries(SOURCE_RELIABILITY_DEFAULTS)) {
+    types[name] = { reliability, signal_kinds: [...(SIGNAL_SOURCE_KINDS[name] || [])], auto_commit: true };
+  }
+  return types;
+}
+
+// state-sources.json lets an integration declare its own source type (e.g. github_api) with a
+// default reliability, the signal kinds that map to it and whether it may auto-commit. Like the
+// domain config, it is cached per root and reloaded when the file changes.
+function loadSourceRegistry(rootDir) {
+  const paths = getPaths(path.resolve(rootDir));
+  const signature = fileSignature(paths.sourcesConfig);
+  const cached = sourceRegistryCache.get(paths.rootDir);
+  if (cached && cached.signature === signature) {
+    return cached;
+  }
+
+  const registry = {
+    path: paths.sourcesConfig,
+    signature,
+    status: "missing",
+    error: null,
+    errors: [],
+    registered: [],
+    types: builtinSourceTypes(),
+    names: [],
+    signal_kinds: {}
+  };
+  if (fs.existsSync(paths.sourcesConfig)) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(fs.readFileSync(paths.sourcesConfig, "utf8"));
+      registry.status = "ok";
+    } catch (error) {
+      registry.status = "invalid";
+      registry.error = error.message;
+    }
+    const entries = parsed?.sources && typeof parsed.sources === "object" ? parsed.sources : {};
+    if (parsed && entries !== parsed.sources) {
+      registry.errors.push("expected a top-level \"sources\" object");
+    }
+    for (const [name, entry] of Object.entries(entries)) {
+      const result = parseSourceRegistryEntry(name, entry, registry.types[name]);
+      if (result.errors.length > 0) {
+        registry.errors.push(...result.errors);
+        continue;
+      }
+      registry.types[name] = result.source;
+      registry.registered.push(name);
+    }
+  }
+  registry.names = Object.keys(registry.types);
+  // Registered types are applied after the built-ins, so they can take over a built-in signal kind.
+  for (const name of [...registry.names.filter((item) => !registry.registered.includes(item)), ...registry.registered]) {
+    for (const kind of registry.types[name].signal_kinds) {
+      registry.signal_kinds[kind] = name;
+    }
+  }
+  sourceRegistryCache.set(paths.rootDir, registry);
+  return registry;
+}
+
+function registerSourceType(rootDir, sourceType, options = {}) {
+  const paths = getPaths(path.resolve(rootDir));
+  const name = String(sourceType || "").trim();
+  const entry = {};
+  if (options.reliability !== undefined) {
+    entry.reliability = Number(options.reliability);
+  }
+  if (options.signal_kinds !== undefined) {
+    entry.signal_kinds = options.signal_kinds;
+  }
+  if (options.auto_commit !== undefined) {
+    entry.auto_commit = options.auto_commit;
+  }
+
+  const config = readJsonIfExistsSafe(paths.sourcesConfig, {});
+  const sources = config.sources && typeof config.sources === "object" ? config.sources : {};
+  const merged = { ...(sources[name] || {}), ...entry };
+  const result = parseSourceRegistryEntry(name, merged, builtinSourceTypes()[name]);
+  if (result.errors.length > 0) {
+    throw new Error(`invalid source type: ${result.errors.join("; ")}`);
+  }
+  writeFileAtomic(paths.sourcesConfig, `${JSON.stringify({ ...config, sources: { ...sources, [name]: merged } }, null, 2)}\n`);
+  return {
+    status: "registered",
+    source_type: name,
+    config_path: paths.sourcesConfig,
+    source: loadSourceRegistry(rootDir).types[name]
+  };
+}
+
+function listSources(rootDir) {
+  const registry = loadSourceRegistry(rootDir);
+  const state = loadState(rootDir);
+  return {
+    status: "ok",
+    config_path: registry.path,
+    config_status: registry.status,
+    config_errors: registry.errors,
+    sources: registry.names.map((sourceType) => ({
+      source_type: sourceType,
+      origin: registry.registered.includes(sourceType)
+        ? (SOURCE_RELIABILITY_DEFAULTS[sourceType] !== undefined ? "builtin+config" : "config")
+        : "builtin",
+      ...registry.types[sourceType],
+      stored_reliability: state.source_reliability[sourceType] ?? null
+    }))
+  };
+}
+
+const fieldCatalogCache = new Map();
+
+function parseFieldCatalogEntry(key, entry) {
+  if (!/^[a-z*][a-z0-9_.*-]*$/.test(key)) {
+    return { errors: [`${key}: field keys must be domain.field globs such as financial.balance or travel.*`] };
+  }
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return { errors: [`${key}: expected an object with type, format, unit and sources`] };
+  }
+  const errors = [];
+  if (entry.type !== undefined && !FIELD_VALUE_TYPES.includes(entry.type)) {
+    errors.push(`${key}.type: expected one of ${FIELD_VALUE_TYPES.join(", ")}`);
+  }
+  if (entry.format !== undefined && !Object.hasOwn(FIELD_VALUE_FORMATS, entry.format)) {
+    errors.push(`${key}.format: expected one of ${Object.keys(FIELD_VALUE_FORMATS).join(", ")}`);
+  }
+  if (entry.format === "enum" && (!Array.isArray(entry.values) || entry.values.length === 0)) {
+    errors.push(`${key}.values: an enum field needs a non-empty list of allowed values`);
+  }
+  if (entry.unit !== undefined && (typeof entry.unit !== "string" || !entry.unit.trim())) {
+    errors.push(`${key}.unit: expected a non-empty string`);
+  }
+  if (entry.sources !== undefined && (!Array.isArray(entry.sources) || !entry.sources.every((item) => typeof item === "string"))) {
+    errors.push(`${key}.sources: expected a list of source types`);
+  }
+  let aliasMap = null;
+  if (entry.aliases !== undefined) {
+    const valid = entry.aliases && typeof entry.aliases === "object" && !Array.isArray(entry.aliases) &&
+      Object.values(entry.aliases).every((variants) => Array.isArray(variants) && variants.every((item) => typeof item === "string"));
+    if (valid) {
+      aliasMap = new Map();
+      for (const [canonical, variants] of Object.entries(entry.aliases)) {
+        for (const variant of variants) {
+          aliasMap.set(normalizeComparableValue(variant), normalizeComparableValue(canonical));
+        }
+      }
+    } else {
+      errors.push(`${key}.aliases: expected an object of canonical value -> list of variants`);
+    }
+  }
+  const type = entry.type || FIELD_VALUE_FORMATS[entry.format] || null;
+  if (entry.type && FIELD_VALUE_FORMATS[entry.format] && FIELD_VALUE_FORMATS[entry.format] !== entry.type) {
+    errors.push(`${key}: format ${entry.format} requires type ${FIELD_VALUE_FORMATS[entry.format]}`);
+  }
+  let extract = null;
+  if (entry.extract !== undefined) {
+    if (key.includes("*") || !Array.isArray(entry.extract)) {
+      errors.push(`${key}.extract: expected a list of patterns on an exact domain.field key`);
+    } else {
+      extract = entry.extract.map((spec, idx) => parseExtractionPattern(`${key}.extract[${idx}]`, spec, errors));
+    }
+  }
+  return {
+    errors,
+    definition: {
+      key,
+      type,
+      format: entry.format || null,
+      values: entry.format === "enum" ? entry.values : null,
+      unit: entry.unit ? entry.unit.trim() : null,
+      sources: entry.sources || null,
+      alias_map: aliasMap,
+      extract,
+      pattern: new RegExp(`^${key.split("*").map(escapeRegExp).join(".*")}$`)
+    }
+  };
+}
+
+// A catalog extraction pattern is a regex string (case-insensitive) or
+// { pattern, flags, transform, intent }; the value is its `value` group or first group.
+function parseExtractionPattern(label, spec, errors) {
+  const entry = typeof spec === "string" ? { pattern: spec } : spec || {};
+  let pattern = null;
+  try {
+    pattern = new RegExp(String(entry.pattern || ""), entry.flags === undefined ? "i" : String(entry.flags).replace(/[gy]/g, ""));
+  } catch (error) {
+    errors.push(`${label}.pattern: ${error.message}`);
+  }
+  if (pattern && !entry.pattern) {
+    errors.push(`${label}.pattern: expected a regular expression`);
+  }
+  if (entry.transform !== undefined && !EXTRACTION_TRANSFORMS.includes(entry.transform)) {
+    errors.push(`${label}.transform: expected one of ${EXTRACTION_TRANSFORMS.join(", ")}`);
+  }
+  if (entry.intent !== undefined && !VALID_INTENTS.includes(entry.intent)) {
+    errors.push(`${label}.intent: expected one of ${VALID_INTENTS.join(", ")}`);
+  }
+  return { pattern, transform: entry.transform || "trim", intent: entry.intent || null };
+}
+
+// state-fields.json declares what a field may hold: a JSON type, a format (date, date-time,
+// currency_amount, enum), a unit and the source types allowed to write it.
+function loadFieldCatalog(rootDir) {
+  const paths = getPaths(path.resolve(rootDir));
+  const signature = fileSignature(paths.fieldsConfig);
+  const cached = fieldCatalogCache.get(paths.rootDir);
+  if (cached && cached.signature === signature) {
+    return cached;
+  }
+
+  const catalog = {
+    path: paths.fieldsConfig,
+    signature,
+    status: "missing",
+    error: null,
+    errors: [],
+    configured: [],
+    fields: {}
+  };
+  let entries = { ...FIELD_CATALOG_DEFAULTS };
+  if (fs.existsSync(paths.fieldsConfig)) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(fs.readFileSync(paths.fieldsConfig, "utf8"));
+      catalog.status = "ok";
+    } catch (error) {
+      catalog.status = "invalid";
+      catalog.error = error.message;
+    }
+    const configured = parsed?.fields && typeof parsed.fields === "object" ? parsed.fields : {};
+    if (parsed && configured !== parsed.fields) {
+      catalog.errors.push("expected a top-level \"fields\" object");
+    }
+    entries = { ...entries, ...configured };
+    catalog.configured = Object.keys(configured);
+  }
+  for (const [key, entry] of Object.entries(entries)) {
+    const result = parseFieldCatalogEntry(key, entry);
+    if (result.errors.length > 0) {
+      catalog.errors.push(...result.errors);
+      continue;
+    }
+    catalog.fields[key] = result.definition;
+  }
+  fieldCatalogCache.set(paths.rootDir, catalog);
+  return catalog;
+}
+
+function findFieldDefinition(catalog, fieldRef) {
+  if (catalog.fields[fieldRef]) {
+    return catalog.fields[fieldRef];
+  }
+  return Object.values(catalog.fields).find((definition) => definition.key.includes("*") && definition.pattern.test(fieldRef)) || null;
+}
+
+function describeJsonType(value) {
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+function matchesFieldType(type, value) {
+  const actual = describeJsonType(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+// Returns a reason string when the value does not fit the definition, otherwise null.
+function checkFieldValue(definition, value) {
+  let scalar = value;
+  if (definition.unit && value && typeof value === "object" && !Array.isArray(value) && definition.type !== "object") {
+    const unit = value.unit ?? value.currency;
+    if (unit !== definition.unit) {
+      return `unit ${JSON.stringify(unit ?? null)} does not match ${definition.unit}`;
+    }
+    scalar = value.value ?? value.amount;
+  }
+  if (definition.type && !matchesFieldType(definition.type, scalar)) {
+    return `expected ${definition.type}${definition.format ? ` (${definition.format})` : ""}, got ${describeJsonType(scalar)}`;
+  }
+  if (definition.format === "date" && !(/^\d{4}-\d{2}-\d{2}$/.test(scalar) && Number.isFinite(Date.parse(scalar)))) {
+    return `expected a YYYY-MM-DD date, got ${JSON.stringify(scalar)}`;
+  }
+  if (definition.format === "date-time" && !(/^\d{4}-\d{2}-\d{2}T/.test(scalar) && Number.isFinite(Date.parse(scalar)))) {
+    return `expected an ISO 8601 date-time, got ${JSON.stringify(scalar)}`;
+  }
+  if (definition.format === "currency_amount" && (!Number.isFinite(scalar) || Math.abs(Math.round(scalar * 100) - scalar * 100) > 1e-6)) {
+    return `expected a currency amount with at most two decimals, got ${JSON.stringify(scalar)}`;
+  }
+  if (definition.format === "enum" && !definition.values.some((allowed) => valuesEquivalent(allowed, scalar, definition.alias_map))) {
+    return `expected one of ${definition.values.map((allowed) => JSON.stringify(allowed)).join(", ")}, got ${JSON.stringify(scalar)}`;
+  }
+  return null;
+}
+
+function validateFieldValue(rootDir, observation) {
+  const fieldRef = `${observation.domain}.${fieldKeyFromObservation(observation)}`;
+  const definition = findFieldDefinition(loadFieldCatalog(rootDir), fieldRef);
+  if (!definition) {
+    return [];
+  }
+  const errors = [];
+  // A confirmation settles a prompt whose observation already passed the source check.
+  const confirmed = observation.source.type === "user_confirmation";
+  if (definition.sources && !confirmed && !definition.sources.includes(observation.source.type)) {
+    errors.push({
+      instancePath: "/source/type",
+      keyword: "field_type_mismatch",
+      message: `${fieldRef} does not accept source ${observation.source.type} (allowed: ${definition.sources.join(", ")})`,
+      params: { field: fieldRef, allowed_sources: definition.sources }
+    });
+  }
+  const reason = isRetractionObservation(observation) ? null : checkFieldValue(definition, observation.candidate_value);
+  if (reason) {
+    errors.push({
+      instancePath: "/candidate_value",
+      keyword: "field_type_mismatch",
+      message: `${fieldRef}: ${reason}`,
+      params: {
+        field: fieldRef,
+        type: definition.type,
+        format: definition.format,
+        unit: definition.unit
+      }
+    });
+  }
+  return errors;
+}
+
+function domainSettingsDiffer(stored, configured) {
+  return [...DOMAIN_THRESHOLD_KEYS, "conflict_strategy"].some((key) => stored?.[key] !== configured[key])
+    || JSON.stringify(stored?.decay || null) !== JSON.stringify(configured.decay || null);
+}
+
+function listDomains(rootDir) {
+  const config = loadDomainConfig(rootDir);
+  const state = loadState(rootDir);
+  return {
+    status: "ok",
+    config_path: config.path,
+    config_status: config.status,
+    config_errors: config.errors,
+    domains: config.names.map((domain) => ({
+      domain,
+      origin: config.configured.includes(domain)
+        ? (DOMAIN_DEFAULTS[domain] ? "builtin+config" : "config")
+        : "builtin",
+      configured: config.domains[domain],
+      stored: state.domains[domain] || null,
+      in_sync: !config.configured.includes(domain) || !domainSettingsDiffer(state.domains[domain], config.domains[domain]),
+      examples: (config.examples[domain] || []).length
+    }))
+  };
+}
+
+// Writes the configured domain list into the schema enums and re-applies the thresholds of
+// domains listed in state-domains.json. Stored thresholds otherwise win, so adaptive learning
+// keeps its adjustments between syncs.
+function syncDomainConfig(rootDir, options = {}) {
+  const config = loadDomainConfig(rootDir);
+  const paths = getPaths(path.resolve(rootDir));
+  const dryRun = Boolean(options.dry_run);
+  const schemasUpdated = [];
+  for (const filePath of Object.values(paths.schemas)) {
+    const schema = readJsonIfExistsSafe(filePath, null);
+    if (!schema) {
+      continue;
+    }
+    const before = JSON.stringify(schema);
+    if (JSON.stringify(patchSchemaDomains(schema, config.names)) === before) {
+      continue;
+    }
+    schemasUpdated.push(path.relative(paths.rootDir, filePath));
+    if (!dryRun) {
+      writeFileAtomic(filePath, `${JSON.stringify(schema, null, 2)}\n`);
+    }
+  }
+
+  const domainsUpdated = withStateLock(rootDir, () => {
+    const state = loadState(rootDir);
+    const updated = [];
+    for (const domain of config.configured) {
+      const stored = state.domains[domain];
+      const configured = config.domains[domain];
+      if (!domainSettingsDiffer(stored, configured)) {
+        continue;
+      }
+      updated.push(domain);
+      if (dryRun) {
+        continue;
+      }
+      recordJournalEvent(rootDir, state, {
+        type: "threshold_changed",
+        domain,
+        ask_threshold: configured.ask_threshold,
+        auto_threshold: configured.auto_threshold,
+        margin_threshold: configured.margin_threshold,
+        conflict_strategy: configured.conflict_strategy,
+        decay: configured.decay,
+        previous_ask_threshold: stored?.ask_threshold ?? null,
+        previous_auto_threshold: stored?.auto_threshold ?? null,
+        reason: "domain_config"
+      });
+      logStateChange(
+        rootDir,
+        `domain_config_sync | domain=${domain} | ask=${configured.ask_threshold} | auto=${configured.auto_threshold} | margin=${configured.margin_threshold} | conflict_strategy=${configured.conflict_strategy} | decay=${configured.decay?.model || "linear"}`
+      );
+    }
+    if (updated.length > 0 && !dryRun) {
+      saveState(rootDir, state);
+    }
+    return updated;
+  });
+
+  return {
+    status: config.status === "invalid" ? "config_invalid" : "ok",
+    dry_run: dryRun,
+    config_path: config.path,
+    config_errors: config.errors,
+    domains: config.names,
+    schemas_updated: schemasUpdated,
+    domains_updated: domainsUpdated
+  };
+}
+
 function resolveGogAccount(rootDir, explicitAccount, env = process.env, cronInfo = null) {
   if (explicitAccount) {
     return String(explicitAccount);
@@ -473,9 +1239,121 @@ function ensureAdaptiveRuntime(runtime) {
   return merged;
 }
 
+// Ordered tracker upgrades keyed on state.version. Each step mutates the
+// state in place; loadState backs up the stored tracker before persisting.
+const STATE_MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: "fill runtime, bookkeeping collections, field history and numeric learning_stats",
+    migrate(state) {
+      state.runtime = state.runtime || {
+        projection_mode: "legacy_string",
+        adaptive_learning_enabled: false,
+        adaptive_learning: createDefaultAdaptiveRuntime(),
+        projection_hashes: {},
+        last_poll_at: null,
+        last_review_queue_at: null
+      };
+      state.runtime.projection_hashes = state.runtime.projection_hashes || {};
+      if (!Object.prototype.hasOwnProperty.call(state.runtime, "last_poll_at")) {
+        state.runtime.last_poll_at = null;
+      }
+      if (!Object.prototype.hasOwnProperty.call(state.runtime, "last_review_queue_at")) {
+        state.runtime.last_review_queue_at = null;
+      }
+      state.entities = state.entities || {};
+      state.tentative_observations = state.tentative_observations || [];
+      state.active_conflicts = state.active_conflicts || [];
+      state.pending_confirmations = state.pending_confirmations || {};
+      state.field_history = state.field_history || {};
+      state.processed_event_ids = state.processed_event_ids || [];
+      const stats = state.learning_stats || {};
+      state.learning_stats = {
+        ...stats,
+        auto_commits: Number(stats.auto_commits || 0),
+        auto_commit_corrections: Number(stats.auto_commit_corrections || 0),
+        ask_user_confirmations: Number(stats.ask_user_confirmations || 0),
+        user_confirms: Number(stats.user_confirms || 0),
+        user_rejects: Number(stats.user_rejects || 0),
+        user_edits: Number(stats.user_edits || 0)
+      };
+    }
+  },
+  {
+    from: 2,
+    to: 3,
+    description: "move processed_event_ids into the separate dedup index",
+    migrate(state, context = {}) {
+      const eventIds = Array.isArray(state.processed_event_ids) ? state.processed_event_ids : [];
+      if (context.rootDir && eventIds.length > 0) {
+        const storage = getStorage(context.rootDir);
+        const seenAt = nowIso();
+        for (const eventId of eventIds) {
+          if (!storage.dedupLookup(eventId)) {
+            storage.dedupRecord({ event_id: eventId, source_type: "legacy_processed_event_ids", seen_at: seenAt });
+          }
+        }
+      }
+      delete state.processed_event_ids;
+    }
+  },
+  {
+    from: 3,
+    to: 4,
+    description: "add retraction tombstones, backfilled from retracted field history",
+    migrate(state) {
+      state.tombstones = state.tombstones || {};
+      for (const [entityId, domains] of Object.entries(state.field_history || {})) {
+        for (const [domain, fields] of Object.entries(domains || {})) {
+          for (const [fieldKey, versions] of Object.entries(fields || {})) {
+            const last = Array.isArray(versions) ? versions[versions.length - 1] : null;
+            if (!last?.retracted || last.decision === "expired" || state.entities?.[entityId]?.state?.[domain]?.[fieldKey]) {
+              continue;
+            }
+            setTombstone(state, entityId, domain, fieldKey, {
+              retracted_at: last.committed_at || null,
+              event_id: last.event_id || null,
+              source: last.source || null,
+              source_ref: last.source_ref || null,
+              confidence: last.confidence ?? null,
+              event_ts: last.event_ts || null,
+              previous_value: versions.length > 1 ? versions[versions.length - 2].value : null
+            });
+          }
+        }
+      }
+    }
+  },
+  {
+    from: 4,
+    to: 5,
+    description: "add the entity registry (display names, aliases, memberships)",
+    migrate(state) {
+      state.entity_registry = state.entity_registry || {};
+    }
+  },
+  {
+    from: 5,
+    to: 6,
+    description: "add learned source reliability (Beta posteriors from confirmation outcomes)",
+    migrate(state) {
+      state.learned_source_reliability = state.learned_source_reliability || {};
+    }
+  },
+  {
+    from: 6,
+    to: 7,
+    description: "add scheduled facts (committed values waiting for their valid_from)",
+    migrate(state) {
+      state.scheduled_facts = state.scheduled_facts || {};
+    }
+  }
+];
+
 function createDefaultState() {
   return {
-    version: 1,
+    version: CURRENT_STATE_VERSION,
     last_consistency_check: null,
     runtime: {
       projection_mode: "legacy_string",
@@ -491,7 +1369,11 @@ function createDefaultState() {
     tentative_observations: [],
     active_conflicts: [],
     pending_confirmations: {},
-    processed_event_ids: [],
+    field_history: {},
+    tombstones: {},
+    entity_registry: {},
+    learned_source_reliability: {},
+    scheduled_facts: {},
     learning_stats: {
       auto_commits: 0,
       auto_commit_corrections: 0,
@@ -503,154 +1385,1575 @@ function createDefaultState() {
   };
 }
 
-function ensureStateFiles(rootDir) {
-  const paths = getPaths(rootDir);
-  if (!fs.existsSync(paths.stateTracker)) {
-    writeJson(paths.stateTracker, createDefaultState());
-  }
-  if (!fs.existsSync(paths.stateChanges)) {
-    writeText(paths.stateChanges, "# State Changes Log\n\n");
-  }
-  if (!fs.existsSync(paths.stateDlq)) {
-    writeText(paths.stateDlq, "");
-  }
-  if (!fs.existsSync(paths.stateLearningEvents)) {
-    writeText(paths.stateLearningEvents, "");
-  }
-  return paths;
-}
-
-function loadState(rootDir) {
-  const paths = ensureStateFiles(rootDir);
-  const state = readJsonIfExists(paths.stateTracker, createDefaultState());
-  state.runtime = state.runtime || {
-    projection_mode: "legacy_string",
-    adaptive_learning_enabled: false,
-    adaptive_learning: createDefaultAdaptiveRuntime(),
-    projection_hashes: {},
-    last_poll_at: null,
-    last_review_queue_at: null
+function getStreamFile(paths, stream) {
+  const files = {
+    changes: paths.stateChanges,
+    dlq: paths.stateDlq,
+    learning_events: paths.stateLearningEvents,
+    journal: paths.stateJournal
   };
-  state.runtime.adaptive_learning = ensureAdaptiveRuntime(state.runtime.adaptive_learning);
-  state.runtime.adaptive_learning_enabled = Boolean(
-    state.runtime.adaptive_learning_enabled || state.runtime.adaptive_learning.mode === ADAPTIVE_MODE_APPLY
-  );
-  state.runtime.projection_hashes = state.runtime.projection_hashes || {};
-  if (!Object.prototype.hasOwnProperty.call(state.runtime, "last_poll_at")) {
-    state.runtime.last_poll_at = null;
+  if (!files[stream]) {
+    throw new Error(`Unknown storage stream: ${stream}`);
   }
-  if (!Object.prototype.hasOwnProperty.call(state.runtime, "last_review_queue_at")) {
-    state.runtime.last_review_queue_at = null;
-  }
-  state.domains = { ...DOMAIN_DEFAULTS, ...(state.domains || {}) };
-  state.source_reliability = { ...SOURCE_RELIABILITY_DEFAULTS, ...(state.source_reliability || {}) };
-  state.entities = state.entities || {};
-  state.tentative_observations = state.tentative_observations || [];
-  state.active_conflicts = state.active_conflicts || [];
-  state.pending_confirmations = state.pending_confirmations || {};
-  state.processed_event_ids = state.processed_event_ids || [];
-  state.learning_stats = state.learning_stats || {
-    auto_commits: 0,
-    auto_commit_corrections: 0,
-    ask_user_confirmations: 0,
-    user_confirms: 0,
-    user_rejects: 0,
-    user_edits: 0
-  };
-  state.learning_stats.auto_commits = Number(state.learning_stats.auto_commits || 0);
-  state.learning_stats.auto_commit_corrections = Number(state.learning_stats.auto_commit_corrections || 0);
-  state.learning_stats.ask_user_confirmations = Number(state.learning_stats.ask_user_confirmations || 0);
-  state.learning_stats.user_confirms = Number(state.learning_stats.user_confirms || 0);
-  state.learning_stats.user_rejects = Number(state.learning_stats.user_rejects || 0);
-  state.learning_stats.user_edits = Number(state.learning_stats.user_edits || 0);
-  return state;
+  return files[stream];
 }
 
-function saveState(rootDir, state) {
-  const paths = getPaths(rootDir);
-  state.last_consistency_check = nowIso();
-  writeJson(paths.stateTracker, state);
+function getStreamArchiveFile(paths, stream, archiveKey) {
+  const parsed = path.parse(getStreamFile(paths, stream));
+  return path.join(paths.stateArchive, `${parsed.name}.${archiveKey}${parsed.ext}`);
 }
 
-function logStateChange(rootDir, line) {
-  const paths = getPaths(rootDir);
-  appendLine(paths.stateChanges, `- ${nowIso()} | ${line}`);
+function listStreamArchiveKeys(paths, stream) {
+  const parsed = path.parse(getStreamFile(paths, stream));
+  if (!fs.existsSync(paths.stateArchive)) {
+    return [];
+  }
+  const pattern = new RegExp(`^${escapeRegExp(parsed.name)}\\.(.+)${escapeRegExp(parsed.ext)}$`);
+  return fs.readdirSync(paths.stateArchive)
+    .map((file) => file.match(pattern)?.[1])
+    .filter(Boolean)
+    .sort();
 }
 
-function appendLearningEvent(rootDir, event) {
+// DLQ, change-log and learning-event appends do not hold the state lock, so the live file is moved
+// aside before its tail is read. Lines appended after the move land in a new live file; link() only
+// installs the rotated file while no live file exists, otherwise those lines are folded in first.
+function rotateStreamFile(filePath, consumed, lines) {
+  const suffix = `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+  const moved = `${filePath}.rotating-${suffix}`;
+  const next = `${filePath}.next-${suffix}`;
+  const moveAside = () => {
+    try {
+      fs.renameSync(filePath, moved);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+    const text = readTextIfExists(moved, "");
+    fs.rmSync(moved, { force: true });
+    return text;
+  };
+
+  const appendedSince = splitStreamLines(moveAside()).slice(consumed);
+  writeFileAtomic(next, [...lines, ...appendedSince].map((line) => `${line}\n`).join(""));
+  try {
+    for (;;) {
+      try {
+        fs.linkSync(next, filePath);
+        return;
+      } catch (error) {
+        if (error.code !== "EEXIST") {
+          throw error;
+        }
+      }
+      fs.appendFileSync(next, splitStreamLines(moveAside()).map((line) => `${line}\n`).join(""), "utf8");
+    }
+  } finally {
+    fs.rmSync(next, { force: true });
+  }
+}
+
+function splitStreamLines(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+function buildJournalBaselineLines(tracker) {
+  if (!tracker || typeof tracker !== "object") {
+    return [];
+  }
+  return [JSON.stringify({
+    journal_id: randomUuid(),
+    ts: nowIso(),
+    type: "baseline",
+    state: tracker
+  })];
+}
+
+function createDedupCache() {
+  return {
+    ino: null,
+    offset: 0,
+    lines: 0,
+    entries: new Map(),
+    hits: { total: 0, by_source: {}, last_hit_at: null }
+  };
+}
+
+function countDedupHit(hits, sourceType, ts) {
+  const key = String(sourceType || "unknown");
+  hits.total += 1;
+  hits.by_source[key] = (hits.by_source[key] || 0) + 1;
+  hits.last_hit_at = maxIso(hits.last_hit_at, ts);
+}
+
+function applyDedupRecord(cache, record) {
+  if (!record || typeof record !== "object") {
+    return;
+  }
+  if (record.kind === "seen" && record.event_id) {
+    cache.entries.set(record.event_id, {
+      source_type: String(record.source_type || "unknown"),
+      seen_at: record.seen_at || null
+    });
+  } else if (record.kind === "hit") {
+    countDedupHit(cache.hits, record.source_type, record.ts);
+  } else if (record.kind === "stats") {
+    cache.hits = {
+      total: Number(record.hits_total || 0),
+      by_source: { ...(record.hits_by_source || {}) },
+      last_hit_at: record.last_hit_at || null
+    };
+  }
+}
+
+// Reads only the bytes appended since the last call; a compaction (new inode
+// or shorter file) resets the cache and rereads from the start.
+function refreshDedupCache(cache, filePath) {
+  if (!fs.existsSync(filePath)) {
+    return createDedupCache();
+  }
+  const stat = fs.statSync(filePath);
+  let next = cache;
+  if (next.ino !== stat.ino || stat.size < next.offset) {
+    next = createDedupCache();
+    next.ino = stat.ino;
+  }
+  if (stat.size === next.offset) {
+    return next;
+  }
+  const buffer = Buffer.alloc(stat.size - next.offset);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, next.offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const lastNewline = buffer.lastIndexOf(0x0a);
+  if (lastNewline < 0) {
+    return next;
+  }
+  for (const line of splitStreamLines(buffer.subarray(0, lastNewline).toString("utf8"))) {
+    next.lines += 1;
+    try {
+      applyDedupRecord(next, JSON.parse(line));
+    } catch (_error) {
+      // Skip torn or hand-edited lines; the next compaction drops them.
+    }
+  }
+  next.offset += lastNewline + 1;
+  return next;
+}
+
+function summarizeDedupEntries(entries, hits) {
+  const bySource = {};
+  for (const entry of entries.values()) {
+    bySource[entry.source_type] = (bySource[entry.source_type] || 0) + 1;
+  }
+  return {
+    entries: entries.size,
+    entries_by_source: bySource,
+    hits: {
+      total: hits.total,
+      by_source: { ...hits.by_source },
+      last_hit_at: hits.last_hit_at
+    }
+  };
+}
+
+function createFileStorage(paths) {
+  let dedupCache = createDedupCache();
+  return {
+    backend: "file",
+    location: paths.stateTracker,
+    ensure() {
+      if (!fs.existsSync(paths.stateJournal)) {
+        ensureJournalFile(paths);
+      }
+      if (!fs.existsSync(paths.stateTracker)) {
+        writeJson(paths.stateTracker, createDefaultState());
+      }
+      if (!fs.existsSync(paths.stateChanges)) {
+        writeText(paths.stateChanges, "# State Changes Log\n\n");
+      }
+      if (!fs.existsSync(paths.stateDlq)) {
+        writeText(paths.stateDlq, "");
+      }
+      if (!fs.existsSync(paths.stateLearningEvents)) {
+        writeText(paths.stateLearningEvents, "");
+      }
+    },
+    readState() {
+      return readJsonIfExists(paths.stateTracker, null);
+    },
+    writeState(state) {
+      writeJson(paths.stateTracker, state);
+    },
+    backupState(targetPath) {
+      if (!fs.existsSync(paths.stateTracker)) {
+        return false;
+      }
+      fs.copyFileSync(paths.stateTracker, targetPath);
+      return true;
+    },
+    appendStreamLine(stream, line) {
+      appendLine(getStreamFile(paths, stream), line);
+    },
+    appendStreamLines(stream, lines) {
+      const filePath = getStreamFile(paths, stream);
+      ensureDirForFile(filePath);
+      fs.appendFileSync(filePath, lines.map((line) => `${line}\n`).join(""), "utf8");
+    },
+    readStreamLines(stream) {
+      return splitStreamLines(readTextIfExists(getStreamFile(paths, stream), ""));
+    },
+    replaceStreamPrefix(stream, consumed, lines) {
+      rotateStreamFile(getStreamFile(paths, stream), consumed, lines);
+    },
+    appendArchiveLines(stream, archiveKey, lines) {
+      const filePath = getStreamArchiveFile(paths, stream, archiveKey);
+      ensureDirForFile(filePath);
+      fs.appendFileSync(filePath, lines.map((line) => `${line}\n`).join(""), "utf8");
+    },
+    listArchives(stream) {
+      return listStreamArchiveKeys(paths, stream);
+    },
+    readArchiveLines(stream, archiveKey) {
+      return splitStreamLines(readTextIfExists(getStreamArchiveFile(paths, stream, archiveKey), ""));
+    },
+    dedupLookup(eventId) {
+      dedupCache = refreshDedupCache(dedupCache, paths.stateDedup);
+      return dedupCache.entries.get(eventId) || null;
+    },
+    dedupRecord(entry) {
+      appendLine(paths.stateDedup, JSON.stringify({ kind: "seen", ...entry }));
+    },
+    dedupRecordHit(hit) {
+      appendLine(paths.stateDedup, JSON.stringify({ kind: "hit", ...hit }));
+    },
+    dedupSummary() {
+      dedupCache = refreshDedupCache(dedupCache, paths.stateDedup);
+      return summarizeDedupEntries(dedupCache.entries, dedupCache.hits);
+    },
+    dedupNeedsCompaction() {
+      return dedupCache.lines > Math.max(DEDUP_COMPACT_MIN_LINES, dedupCache.entries.size * 2);
+    },
+    dedupPrune(cutoffForSource) {
+      dedupCache = refreshDedupCache(dedupCache, paths.stateDedup);
+      const { hits } = dedupCache;
+      const lines = [JSON.stringify({
+        kind: "stats",
+        hits_total: hits.total,
+        hits_by_source: hits.by_source,
+        last_hit_at: hits.last_hit_at
+      })];
+      let removed = 0;
+      for (const [eventId, entry] of dedupCache.entries) {
+        const cutoff = cutoffForSource(entry.source_type);
+        if (cutoff !== null && entry.seen_at && entry.seen_at < cutoff) {
+          removed += 1;
+          continue;
+        }
+        lines.push(JSON.stringify({ kind: "seen", event_id: eventId, ...entry }));
+      }
+      writeFileAtomic(paths.stateDedup, lines.map((line) => `${line}\n`).join(""));
+      dedupCache = createDedupCache();
+      return removed;
+    },
+    check() {
+      return { status: "ok", message: "using JSON/JSONL files under memory/" };
+    }
+  };
+}
+
+let sqliteModule = null;
+
+function requireSqlite() {
+  if (!sqliteModule) {
+    try {
+      sqliteModule = require("node:sqlite");
+    } catch (error) {
+      throw new Error(`STATE_STORAGE=sqlite requires Node.js 22.5+ (node:sqlite unavailable: ${error.message})`);
+    }
+  }
+  return sqliteModule;
+}
+
+// One row per committed field, field history and pending prompt, so an ingest only
+// rewrites the rows it touched instead of the whole tracker document.
+function splitStateIntoRows(state) {
+  const rows = new Map();
+  for (const [name, value] of Object.entries(state || {})) {
+    if (name === "entities" || name === "pending_confirmations" || name === "field_history" || value === undefined) {
+      continue;
+    }
+    rows.set(`section\u0000${name}`, { table: "state_sections", keys: [name], extra: [], value: JSON.stringify(value) });
+  }
+  for (const [entityId, entity] of Object.entries(state?.entities || {})) {
+    const domains = entity?.state || {};
+    const shell = {
+      ...entity,
+      state: Object.fromEntries(Object.keys(domains).map((domain) => [domain, {}]))
+    };
+    rows.set(`entity\u0000${entityId}`, { table: "state_entities", keys: [entityId], extra: [], value: JSON.stringify(shell) });
+    for (const [domain, fields] of Object.entries(domains)) {
+      for (const [field, record] of Object.entries(fields || {})) {
+        rows.set(`field\u0000${entityId}\u0000${domain}\u0000${field}`, {
+          table: "state_fields",
+          keys: [entityId, domain, field],
+          extra: [],
+          value: JSON.stringify(record)
+        });
+      }
+    }
+  }
+  for (const [entityId, domains] of Object.entries(state?.field_history || {})) {
+    for (const [domain, fields] of Object.entries(domains || {})) {
+      for (const [field, versions] of Object.entries(fields || {})) {
+        rows.set(`history\u0000${entityId}\u0000${domain}\u0000${field}`, {
+          table: "field_history",
+          keys: [entityId, domain, field],
+          extra: [],
+          value: JSON.stringify(versions)
+        });
+      }
+    }
+  }
+  for (const [promptId, prompt] of Object.entries(state?.pending_confirmations || {})) {
+    rows.set(`pending\u0000${promptId}`, {
+      table: "pending_confirmations",
+      keys: [promptId],
+      extra: [prompt?.entity_id || null, prompt?.domain || null, prompt?.created_at || null],
+      value: JSON.stringify(prompt)
+    });
+  }
+  return rows;
+}
+
+const SQLITE_STATE_TABLES = {
+  state_sections: { keys: ["name"], extra: [] },
+  state_entities: { keys: ["entity_id"], extra: [] },
+  state_fields: { keys: ["entity_id", "domain", "field"], extra: [] },
+  field_history: { keys: ["entity_id", "domain", "field"], extra: [] },
+  pending_confirmations: { keys: ["prompt_id"], extra: ["entity_id", "domain", "created_at"] }
+};
+
+const SQLITE_SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS state_meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS state_sections (name TEXT PRIMARY KEY, value TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS state_entities (entity_id TEXT PRIMARY KEY, value TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS state_fields (
+  entity_id TEXT NOT NULL,
+  domain TEXT NOT NULL,
+  field TEXT NOT NULL,
+  value TEXT NOT NULL,
+  PRIMARY KEY (entity_id, domain, field)
+);
+CREATE INDEX IF NOT EXISTS state_fields_by_domain ON state_fields (domain, field);
+CREATE TABLE IF NOT EXISTS field_history (
+  entity_id TEXT NOT NULL,
+  domain TEXT NOT NULL,
+  field TEXT NOT NULL,
+  value TEXT NOT NULL,
+  PRIMARY KEY (entity_id, domain, field)
+);
+CREATE TABLE IF NOT EXISTS pending_confirmations (
+  prompt_id TEXT PRIMARY KEY,
+  entity_id TEXT,
+  domain TEXT,
+  created_at TEXT,
+  value TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS pending_confirmations_by_entity ON pending_confirmations (entity_id, domain);
+CREATE TABLE IF NOT EXISTS stream_lines (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  stream TEXT NOT NULL,
+  line TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS stream_lines_by_stream ON stream_lines (stream, seq);
+CREATE TABLE IF NOT EXISTS stream_archive (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  stream TEXT NOT NULL,
+  archive_key TEXT NOT NULL,
+  line TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS stream_archive_by_key ON stream_archive (stream, archive_key, seq);
+CREATE TABLE IF NOT EXISTS dedup_index (
+  event_id TEXT PRIMARY KEY,
+  source_type TEXT NOT NULL,
+  seen_at TEXT
+);
+CREATE INDEX IF NOT EXISTS dedup_index_by_source ON dedup_index (source_type, seen_at);
+CREATE TABLE IF NOT EXISTS dedup_hits (
+  source_type TEXT PRIMARY KEY,
+  hits INTEGER NOT NULL,
+  last_hit_at TEXT
+);
+`;
+
+function createSqliteStorage(paths) {
+  let db = null;
+  let cache = { revision: null, rows: new Map() };
+
+  const open = () => {
+    if (!db) {
+      const { DatabaseSync } = requireSqlite();
+      ensureDirForFile(paths.stateSqlite);
+      db = new DatabaseSync(paths.stateSqlite);
+      db.exec("PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 10000;");
+      db.exec(SQLITE_SCHEMA_SQL);
+    }
+    return db;
+  };
+
+  const transaction = (fn) => {
+    const handle = open();
+    handle.exec("BEGIN IMMEDIATE");
+    try {
+      const result = fn(handle);
+      handle.exec("COMMIT");
+      return result;
+    } catch (error) {
+      handle.exec("ROLLBACK");
+      throw error;
+    }
+  };
+
+  const getMeta = (handle, key) => handle.prepare("SELECT value FROM state_meta WHERE key = ?").get(key)?.value ?? null;
+  const setMeta = (handle, key, value) => {
+    handle.prepare("INSERT OR REPLACE INTO state_meta (key, value) VALUES (?, ?)").run(key, String(value));
+  };
+
+  const readRows = (handle) => {
+    const sections = handle.prepare("SELECT name, value FROM state_sections ORDER BY name").all();
+    if (sections.length === 0) {
+      return null;
+    }
+    const state = {};
+    for (const row of sections) {
+      state[row.name] = JSON.parse(row.value);
+    }
+    state.entities = {};
+    for (const row of handle.prepare("SELECT entity_id, value FROM state_entities ORDER BY entity_id").all()) {
+      state.entities[row.entity_id] = JSON.parse(row.value);
+    }
+    for (const row of handle.prepare("SELECT entity_id, domain, field, value FROM state_fields ORDER BY entity_id, domain, field").all()) {
+      const entity = state.entities[row.entity_id] || (state.entities[row.entity_id] = { state: {} });
+      entity.state = entity.state || {};
+      entity.state[row.domain] = entity.state[row.domain] || {};
+      entity.state[row.domain][row.field] = JSON.parse(row.value);
+    }
+    state.field_history = {};
+    for (const row of handle.prepare("SELECT entity_id, domain, field, value FROM field_history ORDER BY entity_id, domain, field").all()) {
+      const byEntity = state.field_history[row.entity_id] || (state.field_history[row.entity_id] = {});
+      const byDomain = byEntity[row.domain] || (byEntity[row.domain] = {});
+      byDomain[row.field] = JSON.parse(row.value);
+    }
+    state.pending_confirmations = {};
+    for (const row of handle.prepare("SELECT prompt_id, value FROM pending_confirmations ORDER BY created_at, prompt_id").all()) {
+      state.pending_confirmations[row.prompt_id] = JSON.parse(row.value);
+    }
+    return state;
+  };
+
+  const writeRows = (handle, state) => {
+    const revision = Number(getMeta(handle, "revision") || 0);
+    if (cache.revision !== revision) {
+      cache = { revision, rows: splitStateIntoRows(readRows(handle)) };
+    }
+    const next = splitStateIntoRows(state);
+    for (const [key, row] of next) {
+      if (cache.rows.get(key)?.value === row.value) {
+        continue;
+      }
+      const spec = SQLITE_STATE_TABLES[row.table];
+      const columns = [...spec.keys, ...spec.extra, "value"];
+      handle
+        .prepare(`INSERT OR REPLACE INTO ${row.table} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`)
+        .run(...row.keys, ...row.extra, row.value);
+    }
+    for (const [key, row] of cache.rows) {
+      if (next.has(key)) {
+        continue;
+      }
+      const spec = SQLITE_STATE_TABLES[row.table];
+      handle
+        .prepare(`DELETE FROM ${row.table} WHERE ${spec.keys.map((column) => `${column} = ?`).join(" AND ")}`)
+        .run(...row.keys);
+    }
+    setMeta(handle, "revision", revision + 1);
+    cache = { revision: revision + 1, rows: next };
+  };
+
+  const insertLine = (handle, stream, line) => {
+    handle.prepare("INSERT INTO stream_lines (stream, line) VALUES (?, ?)").run(stream, line);
+  };
+
+  const insertDedup = (handle, entry) => {
+    handle
+      .prepare("INSERT OR REPLACE INTO dedup_index (event_id, source_type, seen_at) VALUES (?, ?, ?)")
+      .run(entry.event_id, entry.source_type, entry.seen_at || null);
+  };
+
+  const upsertDedupHits = (handle, sourceType, count, lastHitAt) => {
+    handle.prepare(`
+      INSERT INTO dedup_hits (source_type, hits, last_hit_at) VALUES (?, ?, ?)
+      ON CONFLICT(source_type) DO UPDATE SET
+        hits = hits + excluded.hits,
+        last_hit_at = max(coalesce(last_hit_at, ''), coalesce(excluded.last_hit_at, ''))
+    `).run(String(sourceType || "unknown"), count, lastHitAt || null);
+  };
+
+  return {
+    backend: "sqlite",
+    location: paths.stateSqlite,
+    ensure() {
+      if (getMeta(open(), "initialized_at")) {
+        return;
+      }
+      // First use of the SQLite backend imports whatever the file layout holds.
+      transaction((handle) => {
+        if (getMeta(handle, "initialized_at")) {
+          return;
+        }
+        const tracker = readJsonIfExists(paths.stateTracker, null);
+        for (const stream of STORAGE_STREAMS) {
+          const file = getStreamFile(paths, stream);
+          const lines = fs.existsSync(file)
+            ? splitStreamLines(readTextIfExists(file, ""))
+            : (stream === "journal" ? buildJournalBaselineLines(tracker) : []);
+          for (const line of lines) {
+            insertLine(handle, stream, line);
+          }
+        }
+        const dedup = refreshDedupCache(createDedupCache(), paths.stateDedup);
+        for (const [eventId, entry] of dedup.entries) {
+          insertDedup(handle, { event_id: eventId, ...entry });
+        }
+        for (const [sourceType, count] of Object.entries(dedup.hits.by_source)) {
+          upsertDedupHits(handle, sourceType, count, dedup.hits.last_hit_at);
+        }
+        writeRows(handle, tracker || createDefaultState());
+        setMeta(handle, "initialized_at", nowIso());
+        setMeta(handle, "bootstrapped_from", tracker ? paths.stateTracker : "");
+      });
+    },
+    readState() {
+      if (!db && !fs.existsSync(paths.stateSqlite)) {
+        return null;
+      }
+      const handle = open();
+      const state = readRows(handle);
+      cache = { revision: Number(getMeta(handle, "revision") || 0), rows: splitStateIntoRows(state) };
+      return state;
+    },
+    writeState(state) {
+      transaction((handle) => writeRows(handle, state));
+    },
+    backupState(targetPath) {
+      const state = this.readState();
+      if (!state) {
+        return false;
+      }
+      writeJson(targetPath, state);
+      return true;
+    },
+    appendStreamLine(stream, line) {
+      getStreamFile(paths, stream);
+      insertLine(open(), stream, line);
+    },
+    appendStreamLines(stream, lines) {
+      getStreamFile(paths, stream);
+      transaction((handle) => {
+        for (const line of lines) {
+          insertLine(handle, stream, line);
+        }
+      });
+    },
+    readStreamLines(stream) {
+      getStreamFile(paths, stream);
+      if (!db && !fs.existsSync(paths.stateSqlite)) {
+        return [];
+      }
+      return open()
+        .prepare("SELECT line FROM stream_lines WHERE stream = ? ORDER BY seq")
+        .all(stream)
+        .map((row) => row.line);
+    },
+    replaceStreamPrefix(stream, consumed, lines) {
+      getStreamFile(paths, stream);
+      transaction((handle) => {
+        const appendedSince = handle
+          .prepare("SELECT line FROM stream_lines WHERE stream = ? ORDER BY seq LIMIT -1 OFFSET ?")
+          .all(stream, consumed)
+          .map((row) => row.line);
+        handle.prepare("DELETE FROM stream_lines WHERE stream = ?").run(stream);
+        for (const line of [...lines, ...appendedSince]) {
+          insertLine(handle, stream, line);
+        }
+      });
+    },
+    appendArchiveLines(stream, archiveKey, lines) {
+      getStreamFile(paths, stream);
+      transaction((handle) => {
+        const insert = handle.prepare("INSERT INTO stream_archive (stream, archive_key, line) VALUES (?, ?, ?)");
+        for (const line of lines) {
+          insert.run(stream, archiveKey, line);
+        }
+      });
+    },
+    listArchives(stream) {
+      if (!db && !fs.existsSync(paths.stateSqlite)) {
+        return [];
+      }
+      return open()
+        .prepare("SELECT DISTINCT archive_key FROM stream_archive WHERE stream = ? ORDER BY archive_key")
+        .all(stream)
+        .map((row) => row.archive_key);
+    },
+    readArchiveLines(stream, archiveKey) {
+      return open()
+        .prepare("SELECT line FROM stream_archive WHERE stream = ? AND archive_key = ? ORDER BY seq")
+        .all(stream, archiveKey)
+        .map((row) => row.line);
+    },
+    dedupLookup(eventId) {
+      const row = open().prepare("SELECT source_type, seen_at FROM dedup_index WHERE event_id = ?").get(eventId);
+      return row ? { source_type: row.source_type, seen_at: row.seen_at } : null;
+    },
+    dedupRecord(entry) {
+      insertDedup(open(), entry);
+    },
+    dedupRecordHit(hit) {
+      upsertDedupHits(open(), hit.source_type, 1, hit.ts);
+    },
+    dedupSummary() {
+      const handle = open();
+      const bySource = {};
+      let entries = 0;
+      for (const row of handle.prepare("SELECT source_type, COUNT(*) AS count FROM dedup_index GROUP BY source_type").all()) {
+        bySource[row.source_type] = Number(row.count);
+        entries += Number(row.count);
+      }
+      const hits = { total: 0, by_source: {}, last_hit_at: null };
+      for (const row of handle.prepare("SELECT source_type, hits, last_hit_at FROM dedup_hits").all()) {
+        hits.total += Number(row.hits);
+        hits.by_source[row.source_type] = Number(row.hits);
+        hits.last_hit_at = maxIso(hits.last_hit_at, row.last_hit_at);
+      }
+      return { entries, entries_by_source: bySource, hits };
+    },
+    dedupNeedsCompaction() {
+      return false;
+    },
+    dedupPrune(cutoffForSource) {
+      return transaction((handle) => {
+        let removed = 0;
+        for (const row of handle.prepare("SELECT DISTINCT source_type FROM dedup_index").all()) {
+          const cutoff = cutoffForSource(row.source_type);
+          if (cutoff === null) {
+            continue;
+          }
+          const result = handle
+            .prepare("DELETE FROM dedup_index WHERE source_type = ? AND seen_at < ?")
+            .run(row.source_type, cutoff);
+          removed += Number(result.changes || 0);
+        }
+        return removed;
+      });
+    },
+    check() {
+      if (!fs.existsSync(paths.stateSqlite)) {
+        return { status: "warn", message: "database not found" };
+      }
+      const result = open().prepare("PRAGMA quick_check").get();
+      const verdict = Object.values(result || {})[0];
+      return verdict === "ok"
+        ? { status: "ok", message: "database is present and passes quick_check" }
+        : { status: "error", message: `quick_check failed: ${verdict}` };
+    }
+  };
+}
+
+const storageAdapters = new Map();
+
+function resolveStorageBackend(options = {}) {
+  const env = options.env || process.env;
+  const backend = String(options.storage || env.STATE_STORAGE || "file").trim().toLowerCase();
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STATE_STORAGE backend: ${backend} (expected one of ${STORAGE_BACKENDS.join(", ")})`);
+  }
+  return backend;
+}
+
+function getStorage(rootDir, options = {}) {
+  const backend = resolveStorageBackend(options);
+  const key = `${backend}:${path.resolve(rootDir)}`;
+  if (!storageAdapters.has(key)) {
+    const paths = getPaths(rootDir);
+    storageAdapters.set(key, backend === "sqlite" ? createSqliteStorage(paths) : createFileStorage(paths));
+  }
+  return storageAdapters.get(key);
+}
+
+const heldStateLocks = new Map();
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, Math.max(0, ms));
+}
+
+function resolveStateLockOptions(options = {}) {
+  const env = options.env || process.env;
+  return {
+    timeout_ms: Math.max(0, parseFiniteNumber(options.lock_timeout_ms ?? env.STATE_LOCK_TIMEOUT_MS, STATE_LOCK_DEFAULTS.timeout_ms)),
+    stale_ms: Math.max(1000, parseFiniteNumber(options.lock_stale_ms ?? env.STATE_LOCK_STALE_MS, STATE_LOCK_DEFAULTS.stale_ms)),
+    poll_ms: STATE_LOCK_DEFAULTS.poll_ms
+  };
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+function readStateLockInfo(lockPath) {
+  let stat;
+  try {
+    stat = fs.statSync(lockPath);
+  } catch (_error) {
+    return null;
+  }
+  const info = readJsonIfExistsSafe(lockPath, null) || {};
+  return {
+    token: info.token || "",
+    pid: Number(info.pid) || null,
+    hostname: info.hostname || "",
+    acquired_at: parseIsoMaybe(info.acquired_at) || stat.mtime.toISOString()
+  };
+}
+
+function isStateLockStale(holder, staleMs) {
+  if (!holder) {
+    return false;
+  }
+  if (holder.pid && holder.hostname === os.hostname() && !isProcessAlive(holder.pid)) {
+    return true;
+  }
+  return Date.now() - Date.parse(holder.acquired_at) > staleMs;
+}
+
+function breakStaleStateLock(lockPath, holder) {
+  const current = readStateLockInfo(lockPath);
+  if (!current || current.token !== holder.token || current.acquired_at !== holder.acquired_at) {
+    return;
+  }
+  const parked = `${lockPath}.stale-${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+  try {
+    fs.renameSync(lockPath, parked);
+  } catch (_error) {
+    return;
+  }
+  fs.rmSync(parked, { force: true });
+}
+
+function createStateLockError(lockPath, holder) {
+  const owner = holder ? `pid=${holder.pid || "unknown"} since ${holder.acquired_at}` : "another process";
+  const error = new Error(`state tracker is locked by ${owner} (${lockPath})`);
+  error.code = "locked";
+  error.lock = holder;
+  return error;
+}
+
+function acquireStateLock(lockPath, options = {}) {
+  const settings = resolveStateLockOptions(options);
+  const deadline = Date.now() + settings.timeout_ms;
+  const token = randomUuid();
+  ensureDirForFile(lockPath);
+
+  for (;;) {
+    let fd = null;
+    try {
+      fd = fs.openSync(lockPath, "wx");
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+    if (fd !== null) {
+      try {
+        fs.writeFileSync(fd, `${JSON.stringify({
+          token,
+          pid: process.pid,
+          hostname: os.hostname(),
+          acquired_at: nowIso()
+        })}\n`, "utf8");
+      } finally {
+        fs.closeSync(fd);
+      }
+      return token;
+    }
+
+    const holder = readStateLockInfo(lockPath);
+    if (isStateLockStale(holder, settings.stale_ms)) {
+      breakStaleStateLock(lockPath, holder);
+      continue;
+    }
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      throw createStateLockError(lockPath, holder);
+    }
+    sleepSync(Math.min(settings.poll_ms, remaining));
+  }
+}
+
+function releaseStateLock(lockPath, token) {
+  const holder = readStateLockInfo(lockPath);
+  if (holder && holder.token === token) {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+function withStateLock(rootDir, fn, options = {}) {
+  const lockPath = path.resolve(getPaths(rootDir).stateLock);
+  const held = heldStateLocks.get(lockPath);
+  if (held) {
+    held.depth += 1;
+    try {
+      return fn();
+    } finally {
+      held.depth -= 1;
+    }
+  }
+
+  const token = acquireStateLock(lockPath, options);
+  heldStateLocks.set(lockPath, { token, depth: 1 });
+  try {
+    return fn();
+  } finally {
+    heldStateLocks.delete(lockPath);
+    releaseStateLock(lockPath, token);
+  }
+}
+
+function ensureStateFiles(rootDir) {
   const paths = getPaths(rootDir);
+  getStorage(rootDir).ensure();
+  return paths;
+}
+
+function createStateVersionError(version) {
+  const error = new Error(
+    `state-tracker version ${version} is newer than this engine supports (v${CURRENT_STATE_VERSION}); upgrade openclaw-state-consistency before loading it`
+  );
+  error.code = "unsupported_state_version";
+  return error;
+}
+
+function migrateStateShape(state, context = {}) {
+  let version = Number.isInteger(state.version) ? state.version : 1;
+  if (version > CURRENT_STATE_VERSION) {
+    throw createStateVersionError(version);
+  }
+  const applied = [];
+  for (const step of STATE_MIGRATIONS) {
+    if (step.from !== version) {
+      continue;
+    }
+    step.migrate(state, context);
+    version = step.to;
+    state.version = version;
+    applied.push(`v${step.from}->v${step.to}`);
+  }
+  if (version !== CURRENT_STATE_VERSION) {
+    throw new Error(`No migration path from state version ${version} to v${CURRENT_STATE_VERSION}`);
+  }
+  return applied;
+}
+
+function persistStateUpgrade(rootDir, storage, state, applied) {
+  withStateLock(rootDir, () => {
+    const stored = storage.readState();
+    if (stored && Number(stored.version) >= CURRENT_STATE_VERSION) {
+      return;
+    }
+    const stamp = nowIso().replace(/[:.]/g, "-");
+    const backupPath = `${getPaths(rootDir).stateTracker}.pre-v${CURRENT_STATE_VERSION}-${stamp}`;
+    const backedUp = storage.backupState(backupPath);
+    storage.writeState(state);
+    logStateChange(
+      rootDir,
+      `state_migration | ${applied.join(",")} | backup=${backedUp ? backupPath : "none"}`
+    );
+  });
+}
+
+function loadState(rootDir) {
+  ensureStateFiles(rootDir);
+  const storage = getStorage(rootDir);
+  const state = storage.readState() || createDefaultState();
+  const applied = migrateStateShape(state, { rootDir });
+  if (applied.length > 0) {
+    persistStateUpgrade(rootDir, storage, state, applied);
+  }
+
+  state.runtime.adaptive_learning = ensureAdaptiveRuntime(state.runtime.adaptive_learning);
+  state.runtime.adaptive_learning_enabled = Boolean(
+    state.runtime.adaptive_learning_enabled || state.runtime.adaptive_learning.mode === ADAPTIVE_MODE_APPLY
+  );
+  const domainConfig = loadDomainConfig(rootDir);
+  state.domains = { ...JSON.parse(JSON.stringify(domainConfig.domains)), ...(state.domains || {}) };
+  for (const [domain, settings] of Object.entries(state.domains)) {
+    if (!settings.decay) {
+      settings.decay = JSON.parse(JSON.stringify(domainConfig.domains[domain]?.decay || LINEAR_DECAY));
+    }
+  }
+  const sourceRegistry = loadSourceRegistry(rootDir);
+  state.source_reliability = { ...SOURCE_RELIABILITY_DEFAULTS, ...(state.source_reliability || {}) };
+  for (const sourceType of sourceRegistry.registered) {
+    state.source_reliability[sourceType] = sourceRegistry.types[sourceType].reliability;
+  }
+  for (const [sourceType, learned] of Object.entries(state.learned_source_reliability || {})) {
+    state.source_reliability[sourceType] = learned.reliability;
+  }
+  return state;
+}
+
+function saveState(rootDir, state) {
+  withStateLock(rootDir, () => {
+    state.last_consistency_check = nowIso();
+    getStorage(rootDir).writeState(state);
+  });
+}
+
+function updateState(rootDir, mutate, options = {}) {
+  return withStateLock(rootDir, () => {
+    const state = loadState(rootDir);
+    const result = mutate(state);
+    saveState(rootDir, state);
+    return result;
+  }, options);
+}
+
+function logStateChange(rootDir, line) {
+  getStorage(rootDir).appendStreamLine("changes", `- ${nowIso()} | ${line}`);
+}
+
+function appendLearningEvent(rootDir, event) {
   const ts = parseIsoMaybe(event.ts) || nowIso();
   const record = {
-    learning_event_id: event.learning_event_id || randomUuid(),
-    ts,
-    entity_id: event.entity_id || DEFAULT_ENTITY_ID,
-    domain: VALID_DOMAINS.includes(event.domain) ? event.domain : "general",
-    field: String(event.field || ""),
-    decision: String(event.decision || "ask_user"),
-    action: String(event.action || ""),
-    outcome: String(event.outcome || ""),
-    confidence: round3(clamp(parseFiniteNumber(event.confidence, 0), 0, 1)),
-    intent: VALID_INTENTS.includes(event.intent) ? event.intent : "historical",
-    source_type: String(event.source_type || ""),
-    source_ref: String(event.source_ref || ""),
-    prompt_id: String(event.prompt_id || ""),
-    meta: event.meta && typeof event.meta === "object" ? event.meta : {}
+    learning_event_id: event.learning_event_id || randomUuid(),
+    ts,
+    entity_id: event.entity_id || DEFAULT_ENTITY_ID,
+    domain: resolveDomainName(rootDir, event.domain),
+    field: String(event.field || ""),
+    decision: String(event.decision || "ask_user"),
+    action: String(event.action || ""),
+    outcome: String(event.outcome || ""),
+    confidence: round3(clamp(parseFiniteNumber(event.confidence, 0), 0, 1)),
+    intent: VALID_INTENTS.includes(event.intent) ? event.intent : "historical",
+    source_type: String(event.source_type || ""),
+    source_ref: String(event.source_ref || ""),
+    prompt_id: String(event.prompt_id || ""),
+    meta: event.meta && typeof event.meta === "object" ? event.meta : {}
+  };
+  getStorage(rootDir).appendStreamLine("learning_events", JSON.stringify(record));
+  return record;
+}
+
+function loadLearningEvents(rootDir, options = {}) {
+  ensureStateFiles(rootDir);
+  const lookbackDays = Math.max(1, Math.round(parseFiniteNumber(options.lookback_days, ADAPTIVE_DEFAULTS.lookback_days)));
+  const cutoffMs = Date.now() - lookbackDays * 24 * 60 * 60 * 1000;
+  const storage = getStorage(rootDir);
+  const cutoffKey = archiveKeyForTs(new Date(cutoffMs).toISOString());
+  const lines = [
+    ...storage.listArchives("learning_events")
+      .filter((archiveKey) => archiveKey >= cutoffKey)
+      .flatMap((archiveKey) => storage.readArchiveLines("learning_events", archiveKey)),
+    ...storage.readStreamLines("learning_events")
+  ];
+
+  const events = [];
+  const seenIds = new Set();
+  let malformedLines = 0;
+  for (const line of lines) {
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch (_error) {
+      malformedLines += 1;
+      continue;
+    }
+    if (!parsed || typeof parsed !== "object") {
+      malformedLines += 1;
+      continue;
+    }
+    const ts = parseIsoMaybe(parsed.ts);
+    if (!ts) {
+      malformedLines += 1;
+      continue;
+    }
+    const tsMs = Date.parse(ts);
+    if (!Number.isFinite(tsMs) || tsMs < cutoffMs) {
+      continue;
+    }
+    if (parsed.learning_event_id) {
+      if (seenIds.has(parsed.learning_event_id)) {
+        continue;
+      }
+      seenIds.add(parsed.learning_event_id);
+    }
+    const domain = resolveDomainName(rootDir, parsed.domain);
+    events.push({
+      ...parsed,
+      ts,
+      domain,
+      confidence: round3(clamp(parseFiniteNumber(parsed.confidence, 0), 0, 1))
+    });
+  }
+
+  events.sort((a, b) => String(a.ts).localeCompare(String(b.ts)));
+  return {
+    events,
+    malformed_lines: malformedLines,
+    lookback_days: lookbackDays,
+    total_lines: lines.length
+  };
+}
+
+function ensureJournalFile(paths) {
+  const lines = buildJournalBaselineLines(readJsonIfExistsSafe(paths.stateTracker, null));
+  ensureDirForFile(paths.stateJournal);
+  try {
+    fs.writeFileSync(paths.stateJournal, lines.map((line) => `${line}\n`).join(""), { encoding: "utf8", flag: "wx" });
+  } catch (error) {
+    if (error.code !== "EEXIST") {
+      throw error;
+    }
+  }
+}
+
+function appendJournalRecord(rootDir, record) {
+  getStorage(rootDir).appendStreamLine("journal", JSON.stringify(record));
+  return record;
+}
+
+function loadJournal(rootDir) {
+  ensureStateFiles(rootDir);
+  const lines = getStorage(rootDir).readStreamLines("journal");
+
+  const records = [];
+  let malformedLines = 0;
+  for (const line of lines) {
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch (_error) {
+      malformedLines += 1;
+      continue;
+    }
+    if (!parsed || typeof parsed !== "object" || !parsed.type || !parseIsoMaybe(parsed.ts)) {
+      malformedLines += 1;
+      continue;
+    }
+    records.push(parsed);
+  }
+
+  return {
+    records,
+    malformed_lines: malformedLines,
+    total_lines: lines.length
+  };
+}
+
+function getJournalSummary(rootDir) {
+  const { records, malformed_lines } = loadJournal(rootDir);
+  return {
+    records: records.length,
+    malformed_lines,
+    last_record_at: records.length > 0 ? records[records.length - 1].ts : null
+  };
+}
+
+// Record types written once per ingested observation; their event ids feed the dedup index.
+const JOURNAL_INGEST_RECORD_TYPES = [
+  "observation_committed",
+  "observation_retracted",
+  "observation_reconfirmed",
+  "prompt_created",
+  "observation_tentative"
+];
+
+function applyJournalRecord(state, record) {
+  if (record.type === "baseline" || record.type === "snapshot_restored") {
+    const baseline = JSON.parse(JSON.stringify(record.state || {}));
+    migrateStateShape(baseline);
+    delete baseline.runtime;
+    return Object.assign(createDefaultState(), baseline);
+  }
+
+  if (record.type === "observation_committed" || record.type === "observation_retracted") {
+    applyCommittedObservation(state, record.observation, record.confidence, {
+      decision: record.decision_path || "auto_commit",
+      committed_at: record.ts
+    });
+    state.learning_stats.auto_commits += 1;
+    return state;
+  }
+
+  if (record.type === "prompt_created") {
+    state.pending_confirmations[record.prompt.prompt_id] = record.prompt;
+    if (record.conflict && !record.conflict.resolved_at) {
+      state.active_conflicts = [
+        ...(state.active_conflicts || []).filter((item) => item.conflict_id !== record.conflict.conflict_id),
+        record.conflict
+      ];
+    }
+    return state;
+  }
+
+  if (record.type === "observation_tentative") {
+    pushTentativeObservation(state, record.tentative);
+    return state;
+  }
+
+  if (record.type === "review_promoted") {
+    state.pending_confirmations[record.prompt.prompt_id] = record.prompt;
+    const tentative = state.tentative_observations.find((item) => (
+      item.event_id === record.tentative_event_id && !item.promoted_at
+    ));
+    if (tentative) {
+      tentative.promoted_at = record.ts;
+      tentative.prompt_id = record.prompt.prompt_id;
+    }
+    return state;
+  }
+
+  if (record.type === "confirmation_applied") {
+    state.learning_stats.ask_user_confirmations += 1;
+    delete state.pending_confirmations[record.prompt_id];
+    state.active_conflicts = (state.active_conflicts || []).filter((item) => item.prompt_id !== record.prompt_id);
+    if (record.action === "reject") {
+      state.learning_stats.user_rejects += 1;
+      return state;
+    }
+    if (record.outcome !== "committed") {
+      return state;
+    }
+    applyCommittedObservation(state, record.observation, record.confidence, {
+      decision: record.action === "edit" ? "user_edit" : "user_confirm",
+      committed_at: record.ts,
+      prompt_id: record.prompt_id
+    });
+    if (record.action === "edit") {
+      state.learning_stats.user_edits += 1;
+    } else {
+      state.learning_stats.user_confirms += 1;
+    }
+    return state;
+  }
+
+  if (record.type === "observation_reconfirmed") {
+    return applyReconfirmation(state, record);
+  }
+
+  if (record.type === "prompt_corroborated") {
+    delete state.pending_confirmations[record.prompt_id];
+    state.active_conflicts = (state.active_conflicts || []).filter((item) => item.prompt_id !== record.prompt_id);
+    const observation = record.observation;
+    const committed = state.entities[observation.entity_id]?.state?.[observation.domain]?.[fieldKeyFromObservation(observation)];
+    const alreadyCommitted = record.already_committed ?? Boolean(committed && valuesEquivalent(committed.value, observation.candidate_value));
+    if (alreadyCommitted) {
+      return state;
+    }
+    applyCommittedObservation(state, observation, record.confidence, {
+      decision: "corroborated",
+      committed_at: record.ts,
+      prompt_id: record.prompt_id
+    });
+    state.learning_stats.auto_commits += 1;
+    return state;
+  }
+
+  if (record.type === "entity_registered") {
+    state.entity_registry = state.entity_registry || {};
+    state.entity_registry[record.entity_id] = record.entity;
+    return state;
+  }
+
+  if (record.type === "conflict_dismissed") {
+    state.active_conflicts = (state.active_conflicts || []).filter((item) => item.conflict_id !== record.conflict_id);
+    return state;
+  }
+
+  if (record.type === "scheduled_fact_activated") {
+    return applyScheduledActivation(state, record);
+  }
+
+  if (record.type === "field_expired") {
+    return applyFieldExpiry(state, record);
+  }
+
+  if (record.type === "source_reliability_changed") {
+    state.learned_source_reliability = state.learned_source_reliability || {};
+    state.learned_source_reliability[record.source_type] = {
+      reliability: record.reliability,
+      alpha: record.alpha,
+      beta: record.beta,
+      sample_count: record.sample_count,
+      updated_at: record.ts
+    };
+    state.source_reliability[record.source_type] = record.reliability;
+    return state;
+  }
+
+  if (record.type === "threshold_changed") {
+    state.domains[record.domain] = {
+      ...(state.domains[record.domain] || DOMAIN_DEFAULTS.general),
+      ask_threshold: record.ask_threshold,
+      auto_threshold: record.auto_threshold
+    };
+    if (record.margin_threshold !== undefined) {
+      state.domains[record.domain].margin_threshold = record.margin_threshold;
+    }
+    if (record.conflict_strategy !== undefined) {
+      state.domains[record.domain].conflict_strategy = record.conflict_strategy;
+    }
+    if (record.decay !== undefined) {
+      state.domains[record.domain].decay = record.decay;
+    }
+    return state;
+  }
+
+  return state;
+}
+
+function recordJournalEvent(rootDir, state, event) {
+  const record = {
+    journal_id: randomUuid(),
+    ts: nowIso(),
+    ...event
   };
-  appendLine(paths.stateLearningEvents, JSON.stringify(record));
+  appendJournalRecord(rootDir, record);
+  applyJournalRecord(state, record);
   return record;
 }
 
-function loadLearningEvents(rootDir, options = {}) {
+function getStateAsOf(rootDir, ts, options = {}) {
+  const asOf = parseIsoMaybe(ts);
+  if (!asOf) {
+    throw new Error(`Invalid timestamp: ${ts}`);
+  }
+  const asOfMs = Date.parse(asOf);
+  const entityFilter = options.entity_id || "";
+  const journal = loadJournal(rootDir);
+
+  let state = createDefaultState();
+  let applied = 0;
+  for (const record of journal.records) {
+    if (Date.parse(record.ts) > asOfMs) {
+      break;
+    }
+    state = applyJournalRecord(state, record);
+    applied += 1;
+  }
+
+  const entities = {};
+  for (const entry of toStableStateEntries(state, entityFilter)) {
+    const byEntity = entities[entry.entity_id] || (entities[entry.entity_id] = {});
+    const byDomain = byEntity[entry.domain] || (byEntity[entry.domain] = {});
+    byDomain[entry.field] = entry.record;
+  }
+  const pending = Object.values(state.pending_confirmations)
+    .filter((item) => !entityFilter || item.entity_id === entityFilter)
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+    .map((item) => ({
+      prompt_id: item.prompt_id,
+      entity_id: item.entity_id,
+      domain: item.domain,
+      proposed_change: item.proposed_change,
+      confidence: item.confidence,
+      created_at: item.created_at
+    }));
+
+  const journalStartsAt = journal.records.length > 0 ? journal.records[0].ts : null;
+  return {
+    status: "ok",
+    as_of: asOf,
+    journal_starts_at: journalStartsAt,
+    before_journal_start: !journalStartsAt || Date.parse(journalStartsAt) > asOfMs,
+    records_applied: applied,
+    entities,
+    committed_fields: toStableStateEntries(state, entityFilter).length,
+    scheduled: listScheduledFacts(state, entityFilter),
+    pending_confirmations: pending
+  };
+}
+
+function rebuildStateFromJournal(rootDir, options = {}) {
   const paths = ensureStateFiles(rootDir);
-  const lookbackDays = Math.max(1, Math.round(parseFiniteNumber(options.lookback_days, ADAPTIVE_DEFAULTS.lookback_days)));
-  const cutoffMs = Date.now() - lookbackDays * 24 * 60 * 60 * 1000;
-  const text = readTextIfExists(paths.stateLearningEvents, "");
-  const lines = text
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter(Boolean);
+  const storage = getStorage(rootDir);
+  const dryRun = Boolean(options.dry_run);
+
+  return withStateLock(rootDir, () => {
+    const journal = loadJournal(rootDir);
+    let rebuilt = createDefaultState();
+    const appliedByType = {};
+    for (const record of journal.records) {
+      rebuilt = applyJournalRecord(rebuilt, record);
+      appliedByType[record.type] = (appliedByType[record.type] || 0) + 1;
+    }
 
-  const events = [];
-  let malformedLines = 0;
-  for (const line of lines) {
-    let parsed;
+    let current = null;
     try {
-      parsed = JSON.parse(line);
+      current = storage.readState();
     } catch (_error) {
-      malformedLines += 1;
-      continue;
+      current = null;
     }
-    if (!parsed || typeof parsed !== "object") {
-      malformedLines += 1;
-      continue;
+    if (current?.runtime && typeof current.runtime === "object") {
+      rebuilt.runtime = current.runtime;
     }
-    const ts = parseIsoMaybe(parsed.ts);
-    if (!ts) {
-      malformedLines += 1;
-      continue;
+
+    const summary = {
+      status: "ok",
+      dry_run: dryRun,
+      records_applied: journal.records.length,
+      records_by_type: appliedByType,
+      malformed_lines: journal.malformed_lines,
+      entities: Object.keys(rebuilt.entities).length,
+      committed_fields: toStableStateEntries(rebuilt).length,
+      pending_confirmations: Object.keys(rebuilt.pending_confirmations).length,
+      tentative_observations: rebuilt.tentative_observations.length,
+      backup_path: null,
+      dedup_restored: 0
+    };
+    if (dryRun) {
+      return summary;
     }
-    const tsMs = Date.parse(ts);
-    if (!Number.isFinite(tsMs) || tsMs < cutoffMs) {
+
+    const stamp = nowIso().replace(/[:.]/g, "-");
+    const backupPath = `${paths.stateTracker}.pre-rebuild-${stamp}`;
+    if (storage.backupState(backupPath)) {
+      summary.backup_path = backupPath;
+    }
+    saveState(rootDir, rebuilt);
+    for (const record of journal.records) {
+      if (!JOURNAL_INGEST_RECORD_TYPES.includes(record.type) || !record.observation?.event_id) {
+        continue;
+      }
+      if (!storage.dedupLookup(record.observation.event_id)) {
+        rememberProcessedEvent(rootDir, record.observation, record.ts);
+        summary.dedup_restored += 1;
+      }
+    }
+    logStateChange(
+      rootDir,
+      `journal_rebuild | records=${journal.records.length} | malformed=${journal.malformed_lines} | committed_fields=${summary.committed_fields}`
+    );
+    return summary;
+  });
+}
+
+function resolveSnapshotPath(paths, name) {
+  const raw = String(name || "").trim();
+  if (!SNAPSHOT_NAME_PATTERN.test(raw)) {
+    throw new Error(`Invalid snapshot name: ${raw || "(empty)"} (use letters, digits, '.', '_' or '-')`);
+  }
+  return path.join(paths.stateSnapshots, `${raw}.json`);
+}
+
+function readSnapshot(rootDir, name) {
+  const filePath = resolveSnapshotPath(getPaths(rootDir), name);
+  const snapshot = readJsonIfExists(filePath, null);
+  if (!snapshot || typeof snapshot.state !== "object") {
+    throw new Error(`Snapshot not found: ${name}`);
+  }
+  return snapshot;
+}
+
+function pruneAutoSnapshots(rootDir) {
+  const autos = listSnapshots(rootDir).items.filter((item) => item.auto);
+  for (const item of autos.slice(0, Math.max(0, autos.length - MAX_AUTO_SNAPSHOTS))) {
+    fs.rmSync(item.path, { force: true });
+  }
+}
+
+function createSnapshot(rootDir, name, options = {}) {
+  // `diff` and `restore` read "current" as the live state, so no snapshot may take that name.
+  if (name === "current") {
+    throw new Error("Invalid snapshot name: current (reserved for the live state)");
+  }
+  const paths = ensureStateFiles(rootDir);
+  const filePath = resolveSnapshotPath(paths, name);
+  return withStateLock(rootDir, () => {
+    if (fs.existsSync(filePath) && !options.force) {
+      throw new Error(`Snapshot already exists: ${name} (pass --force to overwrite)`);
+    }
+    const state = loadState(rootDir);
+    const snapshot = {
+      name,
+      created_at: nowIso(),
+      auto: Boolean(options.auto),
+      reason: options.reason || "",
+      storage_backend: getStorage(rootDir).backend,
+      journal_records: loadJournal(rootDir).records.length,
+      state
+    };
+    writeJson(filePath, snapshot);
+    if (snapshot.auto) {
+      pruneAutoSnapshots(rootDir);
+    }
+    logStateChange(rootDir, `snapshot_create | name=${name}${snapshot.reason ? ` | reason=${snapshot.reason}` : ""}`);
+    return {
+      status: "ok",
+      name,
+      path: filePath,
+      created_at: snapshot.created_at,
+      committed_fields: toStableStateEntries(state).length,
+      pending_confirmations: Object.keys(state.pending_confirmations).length
+    };
+  });
+}
+
+function createAutoSnapshot(rootDir, prefix, reason) {
+  const stamp = nowIso().replace(/[:.]/g, "-");
+  return createSnapshot(rootDir, `${prefix}-${stamp}`, { auto: true, force: true, reason }).name;
+}
+
+function listSnapshots(rootDir) {
+  const paths = getPaths(rootDir);
+  const files = fs.existsSync(paths.stateSnapshots)
+    ? fs.readdirSync(paths.stateSnapshots).filter((file) => file.endsWith(".json"))
+    : [];
+  const items = [];
+  for (const file of files) {
+    const filePath = path.join(paths.stateSnapshots, file);
+    const snapshot = readJsonIfExistsSafe(filePath, null);
+    if (!snapshot || typeof snapshot.state !== "object") {
       continue;
     }
-    const domain = VALID_DOMAINS.includes(parsed.domain) ? parsed.domain : "general";
-    events.push({
-      ...parsed,
-      ts,
-      domain,
-      confidence: round3(clamp(parseFiniteNumber(parsed.confidence, 0), 0, 1))
+    items.push({
+      name: snapshot.name || path.basename(file, ".json"),
+      created_at: snapshot.created_at || null,
+      auto: Boolean(snapshot.auto),
+      reason: snapshot.reason || "",
+      committed_fields: toStableStateEntries({ entities: snapshot.state.entities || {} }).length,
+      pending_confirmations: Object.keys(snapshot.state.pending_confirmations || {}).length,
+      path: filePath
     });
   }
+  items.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  return {
+    status: "ok",
+    count: items.length,
+    items
+  };
+}
+
+function diffSnapshots(rootDir, fromName, toName) {
+  const resolveSide = (name) => (name === "current" ? loadState(rootDir) : readSnapshot(rootDir, name).state);
+  const from = resolveSide(fromName);
+  const to = resolveSide(toName);
+
+  const indexFields = (state) => new Map(
+    toStableStateEntries({ entities: state.entities || {} })
+      .map((entry) => [`${entry.entity_id}\u0000${entry.domain}\u0000${entry.field}`, entry])
+  );
+  const fromFields = indexFields(from);
+  const toFields = indexFields(to);
+  const describe = (entry) => ({
+    entity_id: entry.entity_id,
+    domain: entry.domain,
+    field: entry.field
+  });
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [key, entry] of toFields) {
+    const before = fromFields.get(key);
+    if (!before) {
+      added.push({ ...describe(entry), value: entry.record?.value });
+    } else if (JSON.stringify(before.record?.value) !== JSON.stringify(entry.record?.value)) {
+      changed.push({ ...describe(entry), from: before.record?.value, to: entry.record?.value });
+    }
+  }
+  for (const [key, entry] of fromFields) {
+    if (!toFields.has(key)) {
+      removed.push({ ...describe(entry), value: entry.record?.value });
+    }
+  }
 
-  events.sort((a, b) => String(a.ts).localeCompare(String(b.ts)));
+  const thresholds = [];
+  for (const domain of Object.keys({ ...(from.domains || {}), ...(to.domains || {}) }).sort()) {
+    const before = from.domains?.[domain] || {};
+    const after = to.domains?.[domain] || {};
+    if (before.ask_threshold !== after.ask_threshold || before.auto_threshold !== after.auto_threshold) {
+      thresholds.push({
+        domain,
+        from: { ask_threshold: before.ask_threshold ?? null, auto_threshold: before.auto_threshold ?? null },
+        to: { ask_threshold: after.ask_threshold ?? null, auto_threshold: after.auto_threshold ?? null }
+      });
+    }
+  }
+
+  const fromPending = Object.keys(from.pending_confirmations || {});
+  const toPending = Object.keys(to.pending_confirmations || {});
   return {
-    events,
-    malformed_lines: malformedLines,
-    lookback_days: lookbackDays,
-    total_lines: lines.length
+    status: "ok",
+    from: fromName,
+    to: toName,
+    fields: { added, removed, changed },
+    thresholds_changed: thresholds,
+    pending_added: toPending.filter((id) => !fromPending.includes(id)),
+    pending_removed: fromPending.filter((id) => !toPending.includes(id))
   };
 }
 
+function restoreSnapshot(rootDir, name, options = {}) {
+  ensureStateFiles(rootDir);
+  return withStateLock(rootDir, () => {
+    const snapshot = readSnapshot(rootDir, name);
+    const diff = diffSnapshots(rootDir, "current", name);
+    if (options.dry_run) {
+      return { status: "ok", dry_run: true, name, diff };
+    }
+
+    const current = loadState(rootDir);
+    const backupName = createAutoSnapshot(rootDir, "pre-restore", `restore:${name}`);
+    const restoredState = JSON.parse(JSON.stringify(snapshot.state));
+    delete restoredState.runtime;
+    const record = appendJournalRecord(rootDir, {
+      journal_id: randomUuid(),
+      ts: nowIso(),
+      type: "snapshot_restored",
+      snapshot: name,
+      state: restoredState
+    });
+    const next = applyJournalRecord(createDefaultState(), record);
+    next.runtime = current.runtime;
+    saveState(rootDir, next);
+    logStateChange(
+      rootDir,
+      `snapshot_restore | name=${name} | backup=${backupName} | added=${diff.fields.added.length} | removed=${diff.fields.removed.length} | changed=${diff.fields.changed.length}`
+    );
+    return {
+      status: "ok",
+      dry_run: false,
+      name,
+      backup_snapshot: backupName,
+      diff
+    };
+  });
+}
+
 function resolveAdaptiveLearningConfig(state, options = {}) {
   const env = options.env || process.env;
   const runtime = ensureAdaptiveRuntime(state?.runtime?.adaptive_learning);
@@ -717,186 +3020,645 @@ function computeAdaptiveDomainProposal(domainCfg, events, config) {
     nextAsk = Math.max(THRESHOLD_BOUNDS.ask_min, nextAuto - THRESHOLD_BOUNDS.min_gap);
   }
 
-  nextAuto = round3(nextAuto);
-  nextAsk = round3(nextAsk);
+  nextAuto = round3(nextAuto);
+  nextAsk = round3(nextAsk);
+
+  return {
+    sample_count: sampleCount,
+    confirm_count: confirmEvents.length,
+    correction_count: correctionEvents.length,
+    confirmation_rate: round3(confirmationRate),
+    correction_rate: round3(correctionRate),
+    current_ask_threshold: round3(currentAsk),
+    current_auto_threshold: round3(currentAuto),
+    proposed_ask_threshold: round3(candidateAsk),
+    proposed_auto_threshold: round3(candidateAuto),
+    next_ask_threshold: nextAsk,
+    next_auto_threshold: nextAuto,
+    changed: nextAsk !== round3(currentAsk) || nextAuto !== round3(currentAuto)
+  };
+}
+
+// Confirms count as successes and rejects/edits as failures; the posterior mean is approached
+// by at most max_daily_step per run, like the domain thresholds.
+function computeSourceReliabilityProposal(currentReliability, priorReliability, events, config) {
+  const confirmCount = events.filter((item) => item.action === "confirm").length;
+  const correctionCount = events.filter((item) => item.action === "reject" || item.action === "edit").length;
+  const prior = clamp(parseFiniteNumber(priorReliability, 0.5), 0, 1);
+  const alpha = prior * RELIABILITY_PRIOR_STRENGTH + confirmCount;
+  const beta = (1 - prior) * RELIABILITY_PRIOR_STRENGTH + correctionCount;
+  const posterior = clamp(alpha / (alpha + beta), RELIABILITY_BOUNDS.min, RELIABILITY_BOUNDS.max);
+  const current = parseFiniteNumber(currentReliability, prior);
+  const next = round3(clamp(moveToward(current, posterior, config.max_daily_step), RELIABILITY_BOUNDS.min, RELIABILITY_BOUNDS.max));
+  return {
+    sample_count: events.length,
+    confirm_count: confirmCount,
+    correction_count: correctionCount,
+    prior_reliability: round3(prior),
+    alpha: round3(alpha),
+    beta: round3(beta),
+    posterior_reliability: round3(posterior),
+    current_reliability: round3(current),
+    next_reliability: next,
+    changed: next !== round3(current)
+  };
+}
+
+function runAdaptiveThresholdLearning(rootDir, options = {}) {
+  ensureStateFiles(rootDir);
+  return withStateLock(rootDir, () => {
+    const state = loadState(rootDir);
+    const config = resolveAdaptiveLearningConfig(state, options);
+    const force = Boolean(options.force);
+    const persistConfig = Boolean(options.persist_config);
+    const now = nowIso();
+    const runtimeAdaptive = ensureAdaptiveRuntime({
+      ...state.runtime.adaptive_learning,
+      ...config
+    });
+
+    const lastRunMs = Date.parse(runtimeAdaptive.last_run_at || "");
+    const minIntervalMs = config.min_interval_hours * 60 * 60 * 1000;
+    if (
+      !force &&
+      config.mode !== ADAPTIVE_MODE_OFF &&
+      Number.isFinite(lastRunMs) &&
+      Date.now() - lastRunMs < minIntervalMs
+    ) {
+      if (persistConfig) {
+        state.runtime.adaptive_learning = {
+          ...runtimeAdaptive,
+          mode: config.mode
+        };
+        state.runtime.adaptive_learning_enabled = config.mode === ADAPTIVE_MODE_APPLY;
+        saveState(rootDir, state);
+      }
+      return {
+        status: "skipped",
+        reason: "interval_not_elapsed",
+        mode: config.mode,
+        min_interval_hours: config.min_interval_hours,
+        last_run_at: runtimeAdaptive.last_run_at,
+        config_persisted: persistConfig
+      };
+    }
+
+    if (config.mode === ADAPTIVE_MODE_OFF && !force) {
+      if (persistConfig) {
+        state.runtime.adaptive_learning = {
+          ...runtimeAdaptive,
+          mode: config.mode
+        };
+        state.runtime.adaptive_learning_enabled = false;
+        saveState(rootDir, state);
+      }
+      return {
+        status: "skipped",
+        reason: "mode_off",
+        mode: config.mode,
+        config_persisted: persistConfig
+      };
+    }
+
+    const learning = loadLearningEvents(rootDir, { lookback_days: config.lookback_days });
+    const labeledEvents = learning.events.filter((event) => (
+      event.decision === "ask_user" &&
+      ["confirm", "reject", "edit"].includes(event.action)
+    ));
+
+    const byDomain = new Map();
+    for (const event of labeledEvents) {
+      const domain = resolveDomainName(rootDir, event.domain);
+      if (!byDomain.has(domain)) {
+        byDomain.set(domain, []);
+      }
+      byDomain.get(domain).push(event);
+    }
+
+    const summary = {
+      status: "ok",
+      mode: config.mode,
+      run_at: now,
+      lookback_days: config.lookback_days,
+      min_samples: config.min_samples,
+      max_daily_step: config.max_daily_step,
+      target_correction_rate: config.target_correction_rate,
+      events_considered: labeledEvents.length,
+      malformed_lines: learning.malformed_lines,
+      domains_updated: 0,
+      domains_recommended: 0,
+      sources_updated: 0,
+      sources_recommended: 0,
+      applied: false,
+      domains: {},
+      sources: {}
+    };
+
+    for (const domain of loadDomainConfig(rootDir).names) {
+      const domainEvents = byDomain.get(domain) || [];
+      if (domainEvents.length < config.min_samples) {
+        summary.domains[domain] = {
+          status: "insufficient_samples",
+          sample_count: domainEvents.length,
+          min_samples: config.min_samples
+        };
+        continue;
+      }
+
+      const proposal = computeAdaptiveDomainProposal(
+        state.domains[domain] || DOMAIN_DEFAULTS.general,
+        domainEvents,
+        config
+      );
+      summary.domains[domain] = {
+        status: "ok",
+        ...proposal
+      };
+
+      if (!proposal.changed) {
+        continue;
+      }
+
+      if (config.mode === ADAPTIVE_MODE_APPLY) {
+        if (!summary.checkpoint && options.checkpoint !== false) {
+          summary.checkpoint = createAutoSnapshot(rootDir, "pre-learn", "learn-thresholds --mode apply");
+        }
+        recordJournalEvent(rootDir, state, {
+          type: "threshold_changed",
+          domain,
+          ask_threshold: proposal.next_ask_threshold,
+          auto_threshold: proposal.next_auto_threshold,
+          previous_ask_threshold: proposal.current_ask_threshold,
+          previous_auto_threshold: proposal.current_auto_threshold,
+          reason: "adaptive_learning"
+        });
+        summary.domains_updated += 1;
+        logStateChange(
+          rootDir,
+          `adaptive_threshold_update | domain=${domain} | ask=${proposal.current_ask_threshold}->${proposal.next_ask_threshold} | auto=${proposal.current_auto_threshold}->${proposal.next_auto_threshold} | correction_rate=${proposal.correction_rate}`
+        );
+      } else {
+        summary.domains_recommended += 1;
+      }
+    }
+
+    const bySource = new Map();
+    for (const event of labeledEvents) {
+      if (!event.source_type || event.source_type === "user_confirmation") {
+        continue;
+      }
+      if (!bySource.has(event.source_type)) {
+        bySource.set(event.source_type, []);
+      }
+      bySource.get(event.source_type).push(event);
+    }
+    const sourceRegistry = loadSourceRegistry(rootDir);
+    for (const [sourceType, sourceEvents] of [...bySource.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+      if (sourceEvents.length < config.min_samples) {
+        summary.sources[sourceType] = {
+          status: "insufficient_samples",
+          sample_count: sourceEvents.length,
+          min_samples: config.min_samples
+        };
+        continue;
+      }
+
+      const proposal = computeSourceReliabilityProposal(
+        state.source_reliability[sourceType],
+        sourceRegistry.types[sourceType]?.reliability,
+        sourceEvents,
+        config
+      );
+      summary.sources[sourceType] = {
+        status: "ok",
+        ...proposal
+      };
+
+      if (!proposal.changed) {
+        continue;
+      }
+
+      if (config.mode === ADAPTIVE_MODE_APPLY) {
+        if (!summary.checkpoint && options.checkpoint !== false) {
+          summary.checkpoint = createAutoSnapshot(rootDir, "pre-learn", "learn-thresholds --mode apply");
+        }
+        recordJournalEvent(rootDir, state, {
+          type: "source_reliability_changed",
+          source_type: sourceType,
+          reliability: proposal.next_reliability,
+          previous_reliability: proposal.current_reliability,
+          alpha: proposal.alpha,
+          beta: proposal.beta,
+          sample_count: proposal.sample_count,
+          reason: "adaptive_learning"
+        });
+        summary.sources_updated += 1;
+        logStateChange(
+          rootDir,
+          `adaptive_reliability_update | source=${sourceType} | reliability=${proposal.current_reliability}->${proposal.next_reliability} | posterior=${proposal.posterior_reliability} | confirms=${proposal.confirm_count} | corrections=${proposal.correction_count}`
+        );
+      } else {
+        summary.sources_recommended += 1;
+      }
+    }
+
+    const updated = summary.domains_updated + summary.sources_updated;
+    state.runtime.adaptive_learning = {
+      ...runtimeAdaptive,
+      mode: config.mode,
+      last_run_at: now,
+      last_applied_at: config.mode === ADAPTIVE_MODE_APPLY && updated > 0
+        ? now
+        : runtimeAdaptive.last_applied_at || null,
+      last_summary: {
+        status: summary.status,
+        mode: summary.mode,
+        run_at: summary.run_at,
+        events_considered: summary.events_considered,
+        malformed_lines: summary.malformed_lines,
+        domains_updated: summary.domains_updated,
+        domains_recommended: summary.domains_recommended,
+        sources_updated: summary.sources_updated,
+        sources_recommended: summary.sources_recommended
+      }
+    };
+    state.runtime.adaptive_learning_enabled = config.mode === ADAPTIVE_MODE_APPLY;
+    summary.applied = config.mode === ADAPTIVE_MODE_APPLY && updated > 0;
+    saveState(rootDir, state);
+
+    return summary;
+  });
+}
+
+function resolveDedupRetention(options = {}) {
+  const env = options.env || process.env;
+  const retention = { ...DEDUP_RETENTION_DEFAULTS };
+  if (env.STATE_DEDUP_RETENTION_DAYS) {
+    retention.default = parseFiniteNumber(env.STATE_DEDUP_RETENTION_DAYS, DEDUP_RETENTION_DEFAULTS.default);
+  }
+  if (env.STATE_DEDUP_RETENTION) {
+    let overrides;
+    try {
+      overrides = JSON.parse(env.STATE_DEDUP_RETENTION);
+    } catch (error) {
+      throw new Error(`STATE_DEDUP_RETENTION must be a JSON object of source_type -> days|"permanent": ${error.message}`);
+    }
+    Object.assign(retention, overrides);
+  }
+  return { ...retention, ...(options.retention || {}) };
+}
+
+function dedupCutoffIso(retention, sourceType, nowMs) {
+  const days = Object.prototype.hasOwnProperty.call(retention, sourceType) ? retention[sourceType] : retention.default;
+  if (days === "permanent" || days === null) {
+    return null;
+  }
+  const ms = parseFiniteNumber(days, DEDUP_RETENTION_DEFAULTS.default) * 24 * 60 * 60 * 1000;
+  return new Date(nowMs - ms).toISOString();
+}
+
+function isDuplicateEvent(rootDir, observation) {
+  const storage = getStorage(rootDir);
+  const entry = storage.dedupLookup(observation.event_id);
+  if (!entry) {
+    return false;
+  }
+  const cutoff = dedupCutoffIso(resolveDedupRetention(), entry.source_type, Date.now());
+  if (cutoff !== null && entry.seen_at && entry.seen_at < cutoff) {
+    return false;
+  }
+  storage.dedupRecordHit({
+    event_id: observation.event_id,
+    source_type: observation.source?.type || entry.source_type,
+    ts: nowIso()
+  });
+  return true;
+}
+
+function rememberProcessedEvent(rootDir, observation, seenAt) {
+  const storage = getStorage(rootDir);
+  storage.dedupRecord({
+    event_id: observation.event_id,
+    source_type: observation.source?.type || "unknown",
+    seen_at: seenAt || nowIso()
+  });
+  if (storage.dedupNeedsCompaction()) {
+    pruneDedupIndex(rootDir);
+  }
+}
 
+function getDedupStats(rootDir, options = {}) {
+  const summary = getStorage(rootDir).dedupSummary();
+  const retention = resolveDedupRetention(options);
+  let permanentEntries = 0;
+  for (const [sourceType, count] of Object.entries(summary.entries_by_source)) {
+    if (dedupCutoffIso(retention, sourceType, Date.now()) === null) {
+      permanentEntries += count;
+    }
+  }
   return {
-    sample_count: sampleCount,
-    confirm_count: confirmEvents.length,
-    correction_count: correctionEvents.length,
-    confirmation_rate: round3(confirmationRate),
-    correction_rate: round3(correctionRate),
-    current_ask_threshold: round3(currentAsk),
-    current_auto_threshold: round3(currentAuto),
-    proposed_ask_threshold: round3(candidateAsk),
-    proposed_auto_threshold: round3(candidateAuto),
-    next_ask_threshold: nextAsk,
-    next_auto_threshold: nextAuto,
-    changed: nextAsk !== round3(currentAsk) || nextAuto !== round3(currentAuto)
+    entries: summary.entries,
+    permanent_entries: permanentEntries,
+    entries_by_source: summary.entries_by_source,
+    hits_total: summary.hits.total,
+    hits_by_source: summary.hits.by_source,
+    last_hit_at: summary.hits.last_hit_at,
+    retention_days: retention
   };
 }
 
-function runAdaptiveThresholdLearning(rootDir, options = {}) {
+function pruneDedupIndex(rootDir, options = {}) {
   ensureStateFiles(rootDir);
-  const state = loadState(rootDir);
-  const config = resolveAdaptiveLearningConfig(state, options);
-  const force = Boolean(options.force);
-  const persistConfig = Boolean(options.persist_config);
-  const now = nowIso();
-  const runtimeAdaptive = ensureAdaptiveRuntime({
-    ...state.runtime.adaptive_learning,
-    ...config
-  });
-
-  const lastRunMs = Date.parse(runtimeAdaptive.last_run_at || "");
-  const minIntervalMs = config.min_interval_hours * 60 * 60 * 1000;
-  if (
-    !force &&
-    config.mode !== ADAPTIVE_MODE_OFF &&
-    Number.isFinite(lastRunMs) &&
-    Date.now() - lastRunMs < minIntervalMs
-  ) {
-    if (persistConfig) {
-      state.runtime.adaptive_learning = {
-        ...runtimeAdaptive,
-        mode: config.mode
-      };
-      state.runtime.adaptive_learning_enabled = config.mode === ADAPTIVE_MODE_APPLY;
-      saveState(rootDir, state);
-    }
+  return withStateLock(rootDir, () => {
+    const retention = resolveDedupRetention(options);
+    const nowMs = Date.now();
+    const removed = getStorage(rootDir).dedupPrune((sourceType) => dedupCutoffIso(retention, sourceType, nowMs));
     return {
-      status: "skipped",
-      reason: "interval_not_elapsed",
-      mode: config.mode,
-      min_interval_hours: config.min_interval_hours,
-      last_run_at: runtimeAdaptive.last_run_at,
-      config_persisted: persistConfig
+      status: "ok",
+      removed,
+      ...getDedupStats(rootDir, options)
     };
+  });
+}
+
+function resolveLogRotationPolicy(options = {}) {
+  const env = options.env || process.env;
+  const read = (value, envName, fallback) => Math.max(0, parseFiniteNumber(value ?? env[envName], fallback));
+  return {
+    max_bytes: read(options.max_bytes, "STATE_LOG_MAX_BYTES", LOG_ROTATION_DEFAULTS.max_bytes),
+    max_age_days: read(options.max_age_days, "STATE_LOG_MAX_AGE_DAYS", LOG_ROTATION_DEFAULTS.max_age_days),
+    keep_days: read(options.keep_days, "STATE_LOG_KEEP_DAYS", LOG_ROTATION_DEFAULTS.keep_days)
+  };
+}
+
+function streamLineTimestamp(stream, line) {
+  if (stream === "changes") {
+    const match = line.match(/^- (\S+) \|/);
+    return match ? parseIsoMaybe(match[1]) : null;
+  }
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (_error) {
+    return null;
   }
+  if (stream === "dlq") {
+    return parseIsoMaybe(record?.resolved_at || record?.last_retry_ts || record?.first_seen_ts);
+  }
+  return parseIsoMaybe(record?.ts);
+}
 
-  if (config.mode === ADAPTIVE_MODE_OFF && !force) {
-    if (persistConfig) {
-      state.runtime.adaptive_learning = {
-        ...runtimeAdaptive,
-        mode: config.mode
-      };
-      state.runtime.adaptive_learning_enabled = false;
-      saveState(rootDir, state);
-    }
-    return {
-      status: "skipped",
-      reason: "mode_off",
-      mode: config.mode,
-      config_persisted: persistConfig
-    };
+function archiveKeyForTs(ts) {
+  return ts.slice(0, 7);
+}
+
+function pushArchiveLine(archives, ts, line) {
+  const key = archiveKeyForTs(ts);
+  if (!archives.has(key)) {
+    archives.set(key, []);
   }
+  archives.get(key).push(line);
+}
 
-  const learning = loadLearningEvents(rootDir, { lookback_days: config.lookback_days });
-  const labeledEvents = learning.events.filter((event) => (
-    event.decision === "ask_user" &&
-    ["confirm", "reject", "edit"].includes(event.action)
-  ));
+// Lines older than the keep cutoff move to monthly archives; header lines and anything
+// without a timestamp stay in the live stream.
+function splitStreamByAge(stream, lines, keepCutoff) {
+  const keep = [];
+  const archives = new Map();
+  for (const line of lines) {
+    const ts = streamLineTimestamp(stream, line);
+    if (ts && ts < keepCutoff) {
+      pushArchiveLine(archives, ts, line);
+    } else {
+      keep.push(line);
+    }
+  }
+  return { keep, archives, dropped: 0 };
+}
 
-  const byDomain = new Map();
-  for (const event of labeledEvents) {
-    const domain = VALID_DOMAINS.includes(event.domain) ? event.domain : "general";
-    if (!byDomain.has(domain)) {
-      byDomain.set(domain, []);
+// Collapses the append-only update records into one merged record per dlq_id. Resolved
+// entries are archived; pending and permanently failed entries stay live.
+function compactDlqLines(lines) {
+  const byId = new Map();
+  let dropped = 0;
+  for (const line of lines) {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (_error) {
+      dropped += 1;
+      continue;
+    }
+    if (!record || typeof record !== "object" || !record.dlq_id) {
+      dropped += 1;
+      continue;
+    }
+    byId.set(record.dlq_id, { ...(byId.get(record.dlq_id) || {}), ...record });
+  }
+  const keep = [];
+  const archives = new Map();
+  for (const entry of byId.values()) {
+    const line = JSON.stringify(entry);
+    const ts = streamLineTimestamp("dlq", line);
+    if (entry.status === "resolved" && ts) {
+      pushArchiveLine(archives, ts, line);
+    } else {
+      keep.push(line);
     }
-    byDomain.get(domain).push(event);
   }
+  return { keep, archives, dropped };
+}
 
-  const summary = {
-    status: "ok",
-    mode: config.mode,
-    run_at: now,
-    lookback_days: config.lookback_days,
-    min_samples: config.min_samples,
-    max_daily_step: config.max_daily_step,
-    target_correction_rate: config.target_correction_rate,
-    events_considered: labeledEvents.length,
-    malformed_lines: learning.malformed_lines,
-    domains_updated: 0,
-    domains_recommended: 0,
-    applied: false,
-    domains: {}
-  };
-
-  for (const domain of VALID_DOMAINS) {
-    const domainEvents = byDomain.get(domain) || [];
-    if (domainEvents.length < config.min_samples) {
-      summary.domains[domain] = {
-        status: "insufficient_samples",
-        sample_count: domainEvents.length,
-        min_samples: config.min_samples
+function compactLogs(rootDir, options = {}) {
+  ensureStateFiles(rootDir);
+  return withStateLock(rootDir, () => {
+    const storage = getStorage(rootDir);
+    const policy = resolveLogRotationPolicy(options);
+    const nowMs = Date.now();
+    const ageCutoff = new Date(nowMs - policy.max_age_days * 24 * 60 * 60 * 1000).toISOString();
+    const keepCutoff = new Date(nowMs - policy.keep_days * 24 * 60 * 60 * 1000).toISOString();
+    const streams = {};
+
+    for (const stream of ROTATED_STREAMS) {
+      const lines = storage.readStreamLines(stream);
+      const bytes = lines.reduce((sum, line) => sum + Buffer.byteLength(line) + 1, 0);
+      const oldest = lines.reduce((min, line) => {
+        const ts = streamLineTimestamp(stream, line);
+        return ts && (!min || ts < min) ? ts : min;
+      }, null);
+      const reason = options.force
+        ? "forced"
+        : bytes > policy.max_bytes
+          ? "max_bytes"
+          : oldest && oldest < ageCutoff
+            ? "max_age"
+            : null;
+      if (!reason) {
+        streams[stream] = { rotated: false, lines: lines.length, bytes };
+        continue;
+      }
+
+      const result = stream === "dlq" ? compactDlqLines(lines) : splitStreamByAge(stream, lines, keepCutoff);
+      let archived = 0;
+      for (const [archiveKey, archiveLines] of result.archives) {
+        storage.appendArchiveLines(stream, archiveKey, archiveLines);
+        archived += archiveLines.length;
+      }
+      storage.replaceStreamPrefix(stream, lines.length, result.keep);
+      streams[stream] = {
+        rotated: true,
+        reason,
+        lines_before: lines.length,
+        lines_after: result.keep.length,
+        archived,
+        dropped_malformed: result.dropped,
+        archives: Array.from(result.archives.keys()).sort()
       };
-      continue;
     }
 
-    const proposal = computeAdaptiveDomainProposal(
-      state.domains[domain] || DOMAIN_DEFAULTS.general,
-      domainEvents,
-      config
-    );
-    summary.domains[domain] = {
+    const summary = {
       status: "ok",
-      ...proposal
+      policy,
+      streams
     };
+    if (options.force) {
+      summary.dedup = pruneDedupIndex(rootDir);
+    }
+    return summary;
+  });
+}
 
-    if (!proposal.changed) {
-      continue;
+function resolveExpiryRules(options = {}) {
+  const env = options.env || process.env;
+  let configured = [];
+  if (env.STATE_EXPIRY_RULES) {
+    try {
+      configured = JSON.parse(env.STATE_EXPIRY_RULES);
+    } catch (error) {
+      throw new Error(`STATE_EXPIRY_RULES must be a JSON array of {match, ttl_hours, value_end} rules: ${error.message}`);
+    }
+    if (!Array.isArray(configured)) {
+      throw new Error("STATE_EXPIRY_RULES must be a JSON array of {match, ttl_hours, value_end} rules");
+    }
+  }
+  return [...(options.rules || []), ...configured, ...EXPIRY_RULE_DEFAULTS].map((rule) => ({
+    ...rule,
+    pattern: new RegExp(`^${String(rule.match || "*").split("*").map(escapeRegExp).join(".*")}$`)
+  }));
+}
+
+function resolveFieldExpiry(rules, domain, fieldKey, record) {
+  const rule = rules.find((candidate) => candidate.pattern.test(`${domain}.${fieldKey}`)) || {};
+  const graceMs = parseFiniteNumber(rule.grace_hours, 0) * 60 * 60 * 1000;
+  const candidates = [];
+  const validToMs = Date.parse(record?.valid_to || "");
+  if (Number.isFinite(validToMs)) {
+    candidates.push({ ms: validToMs, reason: "valid_to" });
+  }
+  const ttlHours = Number(rule.ttl_hours);
+  const lastUpdateMs = Date.parse(record?.last_update || "");
+  if (rule.ttl_hours != null && Number.isFinite(ttlHours) && Number.isFinite(lastUpdateMs)) {
+    candidates.push({ ms: lastUpdateMs + ttlHours * 60 * 60 * 1000, reason: "ttl" });
+  }
+  const endMs = Date.parse(record?.value?.end || "");
+  if (rule.value_end && Number.isFinite(endMs)) {
+    candidates.push({ ms: endMs + graceMs, reason: "value_end" });
+  }
+  if (candidates.length === 0) {
+    return null;
+  }
+  const earliest = candidates.reduce((best, candidate) => (candidate.ms < best.ms ? candidate : best));
+  return { expires_at: new Date(earliest.ms).toISOString(), reason: earliest.reason, rule: rule.match || null };
+}
+
+function expireFields(rootDir, options = {}) {
+  ensureStateFiles(rootDir);
+  const rules = resolveExpiryRules(options);
+  return withStateLock(rootDir, () => {
+    const state = loadState(rootDir);
+    const now = options.now ? parseIsoMaybe(options.now) : nowIso();
+    const expired = [];
+    for (const [entityId, entity] of Object.entries(state.entities || {})) {
+      if (options.entity_id && entityId !== options.entity_id) {
+        continue;
+      }
+      for (const [domain, fields] of Object.entries(entity.state || {})) {
+        for (const [fieldKey, record] of Object.entries(fields || {})) {
+          const expiry = resolveFieldExpiry(rules, domain, fieldKey, record);
+          if (expiry && expiry.expires_at <= now) {
+            expired.push({ entity_id: entityId, domain, field: fieldKey, ...expiry });
+          }
+        }
+      }
+    }
+
+    if (options.dry_run || expired.length === 0) {
+      return { status: "ok", dry_run: Boolean(options.dry_run), expired };
     }
 
-    if (config.mode === ADAPTIVE_MODE_APPLY) {
-      state.domains[domain] = state.domains[domain] || { ...DOMAIN_DEFAULTS.general };
-      state.domains[domain].ask_threshold = proposal.next_ask_threshold;
-      state.domains[domain].auto_threshold = proposal.next_auto_threshold;
-      summary.domains_updated += 1;
+    for (const item of expired) {
+      recordJournalEvent(rootDir, state, {
+        type: "field_expired",
+        entity_id: item.entity_id,
+        domain: item.domain,
+        field: item.field,
+        expires_at: item.expires_at,
+        reason: item.reason
+      });
+    }
+    saveState(rootDir, state);
+    for (const item of expired) {
       logStateChange(
         rootDir,
-        `adaptive_threshold_update | domain=${domain} | ask=${proposal.current_ask_threshold}->${proposal.next_ask_threshold} | auto=${proposal.current_auto_threshold}->${proposal.next_auto_threshold} | correction_rate=${proposal.correction_rate}`
+        `expire | ${item.entity_id}/${item.domain}.${item.field} | reason=${item.reason} | expires_at=${item.expires_at}`
       );
-    } else {
-      summary.domains_recommended += 1;
     }
-  }
+    return { status: "ok", dry_run: false, expired };
+  });
+}
 
-  state.runtime.adaptive_learning = {
-    ...runtimeAdaptive,
-    mode: config.mode,
-    last_run_at: now,
-    last_applied_at: config.mode === ADAPTIVE_MODE_APPLY && summary.domains_updated > 0
-      ? now
-      : runtimeAdaptive.last_applied_at || null,
-    last_summary: {
-      status: summary.status,
-      mode: summary.mode,
-      run_at: summary.run_at,
-      events_considered: summary.events_considered,
-      malformed_lines: summary.malformed_lines,
-      domains_updated: summary.domains_updated,
-      domains_recommended: summary.domains_recommended
+function activateScheduledFacts(rootDir, options = {}) {
+  ensureStateFiles(rootDir);
+  return withStateLock(rootDir, () => {
+    const state = loadState(rootDir);
+    const now = options.now ? parseIsoMaybe(options.now) : nowIso();
+    const due = listScheduledFacts(state, options.entity_id)
+      .filter((fact) => Date.parse(fact.valid_from) <= Date.parse(now))
+      .map((fact) => ({
+        entity_id: fact.entity_id,
+        domain: fact.domain,
+        field: fact.field,
+        value: fact.value,
+        valid_from: fact.valid_from,
+        valid_to: fact.valid_to
+      }));
+
+    if (options.dry_run || due.length === 0) {
+      return { status: "ok", dry_run: Boolean(options.dry_run), activated: due };
     }
-  };
-  state.runtime.adaptive_learning_enabled = config.mode === ADAPTIVE_MODE_APPLY;
-  summary.applied = config.mode === ADAPTIVE_MODE_APPLY && summary.domains_updated > 0;
-  saveState(rootDir, state);
-
-  return summary;
-}
 
-function pushProcessedEventId(state, eventId) {
-  if (state.processed_event_ids.includes(eventId)) {
-    return;
-  }
-  state.processed_event_ids.push(eventId);
-  if (state.processed_event_ids.length > MAX_PROCESSED_EVENT_IDS) {
-    state.processed_event_ids.splice(0, state.processed_event_ids.length - MAX_PROCESSED_EVENT_IDS);
-  }
+    for (const item of due) {
+      recordJournalEvent(rootDir, state, {
+        type: "scheduled_fact_activated",
+        entity_id: item.entity_id,
+        domain: item.domain,
+        field: item.field,
+        valid_from: item.valid_from
+      });
+    }
+    saveState(rootDir, state);
+    for (const item of due) {
+      logStateChange(
+        rootDir,
+        `activate | ${item.entity_id}/${item.domain}.${item.field} | value=${stringifyValue(item.value)} | valid_from=${item.valid_from}${item.valid_to ? ` | valid_to=${item.valid_to}` : ""}`
+      );
+    }
+    return { status: "ok", dry_run: false, activated: due };
+  });
 }
 
-function pushTentativeObservation(state, observation, confidence, reasons) {
-  state.tentative_observations.push({
+function buildTentativeObservation(observation, confidence, reasons) {
+  return {
     observed_at: nowIso(),
     event_id: observation.event_id,
     event_ts: observation.event_ts,
@@ -909,7 +3671,11 @@ function pushTentativeObservation(state, observation, confidence, reasons) {
     corroborators: observation.corroborators || [],
     confidence: round3(confidence),
     reasons
-  });
+  };
+}
+
+function pushTentativeObservation(state, tentative) {
+  state.tentative_observations.push(tentative);
   if (state.tentative_observations.length > MAX_TENTATIVE_OBSERVATIONS) {
     state.tentative_observations.splice(0, state.tentative_observations.length - MAX_TENTATIVE_OBSERVATIONS);
   }
@@ -949,20 +3715,43 @@ function getCurrentFieldConfidence(state, observation) {
   return record.confidence;
 }
 
-function recencyFactor(eventTs) {
+function resolveDecayModel(state, observation) {
+  const decay = state.domains[observation.domain]?.decay || DOMAIN_DEFAULTS[observation.domain]?.decay || LINEAR_DECAY;
+  const bySource = decay.by_source?.[observation.source.type];
+  const { by_source: _bySource, ...model } = bySource || decay;
+  return { ...model, scope: bySource ? "source" : "domain" };
+}
+
+function observationAgeHours(eventTs) {
   const eventMs = Date.parse(eventTs);
-  if (!Number.isFinite(eventMs)) {
+  return Number.isFinite(eventMs) ? round3(Math.max(0, (Date.now() - eventMs) / (1000 * 60 * 60))) : null;
+}
+
+function recencyFactor(eventTs, decay = LINEAR_DECAY) {
+  const ageHours = observationAgeHours(eventTs);
+  if (ageHours === null) {
     return 0.5;
   }
-  const ageHours = Math.max(0, (Date.now() - eventMs) / (1000 * 60 * 60));
-  const decayed = 1 - (Math.min(ageHours, 168) / 168) * 0.6;
-  return clamp(decayed, 0.4, 1);
+  const floor = clamp(parseFiniteNumber(decay.floor, 0), 0, 1);
+  let decayed;
+  if (decay.model === "exponential") {
+    decayed = 0.5 ** (ageHours / decay.half_life_hours);
+  } else if (decay.model === "step") {
+    decayed = decay.steps.find((step) => ageHours <= step.max_hours)?.factor ?? floor;
+  } else {
+    const windowHours = parseFiniteNumber(decay.window_hours, LINEAR_DECAY.window_hours);
+    decayed = 1 - (Math.min(ageHours, windowHours) / windowHours) * (1 - floor);
+  }
+  return clamp(decayed, floor, 1);
 }
 
 function computeConfidence(state, observation) {
   const source = state.source_reliability[observation.source.type] || 0.5;
-  const intent = INTENT_FACTORS[observation.intent] || 0.5;
-  const recency = recencyFactor(observation.event_ts);
+  const intent = observation.intent === "planning" && isScheduledObservation(observation)
+    ? SCHEDULED_INTENT_FACTOR
+    : INTENT_FACTORS[observation.intent] || 0.5;
+  const decay = resolveDecayModel(state, observation);
+  const recency = recencyFactor(observation.event_ts, decay);
   const corroborationCount = Array.isArray(observation.corroborators) ? observation.corroborators.length : 0;
   const corroboration = clamp(1 + corroborationCount * 0.05, 1, 1.2);
   const confidence = clamp(source * intent * recency * corroboration, 0, 1);
@@ -971,22 +3760,368 @@ function computeConfidence(state, observation) {
     source,
     intent,
     recency,
+    decay: { ...decay, age_hours: observationAgeHours(observation.event_ts) },
     corroboration
   };
 }
 
-function resolveDecision(state, observation, analysis, options) {
-  if (options.forceCommit) {
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+function canonicalDateText(text) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return Number.isFinite(Date.parse(`${text}T00:00:00Z`)) ? text : null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}/.test(text)) {
+    const ms = Date.parse(text.toUpperCase());
+    return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+  }
+  const named = text.match(/^(?:([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})|(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)\.?,? (\d{4}))$/);
+  if (!named) {
+    return null;
+  }
+  const month = MONTH_NAMES.indexOf(String(named[1] || named[5]).slice(0, 3)) + 1;
+  const day = Number(named[2] || named[4]);
+  const year = Number(named[3] || named[6]);
+  const iso = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  return month > 0 && new Date(`${iso}T00:00:00Z`).getUTCDate() === day ? iso : null;
+}
+
+function canonicalizeValue(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? `n:${value}` : `s:${value}`;
+  }
+  if (typeof value === "string") {
+    const text = value.normalize("NFKC").trim().replace(/\s+/g, " ").toLowerCase().replace(/(?<=\S)[.!]+$/, "");
+    const numeric = text.replace(/^[$€£]\s?/, "").replace(/,(?=\d{3}(?:\D|$))/g, "");
+    if (/^-?\d+(?:\.\d+)?$/.test(numeric)) {
+      return `n:${Number(numeric)}`;
+    }
+    const date = canonicalDateText(text);
+    return date ? `d:${date}` : `s:${text}`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(canonicalizeValue);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonicalizeValue(value[key])]));
+  }
+  return value;
+}
+
+// Comparison key for equivalence: whitespace, case and trailing punctuation are folded,
+// numbers and dates are canonicalized ("1,200" == 1200, "March 3, 2026" == "2026-03-03")
+// and object keys are sorted. `aliases` maps variant keys to the key of their canonical value.
+function normalizeComparableValue(value, aliases = null) {
+  const key = JSON.stringify(canonicalizeValue(value));
+  return aliases?.get(key) || key;
+}
+
+function valuesEquivalent(a, b, aliases = null) {
+  return normalizeComparableValue(a, aliases) === normalizeComparableValue(b, aliases);
+}
+
+function resolveValueAliases(rootDir, observation) {
+  const fieldRef = `${observation.domain}.${fieldKeyFromObservation(observation)}`;
+  return findFieldDefinition(loadFieldCatalog(rootDir), fieldRef)?.alias_map || null;
+}
+
+// Everything the tracker currently knows about one entity field: the committed value,
+// pending prompts and unpromoted tentative observations.
+function collectFieldClaims(state, observation) {
+  const fieldKey = fieldKeyFromObservation(observation);
+  const sameField = (other) => (
+    other
+    && other.entity_id === observation.entity_id
+    && other.domain === observation.domain
+    && fieldKeyFromObservation(other) === fieldKey
+  );
+  const claims = [];
+  const committed = state.entities[observation.entity_id]?.state?.[observation.domain]?.[fieldKey];
+  if (committed && typeof committed === "object" && committed.source) {
+    claims.push({
+      type: committed.source,
+      ref: `event:${committed.event_id || "committed"}`,
+      value: committed.value,
+      ts: committed.last_update
+    });
+  }
+  for (const prompt of Object.values(state.pending_confirmations)) {
+    const pending = prompt.observation_event;
+    if (sameField(pending) && pending.source?.type) {
+      claims.push({ type: pending.source.type, ref: pending.source.ref || `event:${pending.event_id}`, value: pending.candidate_value, ts: pending.event_ts });
+    }
+  }
+  for (const tentative of state.tentative_observations) {
+    if (sameField(tentative) && !tentative.promoted_at && tentative.source?.type) {
+      claims.push({ type: tentative.source.type, ref: tentative.source.ref || `event:${tentative.event_id}`, value: tentative.candidate_value, ts: tentative.event_ts });
+    }
+  }
+  return claims;
+}
+
+// Attaches at most one corroborator per other source type that asserted an equivalent
+// value within the corroboration window, so one chatty source cannot boost itself.
+function attachCorroborators(state, observation, aliases = null) {
+  if (isRetractionObservation(observation)) {
+    return observation;
+  }
+  const eventMs = Date.parse(observation.event_ts);
+  const windowMs = CORROBORATION_WINDOW_HOURS * 60 * 60 * 1000;
+  const existing = Array.isArray(observation.corroborators) ? observation.corroborators : [];
+  const seenTypes = new Set([observation.source.type, ...existing.map((item) => item.type)]);
+  const found = [];
+  for (const claim of collectFieldClaims(state, observation)) {
+    const claimMs = Date.parse(claim.ts || "");
+    if (seenTypes.has(claim.type) || !valuesEquivalent(claim.value, observation.candidate_value, aliases)) {
+      continue;
+    }
+    if (!Number.isFinite(claimMs) || !Number.isFinite(eventMs) || Math.abs(eventMs - claimMs) > windowMs) {
+      continue;
+    }
+    seenTypes.add(claim.type);
+    found.push({ type: claim.type, ref: claim.ref });
+  }
+  if (found.length === 0) {
+    return observation;
+  }
+  return {
+    ...observation,
+    corroborators: [...existing, ...found].slice(0, MAX_CORROBORATORS)
+  };
+}
+
+// After an observation lands, pending prompts for the same value from other sources are
+// re-scored; those that now clear the auto threshold (or already match the committed
+// value) are settled without asking.
+function stageCorroboratedPrompts(state, batch, observation, aliases = null) {
+  if (isRetractionObservation(observation)) {
+    return;
+  }
+  const fieldKey = fieldKeyFromObservation(observation);
+  for (const prompt of Object.values(state.pending_confirmations)) {
+    const pending = prompt.observation_event;
+    if (
+      !pending
+      || pending.entity_id !== observation.entity_id
+      || pending.domain !== observation.domain
+      || fieldKeyFromObservation(pending) !== fieldKey
+      || pending.source?.type === observation.source.type
+      || !valuesEquivalent(pending.candidate_value, observation.candidate_value, aliases)
+    ) {
+      continue;
+    }
+    const committed = state.entities[pending.entity_id]?.state?.[pending.domain]?.[fieldKey];
+    const alreadyCommitted = Boolean(committed) && valuesEquivalent(committed.value, pending.candidate_value, aliases);
+    const rescored = attachCorroborators(state, pending, aliases);
+    const analysis = computeConfidence(state, rescored);
+    const domainCfg = state.domains[pending.domain] || DOMAIN_DEFAULTS.general;
+    if (!alreadyCommitted && analysis.confidence < domainCfg.auto_threshold) {
+      continue;
+    }
+    stageRecord(
+      state,
+      batch,
+      {
+        type: "prompt_corroborated",
+        prompt_id: prompt.prompt_id,
+        observation: rescored,
+        confidence: analysis.confidence,
+        corroborated_by: observation.event_id,
+        already_committed: alreadyCommitted
+      },
+      `${pending.event_id} | decision=corroborated | prompt_id=${prompt.prompt_id} | ${pending.entity_id}/${pending.field} | confidence=${analysis.confidence} | corroborated_by=${observation.source.type}`
+    );
+  }
+}
+
+function findEquivalentCommitted(state, observation, aliases = null) {
+  if (isRetractionObservation(observation)) {
+    return null;
+  }
+  const current = state.entities[observation.entity_id]?.state?.[observation.domain]?.[fieldKeyFromObservation(observation)];
+  if (!current || typeof current !== "object" || !Object.hasOwn(current, "value")) {
+    return null;
+  }
+  return valuesEquivalent(current.value, observation.candidate_value, aliases) ? current : null;
+}
+
+// A re-observation of the committed value refreshes it instead of replacing it: one new
+// source type combines with the current confidence (noisy-or), a repeat only keeps the higher.
+function reconfirmedConfidence(current, observation, confidence) {
+  const seen = current.source === observation.source.type
+    || (current.corroborators || []).some((item) => item.type === observation.source.type);
+  const existing = parseFiniteNumber(current.confidence, 0);
+  return round3(seen ? Math.max(existing, confidence) : 1 - (1 - existing) * (1 - confidence));
+}
+
+function applyReconfirmation(state, record) {
+  const observation = record.observation;
+  const current = state.entities[observation.entity_id]?.state?.[observation.domain]?.[fieldKeyFromObservation(observation)];
+  if (!current) {
+    return state;
+  }
+  current.last_update = maxIso(current.last_update, observation.event_ts) || current.last_update;
+  current.confidence = record.confidence;
+  if (observation.source.type !== current.source) {
+    current.corroborators = [
+      ...(current.corroborators || []).filter((item) => item.type !== observation.source.type),
+      { type: observation.source.type, ref: observation.source.ref || `event:${observation.event_id}`, event_ts: observation.event_ts }
+    ].slice(-MAX_CORROBORATORS);
+  }
+  return state;
+}
+
+function findConflictingValue(state, observation, aliases = null) {
+  if (isRetractionObservation(observation)) {
+    return null;
+  }
+  const current = state.entities[observation.entity_id]?.state?.[observation.domain]?.[fieldKeyFromObservation(observation)];
+  if (!current || typeof current !== "object" || current.source === observation.source.type) {
+    return null;
+  }
+  return valuesEquivalent(current.value, observation.candidate_value, aliases) ? null : current;
+}
+
+function resolveConflictStrategy(state, domain) {
+  const configured = state.domains[domain]?.conflict_strategy;
+  if (CONFLICT_STRATEGIES.includes(configured)) {
+    return configured;
+  }
+  return DOMAIN_DEFAULTS[domain]?.conflict_strategy || "ask";
+}
+
+// Returns "incoming", "current", or null when the strategy cannot separate the two values.
+function pickConflictWinner(state, strategy, current, observation) {
+  const compare = (incoming, existing) => {
+    if (!Number.isFinite(incoming) || !Number.isFinite(existing) || incoming === existing) {
+      return null;
+    }
+    return incoming > existing ? "incoming" : "current";
+  };
+  if (strategy === "freshest") {
+    return compare(Date.parse(observation.event_ts), Date.parse(current.last_update || ""));
+  }
+  if (strategy === "most_reliable") {
+    return compare(
+      state.source_reliability[observation.source.type] ?? 0.5,
+      state.source_reliability[current.source] ?? 0.5
+    );
+  }
+  return null;
+}
+
+// A conflict the strategy settled (auto-commit or tentative reject) is recorded with its winner
+// and already resolved. Everything that ends in a prompt stays in active_conflicts until the
+// user answers it, even when the strategy had a preference.
+function createConflictRecord(observation, analysis, conflict, promptId) {
+  const current = conflict.current;
+  const detectedAt = nowIso();
+  return {
+    conflict_id: randomUuid(),
+    entity_id: observation.entity_id,
+    domain: observation.domain,
+    field: fieldKeyFromObservation(observation),
+    strategy: conflict.strategy,
+    prompt_id: promptId,
+    detected_at: detectedAt,
+    ...(conflict.settled ? { winner: conflict.winner, resolution: "strategy", resolved_at: detectedAt } : {}),
+    values: [
+      {
+        role: "current",
+        value: current.value,
+        source: current.source || null,
+        confidence: current.confidence ?? null,
+        event_ts: current.last_update || null,
+        event_id: current.event_id || null
+      },
+      {
+        role: "incoming",
+        value: observation.candidate_value,
+        source: observation.source.type,
+        source_ref: observation.source.ref || null,
+        confidence: analysis.confidence,
+        event_ts: observation.event_ts,
+        event_id: observation.event_id
+      }
+    ]
+  };
+}
+
+function resolveDecision(state, observation, analysis, options) {
+  if (options.forceCommit) {
+    return {
+      decision: "auto_commit",
+      margin: 1,
+      reasons: ["force_commit=true"]
+    };
+  }
+
+  const domainCfg = state.domains[observation.domain] || DOMAIN_DEFAULTS.general;
+  // A fact that only starts later neither repeats nor contradicts the current value;
+  // it is weighed against the value already scheduled for the field, if any.
+  const scheduled = isScheduledObservation(observation);
+  const currentConfidence = scheduled
+    ? (findScheduledFact(state, observation)?.confidence ?? 0)
+    : getCurrentFieldConfidence(state, observation);
+  const margin = round3(analysis.confidence - currentConfidence);
+
+  const tombstone = isRetractionObservation(observation) ? null : findTombstone(state, observation);
+  if (
+    tombstone
+    && Date.parse(observation.event_ts) <= Date.parse(tombstone.event_ts || "")
+    && analysis.confidence < (tombstone.confidence ?? 0)
+  ) {
+    return {
+      decision: "tentative_reject",
+      margin,
+      reasons: [
+        `retracted at ${tombstone.retracted_at} by ${tombstone.source}; an older, lower-confidence observation cannot restore it`
+      ]
+    };
+  }
+
+  const equivalent = !scheduled && analysis.confidence >= domainCfg.ask_threshold
+    ? findEquivalentCommitted(state, observation, options.valueAliases)
+    : null;
+  if (equivalent) {
     return {
-      decision: "auto_commit",
-      margin: 1,
-      reasons: ["force_commit=true"]
+      decision: "reconfirm",
+      margin,
+      reasons: [`equivalent to the committed value from ${equivalent.source}`]
     };
   }
 
-  const domainCfg = state.domains[observation.domain] || DOMAIN_DEFAULTS.general;
-  const currentConfidence = getCurrentFieldConfidence(state, observation);
-  const margin = round3(analysis.confidence - currentConfidence);
+  const current = !scheduled && analysis.confidence >= domainCfg.ask_threshold
+    ? findConflictingValue(state, observation, options.valueAliases)
+    : null;
+  if (current) {
+    const strategy = resolveConflictStrategy(state, observation.domain);
+    const winner = pickConflictWinner(state, strategy, current, observation);
+    const conflictReason = `conflicts with ${current.source} value (strategy=${strategy}, winner=${winner || "undecided"})`;
+    const conflict = { strategy, current, winner };
+    if (winner === "current") {
+      return {
+        decision: "tentative_reject",
+        margin,
+        reasons: [conflictReason],
+        conflict
+      };
+    }
+    if (winner === "incoming" && analysis.confidence >= domainCfg.auto_threshold) {
+      return {
+        decision: "auto_commit",
+        margin,
+        reasons: [conflictReason, `confidence(${analysis.confidence}) >= auto_threshold(${domainCfg.auto_threshold})`],
+        conflict
+      };
+    }
+    return {
+      decision: "ask_user",
+      margin,
+      reasons: [conflictReason, `confidence(${analysis.confidence}) >= ask_threshold(${domainCfg.ask_threshold})`],
+      conflict
+    };
+  }
 
   if (analysis.confidence >= domainCfg.auto_threshold && margin >= domainCfg.margin_threshold) {
     return {
@@ -1022,25 +4157,435 @@ function stringifyValue(value) {
   return JSON.stringify(value);
 }
 
-function applyCommittedObservation(state, observation, confidence) {
+function isRetractionObservation(observation) {
+  return observation.intent === "retract" || observation.candidate_value === null;
+}
+
+function appendFieldHistory(state, entityId, domain, fieldKey, version) {
+  state.field_history = state.field_history || {};
+  const byEntity = state.field_history[entityId] || (state.field_history[entityId] = {});
+  const byDomain = byEntity[domain] || (byEntity[domain] = {});
+  const versions = byDomain[fieldKey] || (byDomain[fieldKey] = []);
+  versions.push(version);
+  if (versions.length > MAX_FIELD_HISTORY_VERSIONS) {
+    versions.splice(0, versions.length - MAX_FIELD_HISTORY_VERSIONS);
+  }
+}
+
+function setTombstone(state, entityId, domain, fieldKey, tombstone) {
+  state.tombstones = state.tombstones || {};
+  const byEntity = state.tombstones[entityId] || (state.tombstones[entityId] = {});
+  const byDomain = byEntity[domain] || (byEntity[domain] = {});
+  byDomain[fieldKey] = tombstone;
+}
+
+function clearTombstone(state, entityId, domain, fieldKey) {
+  const byDomain = state.tombstones?.[entityId]?.[domain];
+  if (!byDomain || !byDomain[fieldKey]) {
+    return;
+  }
+  delete byDomain[fieldKey];
+  if (Object.keys(byDomain).length === 0) {
+    delete state.tombstones[entityId][domain];
+  }
+  if (Object.keys(state.tombstones[entityId]).length === 0) {
+    delete state.tombstones[entityId];
+  }
+}
+
+function findTombstone(state, observation) {
+  return state.tombstones?.[observation.entity_id]?.[observation.domain]?.[fieldKeyFromObservation(observation)] || null;
+}
+
+function seedFieldHistory(state, entityId, domain, fieldKey, previous) {
+  const priorVersions = state.field_history?.[entityId]?.[domain]?.[fieldKey];
+  if (!previous || typeof previous !== "object" || (priorVersions && priorVersions.length > 0)) {
+    return;
+  }
+  // Fields committed before history existed get their current value as the first version.
+  appendFieldHistory(state, entityId, domain, fieldKey, {
+    value: previous.value,
+    event_id: previous.event_id || null,
+    source: previous.source || null,
+    source_ref: null,
+    confidence: previous.confidence ?? null,
+    event_ts: previous.last_update || null,
+    committed_at: previous.last_update || null,
+    decision: "unknown",
+    prompt_id: null,
+    retracted: false
+  });
+}
+
+function applyCommittedObservation(state, observation, confidence, provenance = {}) {
   const fieldKey = fieldKeyFromObservation(observation);
+  const retracted = isRetractionObservation(observation);
+  const committedAt = provenance.committed_at || observation.event_ts;
+  if (!retracted && isScheduledObservation(observation, committedAt)) {
+    setScheduledFact(state, observation.entity_id, observation.domain, fieldKey, {
+      value: observation.candidate_value,
+      valid_from: observation.valid_from,
+      valid_to: observation.valid_to || null,
+      source: observation.source.type,
+      confidence: round3(confidence),
+      event_id: observation.event_id,
+      scheduled_at: committedAt,
+      decision: provenance.decision || "auto_commit",
+      prompt_id: provenance.prompt_id || null
+    });
+    return { fieldKey, retracted: false, scheduled: true };
+  }
+
   const domainState = ensureEntityState(state, observation.entity_id, observation.domain);
+  seedFieldHistory(state, observation.entity_id, observation.domain, fieldKey, domainState[fieldKey]);
+
+  appendFieldHistory(state, observation.entity_id, observation.domain, fieldKey, {
+    value: retracted ? null : observation.candidate_value,
+    event_id: observation.event_id,
+    source: observation.source.type,
+    source_ref: observation.source.ref || null,
+    confidence: round3(confidence),
+    event_ts: observation.event_ts,
+    committed_at: provenance.committed_at || observation.event_ts,
+    decision: provenance.decision || "auto_commit",
+    prompt_id: provenance.prompt_id || null,
+    retracted
+  });
 
-  if (observation.intent === "retract" || observation.candidate_value === null) {
+  if (retracted) {
+    setTombstone(state, observation.entity_id, observation.domain, fieldKey, {
+      retracted_at: provenance.committed_at || observation.event_ts,
+      event_id: observation.event_id,
+      source: observation.source.type,
+      source_ref: observation.source.ref || null,
+      confidence: round3(confidence),
+      event_ts: observation.event_ts,
+      previous_value: domainState[fieldKey]?.value ?? null
+    });
     delete domainState[fieldKey];
+    // Retracting a field also cancels a value scheduled for it.
+    clearScheduledFact(state, observation.entity_id, observation.domain, fieldKey);
     return { fieldKey, retracted: true };
   }
 
+  clearTombstone(state, observation.entity_id, observation.domain, fieldKey);
   domainState[fieldKey] = {
     value: observation.candidate_value,
     last_update: observation.event_ts,
     source: observation.source.type,
     confidence: round3(confidence),
-    event_id: observation.event_id
+    event_id: observation.event_id,
+    ...(observation.valid_from ? { valid_from: observation.valid_from } : {}),
+    ...(observation.valid_to ? { valid_to: observation.valid_to } : {})
   };
   return { fieldKey, retracted: false };
 }
 
+// Observations whose validity window starts after `atTs` (now by default) are scheduled:
+// committing them stores the value in state.scheduled_facts until `activate` promotes it.
+function isScheduledObservation(observation, atTs) {
+  const validFromMs = Date.parse(observation.valid_from || "");
+  const atMs = atTs ? Date.parse(atTs) : Date.now();
+  return Number.isFinite(validFromMs) && validFromMs > atMs;
+}
+
+function findScheduledFact(state, observation) {
+  return state.scheduled_facts?.[observation.entity_id]?.[observation.domain]?.[fieldKeyFromObservation(observation)] || null;
+}
+
+function setScheduledFact(state, entityId, domain, fieldKey, fact) {
+  state.scheduled_facts = state.scheduled_facts || {};
+  const byEntity = state.scheduled_facts[entityId] || (state.scheduled_facts[entityId] = {});
+  const byDomain = byEntity[domain] || (byEntity[domain] = {});
+  byDomain[fieldKey] = fact;
+}
+
+function clearScheduledFact(state, entityId, domain, fieldKey) {
+  const byDomain = state.scheduled_facts?.[entityId]?.[domain];
+  if (!byDomain || !byDomain[fieldKey]) {
+    return;
+  }
+  delete byDomain[fieldKey];
+  if (Object.keys(byDomain).length === 0) {
+    delete state.scheduled_facts[entityId][domain];
+  }
+  if (Object.keys(state.scheduled_facts[entityId]).length === 0) {
+    delete state.scheduled_facts[entityId];
+  }
+}
+
+function listScheduledFacts(state, entityFilter) {
+  const items = [];
+  for (const [entityId, domains] of Object.entries(state.scheduled_facts || {})) {
+    if (entityFilter && entityFilter !== entityId) {
+      continue;
+    }
+    for (const [domain, fields] of Object.entries(domains || {})) {
+      for (const [field, fact] of Object.entries(fields || {})) {
+        items.push({ entity_id: entityId, domain, field, ...fact });
+      }
+    }
+  }
+  return items.sort((a, b) => (
+    String(a.valid_from).localeCompare(String(b.valid_from))
+    || `${a.entity_id}/${a.domain}.${a.field}`.localeCompare(`${b.entity_id}/${b.domain}.${b.field}`)
+  ));
+}
+
+function applyScheduledActivation(state, record) {
+  const fact = state.scheduled_facts?.[record.entity_id]?.[record.domain]?.[record.field];
+  if (!fact) {
+    return state;
+  }
+  const domainState = ensureEntityState(state, record.entity_id, record.domain);
+  seedFieldHistory(state, record.entity_id, record.domain, record.field, domainState[record.field]);
+  appendFieldHistory(state, record.entity_id, record.domain, record.field, {
+    value: fact.value,
+    event_id: fact.event_id,
+    source: fact.source,
+    source_ref: null,
+    confidence: fact.confidence,
+    event_ts: fact.valid_from,
+    committed_at: record.ts,
+    decision: "scheduled_activation",
+    prompt_id: fact.prompt_id || null,
+    retracted: false
+  });
+  clearTombstone(state, record.entity_id, record.domain, record.field);
+  domainState[record.field] = {
+    value: fact.value,
+    last_update: fact.valid_from,
+    source: fact.source,
+    confidence: fact.confidence,
+    event_id: fact.event_id,
+    valid_from: fact.valid_from,
+    ...(fact.valid_to ? { valid_to: fact.valid_to } : {})
+  };
+  clearScheduledFact(state, record.entity_id, record.domain, record.field);
+  return state;
+}
+
+function applyFieldExpiry(state, record) {
+  const domainState = state.entities?.[record.entity_id]?.state?.[record.domain];
+  const previous = domainState?.[record.field];
+  if (!previous) {
+    return state;
+  }
+  seedFieldHistory(state, record.entity_id, record.domain, record.field, previous);
+  // The expiry version keeps the expired value, so it stays readable from history even after
+  // older versions fall off the cap.
+  appendFieldHistory(state, record.entity_id, record.domain, record.field, {
+    value: previous.value,
+    event_id: previous.event_id || null,
+    source: previous.source || null,
+    source_ref: null,
+    confidence: previous.confidence ?? null,
+    event_ts: record.expires_at,
+    committed_at: record.ts,
+    decision: "expired",
+    expired: true,
+    expired_reason: record.reason || null,
+    prompt_id: null,
+    retracted: false
+  });
+  delete domainState[record.field];
+  return state;
+}
+
+function resolveFieldRef(field, domain, domainNames = VALID_DOMAINS) {
+  const raw = String(field || "").trim();
+  if (!raw) {
+    throw new Error("field is required (e.g. travel.location)");
+  }
+  const prefix = raw.split(".")[0];
+  const resolvedDomain = domain || (raw.includes(".") && domainNames.includes(prefix) ? prefix : "general");
+  return {
+    domain: resolvedDomain,
+    fieldKey: fieldKeyFromObservation({ domain: resolvedDomain, field: raw })
+  };
+}
+
+function getFieldHistory(rootDir, options = {}) {
+  const entityId = options.entity_id || DEFAULT_ENTITY_ID;
+  const { domain, fieldKey } = resolveFieldRef(options.field, options.domain, loadDomainConfig(rootDir).names);
+  const state = loadState(rootDir);
+  const versions = state.field_history?.[entityId]?.[domain]?.[fieldKey] || [];
+  const limit = Math.max(0, Math.round(parseFiniteNumber(options.limit, 0)));
+  return {
+    status: "ok",
+    entity_id: entityId,
+    domain,
+    field: `${domain}.${fieldKey}`,
+    current: state.entities[entityId]?.state?.[domain]?.[fieldKey] || null,
+    tombstone: state.tombstones?.[entityId]?.[domain]?.[fieldKey] || null,
+    total_versions: versions.length,
+    versions: limit > 0 ? versions.slice(-limit) : versions
+  };
+}
+
+function resolveEntityRef(state, ref) {
+  const needle = String(ref || "").trim().toLowerCase();
+  if (!needle) {
+    return "";
+  }
+  const registry = state.entity_registry || {};
+  if (registry[needle] || state.entities[needle]) {
+    return needle;
+  }
+  for (const [entityId, entry] of Object.entries(registry)) {
+    if ((entry.aliases || []).some((alias) => alias.toLowerCase() === needle)) {
+      return entityId;
+    }
+  }
+  return ENTITY_ID_PATTERN.test(needle) ? needle : "";
+}
+
+// Breadth-first over member_of, so a user's family outranks the family's team.
+function listEntityAncestors(state, entityId) {
+  const registry = state.entity_registry || {};
+  const ancestors = [];
+  const visited = new Set([entityId]);
+  const queue = [entityId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const parent of registry[current]?.member_of || []) {
+      if (!visited.has(parent)) {
+        visited.add(parent);
+        ancestors.push(parent);
+        queue.push(parent);
+      }
+    }
+  }
+  return ancestors;
+}
+
+// The entity's own fields plus any field it does not set itself from the groups it belongs
+// to; inherited entries carry `inherited_from` so readers can show where a value came from.
+function toMergedStateEntries(state, entityId) {
+  const merged = new Map();
+  for (const ownerId of [entityId, ...listEntityAncestors(state, entityId)]) {
+    for (const entry of toStableStateEntries(state, ownerId)) {
+      const key = `${entry.domain}.${entry.field}`;
+      if (!merged.has(key)) {
+        merged.set(key, {
+          ...entry,
+          entity_id: entityId,
+          inherited_from: ownerId === entityId ? null : ownerId
+        });
+      }
+    }
+  }
+  return Array.from(merged.values()).sort((a, b) => (
+    a.domain.localeCompare(b.domain) || a.field.localeCompare(b.field)
+  ));
+}
+
+function registerEntity(rootDir, entityId, options = {}) {
+  ensureStateFiles(rootDir);
+  if (!ENTITY_ID_PATTERN.test(String(entityId || ""))) {
+    throw new Error(`Invalid entity id: ${entityId} (expected user:|family:|team: followed by [a-z0-9._-])`);
+  }
+  return withStateLock(rootDir, () => {
+    const state = loadState(rootDir);
+    const previous = state.entity_registry[entityId] || {};
+    const memberOf = options.member_of !== undefined ? options.member_of : previous.member_of || [];
+    for (const parent of memberOf) {
+      if (!ENTITY_ID_PATTERN.test(parent)) {
+        throw new Error(`Invalid member_of entity id: ${parent}`);
+      }
+      if (parent === entityId || listEntityAncestors(state, parent).includes(entityId)) {
+        throw new Error(`Membership ${entityId} -> ${parent} would create a cycle`);
+      }
+    }
+    const aliases = options.aliases !== undefined ? options.aliases : previous.aliases || [];
+    for (const alias of aliases) {
+      const owner = Object.keys(state.entity_registry).find((otherId) => (
+        otherId !== entityId
+        && (state.entity_registry[otherId].aliases || []).some((taken) => taken.toLowerCase() === String(alias).toLowerCase())
+      ));
+      if (owner) {
+        throw new Error(`Alias ${alias} already belongs to ${owner}`);
+      }
+    }
+    const timezone = options.timezone !== undefined ? String(options.timezone) : previous.timezone || "";
+    if (timezone && !isValidTimeZone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone} (expected an IANA name such as America/Los_Angeles)`);
+    }
+    const entity = {
+      display_name: options.display_name !== undefined ? String(options.display_name) : previous.display_name || "",
+      aliases: Array.from(new Set(aliases.map((alias) => String(alias).trim()).filter(Boolean))),
+      member_of: Array.from(new Set(memberOf)),
+      timezone,
+      registered_at: previous.registered_at || nowIso(),
+      updated_at: nowIso()
+    };
+    recordJournalEvent(rootDir, state, {
+      type: "entity_registered",
+      entity_id: entityId,
+      entity
+    });
+    saveState(rootDir, state);
+    logStateChange(
+      rootDir,
+      `entity_registered | ${entityId} | name=${entity.display_name || "-"} | member_of=${entity.member_of.join(",") || "-"}`
+    );
+    return { status: "ok", entity_id: entityId, entity };
+  });
+}
+
+function listEntities(rootDir) {
+  const state = loadState(rootDir);
+  const ids = new Set([...Object.keys(state.entity_registry), ...Object.keys(state.entities)]);
+  return {
+    status: "ok",
+    entities: Array.from(ids).sort().map((entityId) => ({
+      entity_id: entityId,
+      display_name: state.entity_registry[entityId]?.display_name || "",
+      aliases: state.entity_registry[entityId]?.aliases || [],
+      member_of: state.entity_registry[entityId]?.member_of || [],
+      timezone: state.entity_registry[entityId]?.timezone || "",
+      members: Object.entries(state.entity_registry)
+        .filter(([, entry]) => (entry.member_of || []).includes(entityId))
+        .map(([memberId]) => memberId)
+        .sort(),
+      committed_fields: toStableStateEntries(state, entityId).length
+    }))
+  };
+}
+
+function getEntityState(rootDir, entityRef, options = {}) {
+  const state = loadState(rootDir);
+  const entityId = resolveEntityRef(state, entityRef);
+  if (!entityId) {
+    return { status: "not_found", message: `No entity matches ${entityRef}` };
+  }
+  const entries = options.merged ? toMergedStateEntries(state, entityId) : toStableStateEntries(state, entityId);
+  return {
+    status: "ok",
+    entity_id: entityId,
+    display_name: state.entity_registry[entityId]?.display_name || "",
+    member_of: state.entity_registry[entityId]?.member_of || [],
+    merged: Boolean(options.merged),
+    fields: entries.map((entry) => ({
+      field: `${entry.domain}.${entry.field}`,
+      value: entry.record.value,
+      confidence: entry.record.confidence,
+      source: entry.record.source,
+      last_update: entry.record.last_update,
+      valid_to: entry.record.valid_to || null,
+      inherited_from: entry.inherited_from || null
+    })),
+    scheduled: listScheduledFacts(state, entityId).map((fact) => ({
+      field: `${fact.domain}.${fact.field}`,
+      value: fact.value,
+      valid_from: fact.valid_from,
+      valid_to: fact.valid_to,
+      confidence: fact.confidence,
+      source: fact.source
+    }))
+  };
+}
+
 function createPendingPrompt(observation, decisionMeta, analysis) {
   const promptId = randomUuid();
   const proposedChange = `${observation.field} -> ${stringifyValue(observation.candidate_value)}`;
@@ -1058,8 +4603,67 @@ function createPendingPrompt(observation, decisionMeta, analysis) {
   };
 }
 
-function loadSchemaValidators(rootDir) {
-  const paths = getPaths(rootDir);
+const schemaValidatorCache = new Map();
+
+function fileSignature(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return `${stat.mtimeMs}:${stat.size}`;
+  } catch (_error) {
+    return "missing";
+  }
+}
+
+function schemaFilesSignature(paths) {
+  return Object.values(paths.schemas).map(fileSignature).join("|");
+}
+
+function visitSchemaNodes(schema, visit) {
+  if (!schema || typeof schema !== "object") {
+    return;
+  }
+  visit(schema);
+  for (const value of Object.values(schema)) {
+    visitSchemaNodes(value, visit);
+  }
+}
+
+function visitDomainEnums(schema, visit) {
+  visitSchemaNodes(schema, (node) => {
+    if (Array.isArray(node.properties?.domain?.enum)) {
+      visit(node.properties.domain);
+    }
+  });
+}
+
+// The domain enums in schemas/ are rewritten to the configured domain list, so a domain
+// added in state-domains.json validates without editing the schema files.
+function patchSchemaDomains(schema, domainNames) {
+  visitDomainEnums(schema, (property) => {
+    property.enum = [...domainNames];
+  });
+  return schema;
+}
+
+// Source type, kind and mode enums follow the source registry the same way.
+function patchSchemaSources(schema, sourceRegistry) {
+  const signalKinds = Object.keys(sourceRegistry.signal_kinds).map((kind) => kind.split(":"));
+  visitSchemaNodes(schema, (node) => {
+    const source = node.properties?.source?.properties;
+    if (Array.isArray(source?.type?.enum)) {
+      source.type.enum = [...sourceRegistry.names];
+    }
+    if (Array.isArray(source?.kind?.enum)) {
+      source.kind.enum = [...new Set(signalKinds.map(([kind]) => kind))];
+    }
+    if (Array.isArray(source?.mode?.enum)) {
+      source.mode.enum = [...new Set(signalKinds.map(([, mode]) => mode))];
+    }
+  });
+  return schema;
+}
+
+function compileSchemaValidators(paths, domainNames = VALID_DOMAINS, sourceRegistry = null) {
   const ajv = new Ajv({ allErrors: true, strict: true });
   addFormats(ajv);
 
@@ -1072,16 +4676,36 @@ function loadSchemaValidators(rootDir) {
     throw new Error("Schema files missing. Expected files under ./schemas/");
   }
 
+  const patch = (schema) => {
+    patchSchemaDomains(schema, domainNames);
+    return sourceRegistry ? patchSchemaSources(schema, sourceRegistry) : schema;
+  };
   return {
-    observation: ajv.compile(observationSchema),
-    confirmation: ajv.compile(confirmationSchema),
-    signal: ajv.compile(signalSchema),
-    intentExtraction: ajv.compile(intentExtractionSchema)
+    observation: ajv.compile(patch(observationSchema)),
+    confirmation: ajv.compile(patch(confirmationSchema)),
+    signal: ajv.compile(patch(signalSchema)),
+    intentExtraction: ajv.compile(patch(intentExtractionSchema))
   };
 }
 
+// Compiling the schemas costs far more than validating against them, so validators are
+// compiled once per root and only recompiled when a schema file, the domain config or the
+// source registry changes.
+function loadSchemaValidators(rootDir) {
+  const paths = getPaths(path.resolve(rootDir));
+  const domainConfig = loadDomainConfig(paths.rootDir);
+  const sourceRegistry = loadSourceRegistry(paths.rootDir);
+  const signature = `${schemaFilesSignature(paths)}|${domainConfig.signature}|${sourceRegistry.signature}`;
+  const cached = schemaValidatorCache.get(paths.rootDir);
+  if (cached && cached.signature === signature) {
+    return cached.validators;
+  }
+  const validators = compileSchemaValidators(paths, domainConfig.names, sourceRegistry);
+  schemaValidatorCache.set(paths.rootDir, { signature, validators });
+  return validators;
+}
+
 function writeDlqEntry(rootDir, schemaName, payload, errors, retryCount = 0, status = "pending_retry") {
-  const paths = getPaths(rootDir);
   const now = nowIso();
   const entry = {
     dlq_id: randomUuid(),
@@ -1093,28 +4717,31 @@ function writeDlqEntry(rootDir, schemaName, payload, errors, retryCount = 0, sta
     next_retry_ts: computeDlqNextRetryTs(retryCount),
     status
   };
-  appendLine(paths.stateDlq, JSON.stringify(entry));
+  getStorage(rootDir).appendStreamLine("dlq", JSON.stringify(entry));
   return entry;
 }
 
 function appendDlqUpdate(rootDir, entry, update) {
-  const paths = getPaths(rootDir);
   const record = {
     dlq_id: entry.dlq_id,
     schema_name: entry.schema_name,
     ...update
   };
-  appendLine(paths.stateDlq, JSON.stringify(record));
+  getStorage(rootDir).appendStreamLine("dlq", JSON.stringify(record));
   return record;
 }
 
-function loadDlqState(rootDir) {
-  const paths = ensureStateFiles(rootDir);
-  const text = readTextIfExists(paths.stateDlq, "");
-  const lines = text
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter(Boolean);
+// `compact` moves resolved entries into dated archives; readers that report on resolved entries
+// read those first so live lines still win for an id present in both.
+function loadDlqState(rootDir, options = {}) {
+  ensureStateFiles(rootDir);
+  const storage = getStorage(rootDir);
+  const lines = [
+    ...(options.include_archives
+      ? storage.listArchives("dlq").flatMap((archiveKey) => storage.readArchiveLines("dlq", archiveKey))
+      : []),
+    ...storage.readStreamLines("dlq")
+  ];
 
   const byId = new Map();
   let malformedLines = 0;
@@ -1142,7 +4769,7 @@ function loadDlqState(rootDir) {
 }
 
 function getDlqSummary(rootDir) {
-  const { entries, malformed_lines } = loadDlqState(rootDir);
+  const { entries, malformed_lines } = loadDlqState(rootDir, { include_archives: true });
   const now = Date.now();
   const summary = {
     total: entries.length,
@@ -1205,6 +4832,32 @@ function validateOrDlq(rootDir, schemaName, payload) {
   return validateSchema(rootDir, schemaName, payload, { dlqOnFailure: true });
 }
 
+// Schema validation first, then the field catalog; catalog mismatches go to the DLQ as
+// field_type_mismatch errors so they can be fixed and retried like schema failures.
+function validateValidityWindow(observation) {
+  if (!observation.valid_from || !observation.valid_to || Date.parse(observation.valid_to) > Date.parse(observation.valid_from)) {
+    return [];
+  }
+  return [{
+    instancePath: "/valid_to",
+    keyword: "invalid_validity_window",
+    message: `valid_to (${observation.valid_to}) must be after valid_from (${observation.valid_from})`,
+    params: { valid_from: observation.valid_from, valid_to: observation.valid_to }
+  }];
+}
+
+function validateObservationOrDlq(rootDir, observation) {
+  const validation = validateOrDlq(rootDir, "observation", observation);
+  if (!validation.valid) {
+    return validation;
+  }
+  const errors = [...validateValidityWindow(observation), ...validateFieldValue(rootDir, observation)];
+  if (errors.length === 0) {
+    return validation;
+  }
+  return { valid: false, errors, dlqEntry: writeDlqEntry(rootDir, "observation", observation, errors) };
+}
+
 function retryDlqPayload(rootDir, entry, options = {}) {
   const payload = entry.payload;
   if (entry.schema_name === "observation") {
@@ -1224,7 +4877,7 @@ function retryDlqPayload(rootDir, entry, options = {}) {
 
 function isDlqResolvedResult(schemaName, resultStatus) {
   if (schemaName === "observation") {
-    return ["committed", "pending_confirmation", "tentative", "duplicate"].includes(resultStatus);
+    return ["committed", "reconfirmed", "pending_confirmation", "tentative", "duplicate"].includes(resultStatus);
   }
   if (schemaName === "confirmation") {
     return ["committed", "rejected"].includes(resultStatus);
@@ -1331,84 +4984,190 @@ function retryDlqEntries(rootDir, options = {}) {
   return summary;
 }
 
-function ingestObservation(rootDir, observation, options = {}) {
-  ensureStateFiles(rootDir);
-  const validation = validateOrDlq(rootDir, "observation", observation);
-  if (!validation.valid) {
-    return {
-      status: "validation_failed",
-      errors: validation.errors,
-      dlq: validation.dlqEntry
-    };
-  }
+function createIngestBatch() {
+  return {
+    records: [],
+    observations: [],
+    change_lines: [],
+    event_ids: new Set()
+  };
+}
 
-  const state = loadState(rootDir);
-  if (state.processed_event_ids.includes(observation.event_id)) {
+// Evaluates one observation against the in-memory state. Journal records are applied to
+// `state` immediately so later items in the same batch see them, but nothing is persisted
+// until commitIngestBatch runs.
+function stageObservation(rootDir, state, batch, observation, options = {}) {
+  if (batch.event_ids.has(observation.event_id)) {
+    getStorage(rootDir).dedupRecordHit({
+      event_id: observation.event_id,
+      source_type: observation.source?.type || "unknown",
+      ts: nowIso()
+    });
+    return { status: "duplicate", event_id: observation.event_id };
+  }
+  if (isDuplicateEvent(rootDir, observation)) {
     return { status: "duplicate", event_id: observation.event_id };
   }
 
-  const analysis = computeConfidence(state, observation);
-  const decisionMeta = resolveDecision(state, observation, analysis, options);
+  const aliases = resolveValueAliases(rootDir, observation);
+  const corroborated = attachCorroborators(state, observation, aliases);
+  const sourceType = loadSourceRegistry(rootDir).types[observation.source?.type];
+  const result = stageDecision(state, batch, corroborated, {
+    ...options,
+    autoCommitAllowed: sourceType ? sourceType.auto_commit : true,
+    valueAliases: aliases
+  });
+  stageCorroboratedPrompts(state, batch, corroborated, aliases);
+  return result;
+}
 
-  pushProcessedEventId(state, observation.event_id);
+function stageRecord(state, batch, event, changeLine) {
+  const record = {
+    journal_id: randomUuid(),
+    ts: nowIso(),
+    ...event
+  };
+  applyJournalRecord(state, record);
+  batch.records.push(record);
+  batch.change_lines.push(changeLine);
+  return record;
+}
+
+function stageDecision(state, batch, observation, options) {
+  const analysis = computeConfidence(state, observation);
+  let decisionMeta = resolveDecision(state, observation, analysis, options);
+  if (decisionMeta.decision === "auto_commit" && !options.forceCommit && options.autoCommitAllowed === false) {
+    decisionMeta = {
+      decision: "ask_user",
+      margin: decisionMeta.margin,
+      reasons: [...decisionMeta.reasons, `source ${observation.source.type} is registered with auto_commit=false`],
+      conflict: decisionMeta.conflict
+    };
+  }
+  const strategyConflict = decisionMeta.conflict?.winner && decisionMeta.decision !== "ask_user"
+    ? createConflictRecord(observation, analysis, { ...decisionMeta.conflict, settled: true }, null)
+    : null;
+  const conflictNote = (conflict) => (conflict
+    ? ` | conflict_id=${conflict.conflict_id}${conflict.winner ? ` | winner=${conflict.winner}` : ""}`
+    : "");
+  const stage = (event, changeLine) => {
+    stageRecord(state, batch, event, changeLine);
+    batch.observations.push(observation);
+    batch.event_ids.add(observation.event_id);
+  };
 
   if (decisionMeta.decision === "auto_commit") {
-    const commitResult = applyCommittedObservation(state, observation, analysis.confidence);
-    state.learning_stats.auto_commits += 1;
-    saveState(rootDir, state);
-    logStateChange(
-      rootDir,
-      `${observation.event_id} | decision=auto_commit | ${observation.entity_id}/${observation.domain}.${commitResult.fieldKey} | value=${stringifyValue(observation.candidate_value)} | confidence=${analysis.confidence} | source=${observation.source.type}`
+    stage(
+      {
+        type: isRetractionObservation(observation) ? "observation_retracted" : "observation_committed",
+        observation,
+        confidence: analysis.confidence,
+        decision_path: options.forceCommit ? "force_commit" : "auto_commit",
+        ...(strategyConflict ? { conflict: strategyConflict } : {})
+      },
+      `${observation.event_id} | decision=auto_commit | ${observation.entity_id}/${observation.domain}.${fieldKeyFromObservation(observation)} | value=${stringifyValue(observation.candidate_value)} | confidence=${analysis.confidence} | source=${observation.source.type}${conflictNote(strategyConflict)}`
     );
     return {
       status: "committed",
       decision: decisionMeta.decision,
       confidence: analysis.confidence,
       margin: decisionMeta.margin,
+      confidence_breakdown: analysis,
+      reasons: decisionMeta.reasons,
+      ...(strategyConflict ? { conflict: strategyConflict } : {})
+    };
+  }
+
+  if (decisionMeta.decision === "reconfirm") {
+    const fieldKey = fieldKeyFromObservation(observation);
+    const current = state.entities[observation.entity_id].state[observation.domain][fieldKey];
+    const confidence = reconfirmedConfidence(current, observation, analysis.confidence);
+    stage(
+      {
+        type: "observation_reconfirmed",
+        observation,
+        observed_confidence: analysis.confidence,
+        confidence
+      },
+      `${observation.event_id} | decision=reconfirm | ${observation.entity_id}/${observation.domain}.${fieldKey} | value=${stringifyValue(current.value)} | confidence=${current.confidence}->${confidence} | source=${observation.source.type}`
+    );
+    return {
+      status: "reconfirmed",
+      decision: decisionMeta.decision,
+      confidence,
+      margin: decisionMeta.margin,
+      confidence_breakdown: analysis,
       reasons: decisionMeta.reasons
     };
   }
 
   if (decisionMeta.decision === "ask_user") {
     const prompt = createPendingPrompt(observation, decisionMeta, analysis);
-    state.pending_confirmations[prompt.prompt_id] = prompt;
-    saveState(rootDir, state);
-    logStateChange(
-      rootDir,
-      `${observation.event_id} | decision=ask_user | prompt_id=${prompt.prompt_id} | ${observation.entity_id}/${observation.field} | confidence=${analysis.confidence}`
+    const conflict = decisionMeta.conflict
+      ? createConflictRecord(observation, analysis, decisionMeta.conflict, prompt.prompt_id)
+      : null;
+    if (conflict) {
+      prompt.conflict_id = conflict.conflict_id;
+    }
+    stage(
+      {
+        type: "prompt_created",
+        observation,
+        prompt,
+        ...(conflict ? { conflict } : {})
+      },
+      `${observation.event_id} | decision=ask_user | prompt_id=${prompt.prompt_id} | ${observation.entity_id}/${observation.field} | confidence=${analysis.confidence}${conflictNote(conflict)}`
     );
     return {
       status: "pending_confirmation",
       decision: decisionMeta.decision,
       confidence: analysis.confidence,
       margin: decisionMeta.margin,
-      prompt
+      confidence_breakdown: analysis,
+      prompt,
+      ...(conflict ? { conflict } : {})
     };
   }
 
-  pushTentativeObservation(state, observation, analysis.confidence, decisionMeta.reasons);
-  saveState(rootDir, state);
-  logStateChange(
-    rootDir,
-    `${observation.event_id} | decision=tentative_reject | ${observation.entity_id}/${observation.field} | confidence=${analysis.confidence}`
+  stage(
+    {
+      type: "observation_tentative",
+      observation,
+      tentative: buildTentativeObservation(observation, analysis.confidence, decisionMeta.reasons),
+      ...(strategyConflict ? { conflict: strategyConflict } : {})
+    },
+    `${observation.event_id} | decision=tentative_reject | ${observation.entity_id}/${observation.field} | confidence=${analysis.confidence}${conflictNote(strategyConflict)}`
   );
   return {
     status: "tentative",
     decision: decisionMeta.decision,
     confidence: analysis.confidence,
     margin: decisionMeta.margin,
-    reasons: decisionMeta.reasons
+    confidence_breakdown: analysis,
+    reasons: decisionMeta.reasons,
+    ...(strategyConflict ? { conflict: strategyConflict } : {})
   };
 }
 
-function getPendingConfirmation(rootDir, promptId) {
-  const state = loadState(rootDir);
-  return state.pending_confirmations[promptId] || null;
+// Journal first (single append), then one state save, then the dedup index and change log.
+// A crash after the journal append leaves a tracker that `rebuild` can bring forward.
+function commitIngestBatch(rootDir, state, batch) {
+  if (batch.records.length === 0) {
+    return;
+  }
+  const storage = getStorage(rootDir);
+  storage.appendStreamLines("journal", batch.records.map((record) => JSON.stringify(record)));
+  saveState(rootDir, state);
+  const seenAt = nowIso();
+  for (const observation of batch.observations) {
+    rememberProcessedEvent(rootDir, observation, seenAt);
+  }
+  storage.appendStreamLines("changes", batch.change_lines.map((line) => `- ${seenAt} | ${line}`));
 }
 
-function applyUserConfirmation(rootDir, confirmation) {
+function ingestObservation(rootDir, observation, options = {}) {
   ensureStateFiles(rootDir);
-  const validation = validateOrDlq(rootDir, "confirmation", confirmation);
+  const validation = validateObservationOrDlq(rootDir, observation);
   if (!validation.valid) {
     return {
       status: "validation_failed",
@@ -1417,101 +5176,320 @@ function applyUserConfirmation(rootDir, confirmation) {
     };
   }
 
-  const state = loadState(rootDir);
-  const pending = state.pending_confirmations[confirmation.prompt_id];
-  if (!pending) {
+  return withStateLock(rootDir, () => {
+    const state = loadState(rootDir);
+    const batch = createIngestBatch();
+    const result = stageObservation(rootDir, state, batch, observation, options);
+    commitIngestBatch(rootDir, state, batch);
+    return result;
+  });
+}
+
+function ingestObservationBatch(rootDir, observations, options = {}) {
+  ensureStateFiles(rootDir);
+  const results = observations.map((observation) => {
+    const validation = validateObservationOrDlq(rootDir, observation);
+    return validation.valid
+      ? null
+      : { status: "validation_failed", errors: validation.errors, dlq: validation.dlqEntry };
+  });
+
+  return withStateLock(rootDir, () => {
+    const state = loadState(rootDir);
+    const batch = createIngestBatch();
+    observations.forEach((observation, idx) => {
+      if (!results[idx]) {
+        results[idx] = stageObservation(rootDir, state, batch, observation, options);
+      }
+    });
+    commitIngestBatch(rootDir, state, batch);
+    return {
+      status: "ok",
+      staged_records: batch.records.length,
+      results
+    };
+  });
+}
+
+function elapsedMs(startedAt) {
+  return Number(process.hrtime.bigint() - startedAt) / 1e6;
+}
+
+function summarizeLatencies(durations) {
+  const total = durations.reduce((sum, value) => sum + value, 0);
+  return {
+    total_ms: round3(total),
+    ops_per_sec: total > 0 ? round3((durations.length * 1000) / total) : 0,
+    p50_ms: round3(percentile(durations, 0.5)),
+    p95_ms: round3(percentile(durations, 0.95)),
+    max_ms: round3(durations.length > 0 ? Math.max(...durations) : 0)
+  };
+}
+
+// Runs against a throwaway workspace seeded with this root's schemas, so the live tracker,
+// journal and dedup index are never touched.
+function runIngestBenchmark(rootDir, options = {}) {
+  const count = Math.max(1, Math.floor(parseFiniteNumber(options.count, 200)));
+  const targetWriteMs = parseFiniteNumber(options.target_write_ms, 50);
+  const benchRoot = fs.mkdtempSync(path.join(os.tmpdir(), "state-bench-"));
+  try {
+    fs.mkdirSync(path.join(benchRoot, "memory"), { recursive: true });
+    fs.cpSync(path.join(rootDir, "schemas"), path.join(benchRoot, "schemas"), { recursive: true });
+    ensureStateFiles(benchRoot);
+
+    let startedAt = process.hrtime.bigint();
+    loadSchemaValidators(benchRoot);
+    const coldMs = elapsedMs(startedAt);
+    startedAt = process.hrtime.bigint();
+    loadSchemaValidators(benchRoot);
+    const warmMs = elapsedMs(startedAt);
+
+    const makeObservation = (i, label) => ({
+      event_id: deterministicUuidFromText(`bench:${label}:${i}`),
+      event_ts: nowIso(),
+      domain: "general",
+      entity_id: DEFAULT_ENTITY_ID,
+      field: `general.bench_${label}_${i}`,
+      candidate_value: `value-${i}`,
+      intent: "assertive",
+      source: { type: "conversation_assertive", ref: `bench:${label}:${i}` },
+      corroborators: []
+    });
+
+    const durations = [];
+    for (let i = 0; i < count; i += 1) {
+      startedAt = process.hrtime.bigint();
+      const result = ingestObservation(benchRoot, makeObservation(i, "single"), { forceCommit: true });
+      durations.push(elapsedMs(startedAt));
+      if (result.status !== "committed") {
+        throw new Error(`benchmark ingest ${i} returned ${result.status}`);
+      }
+    }
+
+    const batch = [];
+    for (let i = 0; i < count; i += 1) {
+      batch.push(makeObservation(i, "batch"));
+    }
+    startedAt = process.hrtime.bigint();
+    ingestObservationBatch(benchRoot, batch, { forceCommit: true });
+    const batchMs = elapsedMs(startedAt);
+
+    const single = summarizeLatencies(durations);
     return {
-      status: "not_found",
-      message: `No pending prompt found for prompt_id=${confirmation.prompt_id}`
+      status: "ok",
+      storage: getStorage(benchRoot).backend,
+      count,
+      validators: {
+        cold_compile_ms: round3(coldMs),
+        cached_lookup_ms: round3(warmMs)
+      },
+      ingest: single,
+      batch: {
+        total_ms: round3(batchMs),
+        ops_per_sec: batchMs > 0 ? round3((count * 1000) / batchMs) : 0
+      },
+      target_write_ms: targetWriteMs,
+      within_target: single.p95_ms <= targetWriteMs
     };
+  } finally {
+    fs.rmSync(benchRoot, { recursive: true, force: true });
   }
+}
+
+function getPendingConfirmation(rootDir, promptId) {
+  const state = loadState(rootDir);
+  return state.pending_confirmations[promptId] || null;
+}
 
-  if (pending.entity_id !== confirmation.entity_id || pending.domain !== confirmation.domain) {
+function applyUserConfirmation(rootDir, confirmation) {
+  ensureStateFiles(rootDir);
+  const validation = validateOrDlq(rootDir, "confirmation", confirmation);
+  if (!validation.valid) {
     return {
-      status: "mismatch",
-      message: "Confirmation entity/domain does not match pending prompt."
+      status: "validation_failed",
+      errors: validation.errors,
+      dlq: validation.dlqEntry
     };
   }
 
-  const confirmationTs = confirmation.ts || nowIso();
-  const pendingObservation = pending.observation_event || {};
-  const learningEventBase = {
-    ts: confirmationTs,
-    entity_id: pending.entity_id,
-    domain: pending.domain,
-    field: pendingObservation.field || "",
-    decision: "ask_user",
-    confidence: pending.confidence,
-    intent: pendingObservation.intent || "assertive",
-    source_type: pendingObservation.source?.type || pending.source?.type || "",
-    source_ref: pendingObservation.source?.ref || pending.source?.ref || "",
-    prompt_id: pending.prompt_id
-  };
+  return withStateLock(rootDir, () => {
+    const state = loadState(rootDir);
+    const pending = state.pending_confirmations[confirmation.prompt_id];
+    if (!pending) {
+      return {
+        status: "not_found",
+        message: `No pending prompt found for prompt_id=${confirmation.prompt_id}`
+      };
+    }
+
+    if (pending.entity_id !== confirmation.entity_id || pending.domain !== confirmation.domain) {
+      return {
+        status: "mismatch",
+        message: "Confirmation entity/domain does not match pending prompt."
+      };
+    }
+
+    const confirmationTs = confirmation.ts || nowIso();
+    const pendingObservation = pending.observation_event || {};
+    const learningEventBase = {
+      ts: confirmationTs,
+      entity_id: pending.entity_id,
+      domain: pending.domain,
+      field: pendingObservation.field || "",
+      decision: "ask_user",
+      confidence: pending.confidence,
+      intent: pendingObservation.intent || "assertive",
+      source_type: pendingObservation.source?.type || pending.source?.type || "",
+      source_ref: pendingObservation.source?.ref || pending.source?.ref || "",
+      prompt_id: pending.prompt_id
+    };
+
+    if (confirmation.action === "reject") {
+      recordJournalEvent(rootDir, state, {
+        type: "confirmation_applied",
+        prompt_id: confirmation.prompt_id,
+        action: "reject",
+        outcome: "rejected"
+      });
+      saveState(rootDir, state);
+      logStateChange(rootDir, `prompt=${confirmation.prompt_id} | action=reject | no state mutation`);
+      appendLearningEvent(rootDir, {
+        ...learningEventBase,
+        action: "reject",
+        outcome: "corrected"
+      });
+      return {
+        status: "rejected",
+        prompt_id: confirmation.prompt_id
+      };
+    }
+
+    const baseObservation = pending.observation_event;
+    const committedObservation = {
+      ...baseObservation,
+      event_id: randomUuid(),
+      event_ts: confirmationTs,
+      intent: "assertive",
+      candidate_value: confirmation.action === "edit" ? confirmation.edited_value : baseObservation.candidate_value,
+      source: {
+        type: "user_confirmation",
+        ref: `prompt:${confirmation.prompt_id}`
+      }
+    };
 
-  state.learning_stats.ask_user_confirmations += 1;
-  delete state.pending_confirmations[confirmation.prompt_id];
+    const observationValidation = validateObservationOrDlq(rootDir, committedObservation);
+    if (!observationValidation.valid) {
+      recordJournalEvent(rootDir, state, {
+        type: "confirmation_applied",
+        prompt_id: confirmation.prompt_id,
+        action: confirmation.action,
+        outcome: "validation_failed"
+      });
+      saveState(rootDir, state);
+      return {
+        status: "validation_failed",
+        errors: observationValidation.errors,
+        dlq: observationValidation.dlqEntry
+      };
+    }
 
-  if (confirmation.action === "reject") {
-    state.learning_stats.user_rejects += 1;
+    const analysis = computeConfidence(state, committedObservation);
+    recordJournalEvent(rootDir, state, {
+      type: "confirmation_applied",
+      prompt_id: confirmation.prompt_id,
+      action: confirmation.action,
+      outcome: "committed",
+      observation: committedObservation,
+      confidence: analysis.confidence
+    });
     saveState(rootDir, state);
-    logStateChange(rootDir, `prompt=${confirmation.prompt_id} | action=reject | no state mutation`);
+    logStateChange(
+      rootDir,
+      `prompt=${confirmation.prompt_id} | action=${confirmation.action} | committed=${committedObservation.entity_id}/${committedObservation.domain}.${fieldKeyFromObservation(committedObservation)} | value=${stringifyValue(committedObservation.candidate_value)}`
+    );
     appendLearningEvent(rootDir, {
       ...learningEventBase,
-      action: "reject",
-      outcome: "corrected"
+      action: confirmation.action,
+      outcome: confirmation.action === "confirm" ? "accepted" : "corrected"
     });
     return {
-      status: "rejected",
-      prompt_id: confirmation.prompt_id
+      status: "committed",
+      prompt_id: confirmation.prompt_id,
+      action: confirmation.action,
+      committed_event_id: committedObservation.event_id
     };
-  }
+  });
+}
 
-  const baseObservation = pending.observation_event;
-  const committedObservation = {
-    ...baseObservation,
-    event_id: randomUuid(),
-    event_ts: confirmationTs,
-    intent: "assertive",
-    candidate_value: confirmation.action === "edit" ? confirmation.edited_value : baseObservation.candidate_value,
-    source: {
-      type: "user_confirmation",
-      ref: `prompt:${confirmation.prompt_id}`
-    }
+function listConflicts(rootDir, options = {}) {
+  const state = loadState(rootDir);
+  const conflicts = (state.active_conflicts || [])
+    .filter((item) => !options.entity_id || item.entity_id === options.entity_id)
+    .sort((a, b) => String(a.detected_at).localeCompare(String(b.detected_at)));
+  return {
+    status: "ok",
+    count: conflicts.length,
+    conflicts
   };
+}
 
-  const observationValidation = validateOrDlq(rootDir, "observation", committedObservation);
-  if (!observationValidation.valid) {
-    saveState(rootDir, state);
+// Conflicts are settled through their pending prompt, so the outcome is journaled, logged
+// and fed to threshold learning exactly like a confirmation.
+function resolveConflict(rootDir, conflictRef, options = {}) {
+  ensureStateFiles(rootDir);
+  return withStateLock(rootDir, () => {
+    const state = loadState(rootDir);
+    const ref = String(conflictRef || "");
+    const matches = (state.active_conflicts || []).filter((item) => ref && item.conflict_id.startsWith(ref));
+    if (matches.length !== 1) {
+      return {
+        status: matches.length === 0 ? "not_found" : "ambiguous",
+        message: `${matches.length === 0 ? "No" : "More than one"} active conflict matches ${ref || "(empty)"}`
+      };
+    }
+    const conflict = matches[0];
+
+    let action;
+    if (options.value !== undefined) {
+      action = "edit";
+    } else if (options.keep === "incoming") {
+      action = "confirm";
+    } else if (options.keep === "current") {
+      action = "reject";
+    } else {
+      throw new Error("conflicts resolve needs --keep current|incoming or --value <json-or-string>");
+    }
+
+    const pending = state.pending_confirmations[conflict.prompt_id];
+    if (!pending) {
+      recordJournalEvent(rootDir, state, {
+        type: "conflict_dismissed",
+        conflict_id: conflict.conflict_id,
+        reason: "prompt_missing"
+      });
+      saveState(rootDir, state);
+      logStateChange(rootDir, `conflict=${conflict.conflict_id} | dismissed | prompt ${conflict.prompt_id} no longer pending`);
+      return { status: "dismissed", conflict_id: conflict.conflict_id };
+    }
+
+    const confirmation = applyUserConfirmation(rootDir, {
+      prompt_id: pending.prompt_id,
+      entity_id: pending.entity_id,
+      domain: pending.domain,
+      proposed_change: pending.proposed_change,
+      confidence: pending.confidence,
+      reason_summary: pending.reason_summary,
+      action,
+      ...(action === "edit" ? { edited_value: options.value } : {}),
+      ts: nowIso()
+    });
     return {
-      status: "validation_failed",
-      errors: observationValidation.errors,
-      dlq: observationValidation.dlqEntry
+      status: confirmation.status === "committed" || confirmation.status === "rejected" ? "resolved" : confirmation.status,
+      conflict_id: conflict.conflict_id,
+      kept: action === "edit" ? "edited" : options.keep,
+      confirmation
     };
-  }
-
-  const analysis = computeConfidence(state, committedObservation);
-  const commitResult = applyCommittedObservation(state, committedObservation, analysis.confidence);
-  if (confirmation.action === "edit") {
-    state.learning_stats.user_edits += 1;
-  } else {
-    state.learning_stats.user_confirms += 1;
-  }
-  saveState(rootDir, state);
-  logStateChange(
-    rootDir,
-    `prompt=${confirmation.prompt_id} | action=${confirmation.action} | committed=${committedObservation.entity_id}/${committedObservation.domain}.${commitResult.fieldKey} | value=${stringifyValue(committedObservation.candidate_value)}`
-  );
-  appendLearningEvent(rootDir, {
-    ...learningEventBase,
-    action: confirmation.action,
-    outcome: confirmation.action === "confirm" ? "accepted" : "corrected"
   });
-  return {
-    status: "committed",
-    prompt_id: confirmation.prompt_id,
-    action: confirmation.action,
-    committed_event_id: committedObservation.event_id
-  };
 }
 
 function domainFromText(text) {
@@ -1552,11 +5530,14 @@ function parseIsoMaybe(value) {
   return new Date(ms).toISOString();
 }
 
-function normalizeRelativeDayExpr(value) {
+function normalizeRelativeDayExpr(value, timezone) {
   const raw = String(value || "").trim();
   const match = raw.match(/^([+-]?\d+)\s*days?$/i);
   if (!match) {
-    return raw || value;
+    // gog resolves today/tomorrow itself; any other single day expression becomes a local date.
+    const parsed = /^(today|tomorrow)$/i.test(raw) ? null : parseTemporalExpressions(raw, { timezone });
+    const only = parsed?.expressions.length === 1 ? parsed.expressions[0] : null;
+    return only && only.text.length === raw.length ? only.date : raw || value;
   }
   const offsetDays = Number(match[1]);
   if (!Number.isFinite(offsetDays)) {
@@ -1568,6 +5549,301 @@ function normalizeRelativeDayExpr(value) {
   return date.toISOString().slice(0, 10);
 }
 
+// Rule-based temporal parser for text observations. Dates are local calendar days in the
+// entity's timezone: "tomorrow", weekdays ("Sunday", "next Sunday"), "Feb 24", ISO dates and
+// "in two weeks"; a time of day ("at 3pm", "15:30", "noon") narrows the nearest date to a minute.
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const TEMPORAL_NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+const TEMPORAL_MONTH = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?";
+// "may" is also a modal verb ("I may 5 people"): lowercase, it only counts as the month with an
+// ordinal, a year or a leading "on"/"by"/"until"-style preposition.
+function acceptsMonthToken(match, text, lower) {
+  const monthAt = match.index + match[0].search(/may/);
+  if (!/\bmay\b/.test(match[0]) || text.slice(monthAt, monthAt + 3) === "May") {
+    return true;
+  }
+  return /\d(?:st|nd|rd|th)\b|\d{4}/.test(match[0])
+    || /\b(?:on|by|until|till|through|from|since|before|after)\s+(?:the\s+)?$/.test(lower.slice(0, match.index));
+}
+
+const TEMPORAL_DATE_RULES = [
+  {
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{2}):(\d{2}))?\b/g,
+    resolve: (match) => ({
+      date: { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) },
+      time: match[4] ? { hour: Number(match[4]), minute: Number(match[5]) } : null
+    })
+  },
+  {
+    pattern: new RegExp(`\\b${TEMPORAL_MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, "g"),
+    accept: acceptsMonthToken,
+    resolve: (match, context) => ({ date: resolveMonthDay(context, match[1], Number(match[2]), match[3]) })
+  },
+  {
+    pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${TEMPORAL_MONTH}(?:,?\\s+(\\d{4}))?\\b`, "g"),
+    accept: acceptsMonthToken,
+    resolve: (match, context) => ({ date: resolveMonthDay(context, match[2], Number(match[1]), match[3]) })
+  },
+  {
+    pattern: /\b(today|tonight|tomorrow|yesterday)\b/g,
+    resolve: (match, context) => ({
+      date: shiftLocalDate(context.today, { today: 0, tonight: 0, tomorrow: 1, yesterday: -1 }[match[1]])
+    })
+  },
+  {
+    pattern: /\b(?:(next|this|on|last)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/g,
+    resolve: (match, context) => {
+      // Bare and "this" weekdays are the coming one (today included), "next" the first one after
+      // today and "last" the most recent one before today.
+      const diff = (WEEKDAY_NAMES.indexOf(match[2]) - localWeekday(context.today) + 7) % 7;
+      if (match[1] === "last") {
+        return { date: shiftLocalDate(context.today, diff === 0 ? -7 : diff - 7) };
+      }
+      return { date: shiftLocalDate(context.today, match[1] === "next" && diff === 0 ? 7 : diff) };
+    }
+  },
+  {
+    pattern: new RegExp(`\\bin\\s+(\\d+|${Object.keys(TEMPORAL_NUMBER_WORDS).join("|")})\\s+(minute|hour|day|week|month|year)s?\\b`, "g"),
+    resolve: (match, context) => {
+      const amount = TEMPORAL_NUMBER_WORDS[match[1]] || Number(match[1]);
+      if (match[2] === "minute" || match[2] === "hour") {
+        const ms = Date.parse(context.now) + amount * (match[2] === "hour" ? 60 : 1) * 60 * 1000;
+        return { instant: Math.floor(ms / 60000) * 60000 };
+      }
+      if (match[2] === "month" || match[2] === "year") {
+        return { date: shiftLocalMonths(context.today, amount * (match[2] === "year" ? 12 : 1)) };
+      }
+      return { date: shiftLocalDate(context.today, amount * (match[2] === "week" ? 7 : 1)) };
+    }
+  }
+];
+const TEMPORAL_TIME_PATTERN = /\b(?:at\s+)?(?:(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\b\.?|(\d{1,2}):(\d{2})\b|(noon|midnight)\b)/g;
+
+function isValidTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: String(timezone) });
+    return Boolean(timezone);
+  } catch (_error) {
+    return false;
+  }
+}
+
+function zonedParts(ms, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric"
+  }).formatToParts(new Date(ms));
+  return Object.fromEntries(parts.filter((part) => part.type !== "literal").map((part) => [part.type, Number(part.value)]));
+}
+
+// Wall-clock time in `timezone` to epoch ms; the second pass settles offsets that change at DST.
+function zonedTimeToUtcMs(timezone, date, hour = 0, minute = 0) {
+  const wall = Date.UTC(date.year, date.month - 1, date.day, hour, minute);
+  let ms = wall;
+  for (let pass = 0; pass < 2; pass += 1) {
+    const parts = zonedParts(ms, timezone);
+    ms = wall - (Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - ms);
+  }
+  return ms;
+}
+
+function shiftLocalDate(date, days) {
+  const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+}
+
+function shiftLocalMonths(date, months) {
+  const first = new Date(Date.UTC(date.year, date.month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  return { year: first.getUTCFullYear(), month: first.getUTCMonth() + 1, day: Math.min(date.day, lastDay) };
+}
+
+function localWeekday(date) {
+  return new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+}
+
+function localDateText(date) {
+  return `${date.year}-${String(date.month).padStart(2, "0")}-${String(date.day).padStart(2, "0")}`;
+}
+
+function isValidLocalDate(date) {
+  return Boolean(date) && date.month >= 1 && date.month <= 12 && shiftLocalDate(date, 0).day === date.day;
+}
+
+// A month and day without a year is the next occurrence, today included.
+function resolveMonthDay(context, monthName, day, year) {
+  const date = { year: Number(year || context.today.year), month: MONTH_NAMES.indexOf(monthName.slice(0, 3)) + 1, day };
+  if (!year && localDateText(date) < localDateText(context.today)) {
+    date.year += 1;
+  }
+  return date;
+}
+
+function resolveEntityTimezone(state, entityId, env = process.env) {
+  for (const owner of [entityId, ...listEntityAncestors(state, entityId)]) {
+    const timezone = state.entity_registry?.[owner]?.timezone;
+    if (timezone && isValidTimeZone(timezone)) {
+      return timezone;
+    }
+  }
+  if (env.STATE_TIMEZONE && isValidTimeZone(env.STATE_TIMEZONE)) {
+    return env.STATE_TIMEZONE;
+  }
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+function parseTemporalExpressions(text, options = {}) {
+  const timezone = isValidTimeZone(options.timezone) ? options.timezone : "UTC";
+  const now = parseIsoMaybe(options.now) || nowIso();
+  const nowParts = zonedParts(Date.parse(now), timezone);
+  const context = { now, timezone, today: { year: nowParts.year, month: nowParts.month, day: nowParts.day } };
+  const lower = String(text || "").toLowerCase();
+  const overlaps = (items, start, end) => items.some((item) => start < item.end && end > item.start);
+
+  const found = [];
+  for (const rule of TEMPORAL_DATE_RULES) {
+    for (const match of lower.matchAll(rule.pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (overlaps(found, start, end) || (rule.accept && !rule.accept(match, String(text), lower))) {
+        continue;
+      }
+      const resolved = rule.resolve(match, context);
+      if (resolved.date && !isValidLocalDate(resolved.date)) {
+        continue;
+      }
+      found.push({ start, end, ...resolved });
+    }
+  }
+  found.sort((a, b) => a.start - b.start);
+
+  for (const match of lower.matchAll(TEMPORAL_TIME_PATTERN)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (overlaps(found, start, end)) {
+      continue;
+    }
+    let hour = Number(match[1] ?? match[4]);
+    const minute = Number(match[2] ?? match[5] ?? 0);
+    if (match[6]) {
+      hour = match[6] === "noon" ? 12 : 0;
+    } else if (match[3]) {
+      if (hour < 1 || hour > 12) {
+        continue;
+      }
+      hour = (hour % 12) + (match[3] === "p" ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59) {
+      continue;
+    }
+    // A time of day belongs to the nearest date without one, or to today.
+    const distance = (item) => Math.max(item.start - end, start - item.end);
+    const anchor = found
+      .filter((item) => item.date && !item.time && !item.time_span)
+      .sort((a, b) => distance(a) - distance(b))[0];
+    if (anchor) {
+      anchor.time = { hour, minute };
+      anchor.time_span = { start, end };
+    } else {
+      found.push({ start, end, date: context.today, time: { hour, minute } });
+    }
+  }
+  found.sort((a, b) => Math.min(a.start, a.time_span?.start ?? a.start) - Math.min(b.start, b.time_span?.start ?? b.start));
+
+  const expressions = [];
+  let previousEnd = 0;
+  for (const item of found) {
+    const spanStart = Math.min(item.start, item.time_span?.start ?? item.start);
+    const spanEnd = Math.max(item.end, item.time_span?.end ?? item.end);
+    const before = lower.slice(previousEnd, spanStart);
+    // "until Friday" and the second half of "from Feb 24 to Feb 28" end a window.
+    const role = /\b(?:until|till|through|thru)\s+$/.test(before) || (expressions.length > 0 && /(?:\bto|-)\s*$/.test(before))
+      ? "until"
+      : "at";
+    let startMs;
+    let endMs = null;
+    let date;
+    if (item.instant !== undefined) {
+      startMs = item.instant;
+      const parts = zonedParts(startMs, timezone);
+      date = { year: parts.year, month: parts.month, day: parts.day };
+    } else {
+      date = item.date;
+      startMs = zonedTimeToUtcMs(timezone, date, item.time?.hour || 0, item.time?.minute || 0);
+      endMs = item.time ? null : zonedTimeToUtcMs(timezone, shiftLocalDate(date, 1));
+    }
+    expressions.push({
+      text: String(text).slice(spanStart, spanEnd),
+      date: localDateText(date),
+      start: new Date(startMs).toISOString(),
+      end: endMs === null ? null : new Date(endMs).toISOString(),
+      granularity: endMs === null ? "minute" : "day",
+      role
+    });
+    previousEnd = spanEnd;
+  }
+  return { timezone, reference_ts: now, expressions };
+}
+
+// The first future "at" expression opens the window; an "until" expression closes it.
+function resolveTemporalWindow(parsed) {
+  const nowMs = Date.parse(parsed.reference_ts);
+  const window = {};
+  const from = parsed.expressions.find((item) => item.role === "at");
+  if (from && Date.parse(from.start) > nowMs) {
+    window.valid_from = from.start;
+  }
+  const until = parsed.expressions.find((item) => item.role === "until");
+  const validTo = until ? until.end || until.start : null;
+  if (validTo && Date.parse(validTo) > Math.max(nowMs, Date.parse(window.valid_from || "") || 0)) {
+    window.valid_to = validTo;
+  }
+  return window;
+}
+
+// Adds meta.temporal and, unless the observation already has one, a validity window. Fields the
+// catalog declares as `date` or `date-time` take the first resolved date as their value.
+// `options.text` parses the sentence a value was extracted from instead of the value itself.
+function attachTemporalInfo(rootDir, observation, options = {}) {
+  const text = options.text ?? observation.candidate_value;
+  if (typeof text !== "string") {
+    return observation;
+  }
+  const timezone = options.timezone || resolveEntityTimezone(loadState(rootDir), observation.entity_id, options.env);
+  const parsed = parseTemporalExpressions(text, {
+    timezone,
+    now: options.now || observation.event_ts
+  });
+  if (parsed.expressions.length === 0) {
+    return observation;
+  }
+  const window = resolveTemporalWindow(parsed);
+  observation.meta = { ...(observation.meta || {}), temporal: { ...parsed, ...window } };
+  if (!observation.valid_from && !observation.valid_to) {
+    Object.assign(observation, window);
+  }
+  // A statement about a future date is a plan, whatever the past-tense fallback guessed.
+  if (window.valid_from && observation.intent === "historical") {
+    observation.intent = "planning";
+    observation.meta.temporal.intent_adjusted_from = "historical";
+  }
+  const fieldRef = `${observation.domain}.${fieldKeyFromObservation(observation)}`;
+  const format = findFieldDefinition(loadFieldCatalog(rootDir), fieldRef)?.format;
+  if ((format === "date" || format === "date-time") && typeof observation.candidate_value === "string") {
+    observation.meta.original_text = observation.candidate_value;
+    observation.candidate_value = format === "date" ? parsed.expressions[0].date : parsed.expressions[0].start;
+  }
+  return observation;
+}
+
 function runGogJson(args, account) {
   const cmdArgs = [
     ...args,
@@ -1724,8 +6000,8 @@ function classifyIntent(text) {
   return classifyIntentRuleBased(text);
 }
 
-function buildFewShotPrompt(domain, text) {
-  const examples = FEW_SHOT_EXAMPLES[domain] || FEW_SHOT_EXAMPLES.general;
+function buildFewShotPrompt(domain, text, fewShotExamples = FEW_SHOT_EXAMPLES) {
+  const examples = fewShotExamples[domain] || fewShotExamples.general || FEW_SHOT_EXAMPLES.general;
   return [
     "Classify intent using strict JSON only. Allowed intents: assertive, planning, hypothetical, historical, retract.",
     "Return JSON object: {\"intent\":\"...\",\"confidence\":0.0,\"reason\":\"...\",\"domain\":\"...\"}",
@@ -1801,7 +6077,7 @@ function normalizeIntentExtractionResult(result, domain) {
 }
 
 function extractIntentInfo(rootDir, options = {}) {
-  const domain = VALID_DOMAINS.includes(options.domain) ? options.domain : "general";
+  const domain = resolveDomainName(rootDir, options.domain);
   const text = String(options.text || "");
   const fallback = { ...classifyIntentRuleBased(text), domain };
   const settings = resolveIntentExtractorOptions(options);
@@ -1827,7 +6103,7 @@ function extractIntentInfo(rootDir, options = {}) {
       required: ["intent", "confidence", "reason"],
       additionalProperties: false
     },
-    few_shot_prompt: buildFewShotPrompt(domain, text)
+    few_shot_prompt: buildFewShotPrompt(domain, text, loadDomainConfig(rootDir).examples)
   };
 
   let extracted;
@@ -1861,13 +6137,222 @@ function extractIntentInfo(rootDir, options = {}) {
     mode: settings.mode,
     method: "command_schema_validated",
     fallback_used: false,
-    fallback_reason: ""
+    fallback_reason: ""
+  };
+}
+
+const TEMPORAL_WORDS = new Set([...WEEKDAY_NAMES, "today", "tonight", "tomorrow", "yesterday", "next", "this", "last", "in", "on"]);
+
+function applyExtractionTransform(transform, raw) {
+  const text = String(raw ?? "").trim();
+  if (transform === "lowercase") {
+    return text.toLowerCase();
+  }
+  if (transform !== "proper_noun") {
+    return text;
+  }
+  const words = [];
+  for (const word of text.split(/\s+/)) {
+    const bare = word.replace(/[.,;:!?]+$/, "");
+    const lower = bare.toLowerCase();
+    if (!/^\p{Lu}/u.test(bare) || TEMPORAL_WORDS.has(lower) || new RegExp(`^${TEMPORAL_MONTH}$`).test(lower)) {
+      break;
+    }
+    words.push(bare);
+    if (bare !== word) {
+      break;
+    }
+  }
+  return words.join(" ");
+}
+
+// Extracted text takes the catalog type of its field: numbers and currency amounts are parsed,
+// enum values snap to their canonical spelling.
+function coerceExtractedValue(definition, value) {
+  if (!definition || typeof value !== "string") {
+    return value;
+  }
+  if (definition.type === "number" || definition.type === "integer") {
+    const number = Number(value.replace(/^[$€£]\s?/, "").replace(/,/g, ""));
+    return Number.isFinite(number) ? number : value;
+  }
+  if (definition.type === "boolean" && /^(true|yes|false|no)$/i.test(value)) {
+    return /^(true|yes)$/i.test(value);
+  }
+  if (definition.format === "enum") {
+    return definition.values.find((allowed) => valuesEquivalent(allowed, value, definition.alias_map)) ?? value;
+  }
+  return value;
+}
+
+function splitSentences(text) {
+  return String(text || "").split(/(?<=[.!?;])\s+(?=\p{Lu})|\n+/u).map((sentence) => sentence.trim()).filter(Boolean);
+}
+
+function collectExtractionPatterns(rootDir) {
+  const library = { ...FIELD_EXTRACTION_PATTERNS };
+  for (const [key, definition] of Object.entries(loadFieldCatalog(rootDir).fields)) {
+    if (definition.extract) {
+      library[key] = definition.extract.filter((spec) => spec.pattern);
+    }
+  }
+  const domainNames = loadDomainConfig(rootDir).names;
+  return Object.fromEntries(Object.entries(library).filter(([field]) => domainNames.includes(field.split(".")[0])));
+}
+
+// One candidate per field and sentence: the first pattern of the field that yields a value wins.
+function matchFieldPatterns(rootDir, text) {
+  const catalog = loadFieldCatalog(rootDir);
+  const library = collectExtractionPatterns(rootDir);
+  const candidates = [];
+  for (const sentence of splitSentences(text)) {
+    const classified = classifyIntentRuleBased(sentence);
+    for (const [field, specs] of Object.entries(library)) {
+      for (const [idx, spec] of specs.entries()) {
+        const match = sentence.match(spec.pattern);
+        const value = match ? applyExtractionTransform(spec.transform, match.groups?.value ?? match[1] ?? match[0]) : "";
+        if (!value) {
+          continue;
+        }
+        candidates.push({
+          field,
+          value: coerceExtractedValue(findFieldDefinition(catalog, field), value),
+          intent: spec.intent && classified.intent !== "hypothetical" ? spec.intent : classified.intent,
+          text: sentence,
+          rule: `${field}#${idx}`
+        });
+        break;
+      }
+    }
+  }
+  return candidates;
+}
+
+function normalizeFieldExtractionResult(result, domainNames) {
+  if (!result || !Array.isArray(result.observations)) {
+    return null;
+  }
+  return result.observations
+    .filter((item) => (
+      item
+      && /^[a-z0-9_-]+\.[a-z0-9_.-]+$/.test(String(item.field || ""))
+      && domainNames.includes(item.field.split(".")[0])
+      && item.value !== undefined
+      && (item.intent === undefined || item.intent === null || VALID_INTENTS.includes(item.intent))
+    ))
+    .map((item) => ({
+      field: item.field,
+      value: item.value,
+      intent: item.intent || null,
+      text: typeof item.text === "string" && item.text.trim() ? item.text.trim() : null,
+      rule: "command"
+    }));
+}
+
+// Maps text to field/value candidates with the pattern library. A command configured with
+// STATE_FIELD_EXTRACTOR_CMD (separate from the intent extractor, which runs on every message)
+// receives a `field_extraction` task; its answer replaces the pattern matches unless it fails
+// or returns no `observations` list.
+function extractFieldCandidates(rootDir, options = {}) {
+  const text = String(options.text || "");
+  const matched = matchFieldPatterns(rootDir, text);
+  const command = String(options.field_extractor_cmd || (options.env || process.env).STATE_FIELD_EXTRACTOR_CMD || "").trim();
+  const mode = command ? INTENT_EXTRACTOR_MODE_COMMAND : INTENT_EXTRACTOR_MODE_RULE;
+  const patternResult = (fallbackReason) => ({
+    mode,
+    method: "pattern_library",
+    fallback_used: Boolean(fallbackReason),
+    fallback_reason: fallbackReason,
+    candidates: matched
+  });
+  if (!command) {
+    return patternResult("");
+  }
+
+  const catalog = loadFieldCatalog(rootDir);
+  const payload = {
+    task: "field_extraction",
+    domain: resolveDomainName(rootDir, options.domain),
+    text,
+    fields: Object.keys(collectExtractionPatterns(rootDir)).map((field) => {
+      const definition = findFieldDefinition(catalog, field);
+      return { field, type: definition?.type || null, format: definition?.format || null, values: definition?.values || null };
+    }),
+    allowed_intents: VALID_INTENTS,
+    pattern_matches: matched.map(({ field, value, intent }) => ({ field, value, intent })),
+    output_schema: {
+      type: "object",
+      required: ["observations"],
+      properties: { observations: { type: "array", items: { required: ["field", "value"] } } }
+    }
+  };
+  let extracted;
+  try {
+    extracted = runIntentExtractorCommand(command, payload);
+  } catch (error) {
+    return patternResult(`command_execution_failed:${error.message}`);
+  }
+  const candidates = normalizeFieldExtractionResult(extracted, loadDomainConfig(rootDir).names);
+  if (!candidates) {
+    return patternResult("command_output_invalid");
+  }
+  return {
+    mode,
+    method: "command",
+    fallback_used: false,
+    fallback_reason: "",
+    candidates
   };
 }
 
+// Splits a whole-message observation into one observation per extracted field. Each keeps the
+// message's source and timestamps, gets a stable event id derived from the message's and takes
+// its intent and validity window from the sentence it was found in.
+function extractFieldObservations(rootDir, observation, options = {}) {
+  const text = typeof observation.candidate_value === "string" ? observation.candidate_value : "";
+  if (!text) {
+    return [];
+  }
+  const extraction = extractFieldCandidates(rootDir, { ...options, text, domain: observation.domain });
+  if (extraction.candidates.length === 0) {
+    return [];
+  }
+  const timezone = options.timezone || resolveEntityTimezone(loadState(rootDir), observation.entity_id, options.env);
+  const { temporal: _temporal, original_text: _originalText, ...meta } = observation.meta || {};
+  return extraction.candidates.map((candidate, idx) => {
+    const derived = {
+      ...observation,
+      event_id: deterministicUuidFromText(`${observation.event_id}:${idx}:${candidate.field}`),
+      domain: candidate.field.split(".")[0],
+      field: candidate.field,
+      candidate_value: candidate.value,
+      intent: candidate.intent || observation.intent,
+      meta: {
+        ...meta,
+        extraction: {
+          method: extraction.method,
+          mode: extraction.mode,
+          rule: candidate.rule,
+          text: candidate.text || text,
+          message_event_id: observation.event_id,
+          fallback_used: extraction.fallback_used,
+          fallback_reason: extraction.fallback_reason
+        }
+      }
+    };
+    delete derived.valid_from;
+    delete derived.valid_to;
+    return attachTemporalInfo(rootDir, derived, {
+      text: candidate.text || text,
+      timezone,
+      now: options.now || observation.event_ts
+    });
+  });
+}
+
 function extractObservationFromText(options) {
-  const domain = VALID_DOMAINS.includes(options.domain) ? options.domain : "general";
   const rootDir = path.resolve(options.root_dir || process.cwd());
+  const domain = resolveDomainName(rootDir, options.domain);
   const intentInfo = extractIntentInfo(rootDir, {
     domain,
     text: options.text,
@@ -1897,10 +6382,25 @@ function extractObservationFromText(options) {
       classifier_domain: intentInfo.domain,
       fallback_used: Boolean(intentInfo.fallback_used),
       fallback_reason: intentInfo.fallback_reason || "",
-      few_shot_prompt: buildFewShotPrompt(domain, options.text)
+      few_shot_prompt: buildFewShotPrompt(domain, options.text, loadDomainConfig(rootDir).examples)
     }
   };
-  return observation;
+  return attachTemporalInfo(rootDir, observation, {
+    timezone: options.timezone,
+    now: options.now,
+    env: options.env
+  });
+}
+
+// Without an explicit field the text is split into field observations; text that matches no
+// pattern stays a single `<domain>.note` observation.
+function extractObservationsFromText(options) {
+  const observation = extractObservationFromText(options);
+  if (options.field) {
+    return [observation];
+  }
+  const extracted = extractFieldObservations(path.resolve(options.root_dir || process.cwd()), observation, options);
+  return extracted.length > 0 ? extracted : [observation];
 }
 
 function buildMigrationObservations(rootDir, entityId) {
@@ -1979,12 +6479,17 @@ function migrateToCanonical(rootDir, options = {}) {
   const summary = {
     total: observations.length,
     committed: 0,
+    reconfirmed: 0,
     pending_confirmation: 0,
     tentative: 0,
     duplicate: 0,
-    validation_failed: 0
+    validation_failed: 0,
+    checkpoint: null
   };
 
+  if (forceCommit && options.checkpoint !== false && observations.length > 0) {
+    summary.checkpoint = createAutoSnapshot(rootDir, "pre-migrate", "migrate --force-commit");
+  }
   for (const observation of observations) {
     const result = ingestObservation(rootDir, observation, { forceCommit });
     if (summary[result.status] !== undefined) {
@@ -1994,17 +6499,13 @@ function migrateToCanonical(rootDir, options = {}) {
   return summary;
 }
 
-function mapSignalSourceType(sourceKind, sourceMode) {
-  if (sourceKind === "calendar" && sourceMode === "webhook") {
-    return "calendar_webhook";
-  }
-  if (sourceKind === "calendar" && sourceMode === "poll") {
-    return "calendar_poll";
-  }
-  if (sourceKind === "email" && sourceMode === "webhook") {
-    return "email_webhook";
+function mapSignalSourceType(signalKinds, sourceKind, sourceMode) {
+  const exact = signalKinds[`${sourceKind}:${sourceMode}`];
+  if (exact) {
+    return exact;
   }
-  return "email_poll";
+  const sameKind = Object.keys(signalKinds).find((kind) => kind.startsWith(`${sourceKind}:`));
+  return sameKind ? signalKinds[sameKind] : "email_poll";
 }
 
 function ingestSignalEvent(rootDir, signal, options = {}) {
@@ -2018,22 +6519,23 @@ function ingestSignalEvent(rootDir, signal, options = {}) {
     };
   }
 
-  const sourceType = mapSignalSourceType(signal.source.kind, signal.source.mode);
+  const sourceType = mapSignalSourceType(loadSourceRegistry(rootDir).signal_kinds, signal.source.kind, signal.source.mode);
   const summary = {
     total_items: signal.items.length,
     committed: 0,
+    reconfirmed: 0,
     pending_confirmation: 0,
     tentative: 0,
     duplicate: 0,
     validation_failed: 0
   };
 
-  signal.items.forEach((item, idx) => {
+  const observations = signal.items.map((item, idx) => {
     const stableRef = item.ref || `${item.field}:${idx}`;
     const eventId = deterministicUuidFromText(
       `${signal.source.kind}:${signal.source.mode}:${signal.entity_id}:${stableRef}:${JSON.stringify(item.value)}`
     );
-    const observation = {
+    return {
       event_id: eventId,
       event_ts: signal.event_ts,
       domain: item.domain,
@@ -2047,11 +6549,13 @@ function ingestSignalEvent(rootDir, signal, options = {}) {
       },
       corroborators: item.corroborators || []
     };
-    const result = ingestObservation(rootDir, observation, options);
+  });
+
+  for (const result of ingestObservationBatch(rootDir, observations, options).results) {
     if (summary[result.status] !== undefined) {
       summary[result.status] += 1;
     }
-  });
+  }
 
   return {
     status: "ok",
@@ -2077,89 +6581,93 @@ function tentativeToObservation(tentative) {
 }
 
 function promoteReviewQueue(rootDir, options = {}) {
-  const state = loadState(rootDir);
-  state.runtime.last_review_queue_at = nowIso();
-  const minConfidence = Number(options.min_confidence ?? 0.4);
-  const limit = Math.max(1, Number(options.limit || 5));
-  const maxPending = Math.max(1, Number(options.max_pending || 10));
-  const entityId = options.entity_id || "";
-  const domain = options.domain || "";
-
-  const pendingOriginIds = new Set(
-    Object.values(state.pending_confirmations)
-      .map((item) => item.observation_event?.event_id)
-      .filter(Boolean)
-  );
-  const currentPendingCount = Object.values(state.pending_confirmations)
-    .filter((item) => !entityId || item.entity_id === entityId)
-    .filter((item) => !domain || item.domain === domain)
-    .length;
-  const remainingSlots = Math.max(0, maxPending - currentPendingCount);
-  if (remainingSlots === 0) {
+  return withStateLock(rootDir, () => {
+    const state = loadState(rootDir);
+    state.runtime.last_review_queue_at = nowIso();
+    const minConfidence = Number(options.min_confidence ?? 0.4);
+    const limit = Math.max(1, Number(options.limit || 5));
+    const maxPending = Math.max(1, Number(options.max_pending || 10));
+    const entityId = options.entity_id || "";
+    const domain = options.domain || "";
+
+    const pendingOriginIds = new Set(
+      Object.values(state.pending_confirmations)
+        .map((item) => item.observation_event?.event_id)
+        .filter(Boolean)
+    );
+    const currentPendingCount = Object.values(state.pending_confirmations)
+      .filter((item) => !entityId || item.entity_id === entityId)
+      .filter((item) => !domain || item.domain === domain)
+      .length;
+    const remainingSlots = Math.max(0, maxPending - currentPendingCount);
+    if (remainingSlots === 0) {
+      saveState(rootDir, state);
+      return {
+        status: "ok",
+        promoted_count: 0,
+        promoted: [],
+        pending_count: currentPendingCount,
+        max_pending: maxPending,
+        reason: "pending_limit_reached"
+      };
+    }
+
+    const candidates = state.tentative_observations
+      .filter((item) => !item.promoted_at)
+      .filter((item) => !entityId || item.entity_id === entityId)
+      .filter((item) => !domain || item.domain === domain)
+      .filter((item) => Number(item.confidence) >= minConfidence)
+      .filter((item) => !pendingOriginIds.has(item.event_id))
+      .sort((a, b) => {
+        if (b.confidence !== a.confidence) {
+          return b.confidence - a.confidence;
+        }
+        return String(a.observed_at).localeCompare(String(b.observed_at));
+      })
+      .slice(0, Math.min(limit, remainingSlots));
+
+    const promoted = [];
+    for (const item of candidates) {
+      const observation = tentativeToObservation(item);
+      const decisionMeta = {
+        reasons: [
+          "promoted_from_tentative_review_queue",
+          ...(Array.isArray(item.reasons) ? item.reasons : [])
+        ]
+      };
+      const analysis = {
+        confidence: Number(item.confidence || 0)
+      };
+      const prompt = createPendingPrompt(observation, decisionMeta, analysis);
+      recordJournalEvent(rootDir, state, {
+        type: "review_promoted",
+        tentative_event_id: item.event_id,
+        prompt
+      });
+      promoted.push({
+        prompt_id: prompt.prompt_id,
+        event_id: observation.event_id,
+        entity_id: observation.entity_id,
+        domain: observation.domain,
+        field: observation.field,
+        confidence: analysis.confidence
+      });
+      logStateChange(
+        rootDir,
+        `review_queue_promoted | prompt_id=${prompt.prompt_id} | event_id=${observation.event_id} | ${observation.entity_id}/${observation.field} | confidence=${analysis.confidence}`
+      );
+    }
+
     saveState(rootDir, state);
+
     return {
       status: "ok",
-      promoted_count: 0,
-      promoted: [],
-      pending_count: currentPendingCount,
+      pending_count: currentPendingCount + promoted.length,
       max_pending: maxPending,
-      reason: "pending_limit_reached"
-    };
-  }
-
-  const candidates = state.tentative_observations
-    .filter((item) => !item.promoted_at)
-    .filter((item) => !entityId || item.entity_id === entityId)
-    .filter((item) => !domain || item.domain === domain)
-    .filter((item) => Number(item.confidence) >= minConfidence)
-    .filter((item) => !pendingOriginIds.has(item.event_id))
-    .sort((a, b) => {
-      if (b.confidence !== a.confidence) {
-        return b.confidence - a.confidence;
-      }
-      return String(a.observed_at).localeCompare(String(b.observed_at));
-    })
-    .slice(0, Math.min(limit, remainingSlots));
-
-  const promoted = [];
-  for (const item of candidates) {
-    const observation = tentativeToObservation(item);
-    const decisionMeta = {
-      reasons: [
-        "promoted_from_tentative_review_queue",
-        ...(Array.isArray(item.reasons) ? item.reasons : [])
-      ]
-    };
-    const analysis = {
-      confidence: Number(item.confidence || 0)
+      promoted_count: promoted.length,
+      promoted
     };
-    const prompt = createPendingPrompt(observation, decisionMeta, analysis);
-    state.pending_confirmations[prompt.prompt_id] = prompt;
-    item.promoted_at = nowIso();
-    item.prompt_id = prompt.prompt_id;
-    promoted.push({
-      prompt_id: prompt.prompt_id,
-      event_id: observation.event_id,
-      entity_id: observation.entity_id,
-      domain: observation.domain,
-      field: observation.field,
-      confidence: analysis.confidence
-    });
-    logStateChange(
-      rootDir,
-      `review_queue_promoted | prompt_id=${prompt.prompt_id} | event_id=${observation.event_id} | ${observation.entity_id}/${observation.field} | confidence=${analysis.confidence}`
-    );
-  }
-
-  saveState(rootDir, state);
-
-  return {
-    status: "ok",
-    pending_count: currentPendingCount + promoted.length,
-    max_pending: maxPending,
-    promoted_count: promoted.length,
-    promoted
-  };
+  });
 }
 
 function pollSignals(rootDir, options = {}) {
@@ -2181,8 +6689,9 @@ function pollSignals(rootDir, options = {}) {
   };
 
   if (includeCalendar) {
-    const from = normalizeRelativeDayExpr(options.calendar_from || "today");
-    const to = normalizeRelativeDayExpr(options.calendar_to || "tomorrow");
+    const timezone = resolveEntityTimezone(loadState(rootDir), entityId, options.env);
+    const from = normalizeRelativeDayExpr(options.calendar_from || "today", timezone);
+    const to = normalizeRelativeDayExpr(options.calendar_to || "tomorrow", timezone);
     const max = String(options.calendar_max || 25);
     const events = runGogJson(["calendar", "events", "--from", from, "--to", to, "--max", max], account);
     const signal = calendarEventsToSignal(entityId, events, `gog:calendar:from=${from}:to=${to}`, "poll");
@@ -2199,9 +6708,9 @@ function pollSignals(rootDir, options = {}) {
     summary.email.fetched_threads = Array.isArray(threads) ? threads.length : 0;
   }
 
-  const state = loadState(rootDir);
-  state.runtime.last_poll_at = nowIso();
-  saveState(rootDir, state);
+  updateState(rootDir, (state) => {
+    state.runtime.last_poll_at = nowIso();
+  });
 
   return summary;
 }
@@ -2234,18 +6743,54 @@ function toStableStateEntries(state, entityFilter) {
   return entries;
 }
 
-function buildCanonicalStateSection(state, entityFilter) {
-  const entries = toStableStateEntries(state, entityFilter);
+function listRecentRetractions(state, entityFilter, sinceIso) {
+  const items = [];
+  for (const [entityId, domains] of Object.entries(state.tombstones || {})) {
+    if (entityFilter && entityFilter !== entityId) {
+      continue;
+    }
+    for (const [domain, fields] of Object.entries(domains || {})) {
+      for (const [field, tombstone] of Object.entries(fields || {})) {
+        if (!sinceIso || String(tombstone.retracted_at || "") >= sinceIso) {
+          items.push({ entity_id: entityId, domain, field, ...tombstone });
+        }
+      }
+    }
+  }
+  return items.sort((a, b) => String(b.retracted_at).localeCompare(String(a.retracted_at)));
+}
+
+function buildCanonicalStateSection(state, entityFilter, options = {}) {
+  const merged = Boolean(options.merged && entityFilter);
+  const entries = merged ? toMergedStateEntries(state, entityFilter) : toStableStateEntries(state, entityFilter);
   const lines = [];
   lines.push("Machine-managed section. Edit state via ingestion/confirmation flows.");
   lines.push("");
   lines.push("### Active Canonical State");
+  if (merged) {
+    const memberOf = listEntityAncestors(state, entityFilter);
+    lines.push(`Merged view for ${entityFilter}${memberOf.length > 0 ? ` with ${memberOf.join(", ")}` : ""}; the entity's own fields take precedence.`);
+  }
   if (entries.length === 0) {
     lines.push("- No committed state yet.");
   } else {
     for (const entry of entries) {
+      const inherited = entry.inherited_from ? `, inherited from ${entry.inherited_from}` : "";
+      lines.push(
+        `- [${entry.entity_id}] ${entry.domain}.${entry.field} = ${stringifyValue(entry.record.value)} (confidence=${entry.record.confidence}, source=${entry.record.source}${inherited})`
+      );
+    }
+  }
+
+  lines.push("");
+  lines.push("### Scheduled State");
+  const scheduled = listScheduledFacts(state, entityFilter);
+  if (scheduled.length === 0) {
+    lines.push("- None");
+  } else {
+    for (const item of scheduled) {
       lines.push(
-        `- [${entry.entity_id}] ${entry.domain}.${entry.field} = ${stringifyValue(entry.record.value)} (confidence=${entry.record.confidence}, source=${entry.record.source})`
+        `- [${item.entity_id}] ${item.domain}.${item.field} = ${stringifyValue(item.value)} from ${item.valid_from}${item.valid_to ? ` until ${item.valid_to}` : ""} (confidence=${item.confidence}, source=${item.source})`
       );
     }
   }
@@ -2263,16 +6808,48 @@ function buildCanonicalStateSection(state, entityFilter) {
     }
   }
 
+  lines.push("");
+  lines.push("### Unresolved Conflicts");
+  const conflicts = (state.active_conflicts || []).filter((item) => !entityFilter || item.entity_id === entityFilter);
+  if (conflicts.length === 0) {
+    lines.push("- None");
+  } else {
+    for (const item of conflicts) {
+      const values = item.values
+        .map((candidate) => `${stringifyValue(candidate.value)} (${candidate.role}, source=${candidate.source}, confidence=${candidate.confidence})`)
+        .join(" vs ");
+      lines.push(`- [${item.conflict_id}] [${item.entity_id}] ${item.domain}.${item.field}: ${values}`);
+    }
+  }
+
+  if (options.include_retractions) {
+    const days = parseFiniteNumber(options.retraction_days, 7);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const retractions = listRecentRetractions(state, entityFilter, since).slice(0, 10);
+    lines.push("");
+    lines.push(`### Recent Retractions (last ${days} days)`);
+    if (retractions.length === 0) {
+      lines.push("- None");
+    } else {
+      for (const item of retractions) {
+        lines.push(
+          `- [${item.entity_id}] ${item.domain}.${item.field} (was ${stringifyValue(item.previous_value)}) retracted ${item.retracted_at} by ${item.source} (event=${item.event_id})`
+        );
+      }
+    }
+  }
+
   return `${lines.join("\n")}\n`;
 }
 
 function buildStateChangeLogSection(rootDir) {
-  const paths = getPaths(rootDir);
-  const logText = readTextIfExists(paths.stateChanges, "");
-  const lines = logText
-    .split(/\r?\n/)
-    .filter((line) => line.startsWith("- "))
-    .slice(-20);
+  const storage = getStorage(rootDir);
+  let lines = storage.readStreamLines("changes").filter((line) => line.startsWith("- "));
+  const archiveKeys = storage.listArchives("changes");
+  while (lines.length < 20 && archiveKeys.length > 0) {
+    lines = [...storage.readArchiveLines("changes", archiveKeys.pop()), ...lines];
+  }
+  lines = lines.slice(-20);
   const out = [];
   out.push("Most recent state decisions:");
   out.push("");
@@ -2366,71 +6943,77 @@ function removeAllHeadingSections(text, heading) {
 
 function renderHeartbeatProjection(rootDir, options = {}) {
   ensureStateFiles(rootDir);
-  const entityFilter = options.entity_id || "";
-  const paths = getPaths(rootDir);
-  const state = loadState(rootDir);
-  let heartbeatText = readTextIfExists(paths.heartbeat, "# HEARTBEAT.md\n");
-
-  const canonicalHeading = "## Canonical State (Machine Managed)";
-  const changesHeading = "## State Change Log (Machine Managed)";
-  const canonicalZoneId = "canonical_state";
-  const changesZoneId = "state_change_log";
+  return withStateLock(rootDir, () => {
+    const entityFilter = options.entity_id || "";
+    const paths = getPaths(rootDir);
+    const state = loadState(rootDir);
+    let heartbeatText = readTextIfExists(paths.heartbeat, "# HEARTBEAT.md\n");
+
+    const canonicalHeading = "## Canonical State (Machine Managed)";
+    const changesHeading = "## State Change Log (Machine Managed)";
+    const canonicalZoneId = "canonical_state";
+    const changesZoneId = "state_change_log";
+
+    const existingCanonical = captureSectionBody(heartbeatText, canonicalHeading, canonicalZoneId).body;
+    const existingChanges = captureSectionBody(heartbeatText, changesHeading, changesZoneId).body;
+
+    const nextCanonical = buildCanonicalStateSection(state, entityFilter, {
+      merged: Boolean(options.merged),
+      include_retractions: Boolean(options.include_retractions),
+      retraction_days: options.retraction_days
+    });
+    const nextChanges = buildStateChangeLogSection(rootDir);
 
-  const existingCanonical = captureSectionBody(heartbeatText, canonicalHeading, canonicalZoneId).body;
-  const existingChanges = captureSectionBody(heartbeatText, changesHeading, changesZoneId).body;
+    const canonicalHash = sha256(nextCanonical);
+    const changesHash = sha256(nextChanges);
+    const existingCanonicalHash = sha256(existingCanonical || "");
+    const existingChangesHash = sha256(existingChanges || "");
 
-  const nextCanonical = buildCanonicalStateSection(state, entityFilter);
-  const nextChanges = buildStateChangeLogSection(rootDir);
+    const oldCanonicalHash = state.runtime.projection_hashes[canonicalHeading] || "";
+    const oldChangesHash = state.runtime.projection_hashes[changesHeading] || "";
 
-  const canonicalHash = sha256(nextCanonical);
-  const changesHash = sha256(nextChanges);
-  const existingCanonicalHash = sha256(existingCanonical || "");
-  const existingChangesHash = sha256(existingChanges || "");
+    if (oldCanonicalHash && existingCanonicalHash !== oldCanonicalHash && existingCanonicalHash !== canonicalHash) {
+      logStateChange(rootDir, `drift_detected | section=${canonicalHeading} | action=reconcile`);
+    }
+    if (oldChangesHash && existingChangesHash !== oldChangesHash && existingChangesHash !== changesHash) {
+      logStateChange(rootDir, `drift_detected | section=${changesHeading} | action=reconcile`);
+    }
 
-  const oldCanonicalHash = state.runtime.projection_hashes[canonicalHeading] || "";
-  const oldChangesHash = state.runtime.projection_hashes[changesHeading] || "";
+    const legacyAnchors = [
+      "## 🧠 Canonical State",
+      "## 🧾 State Change Log",
+      canonicalHeading,
+      changesHeading,
+      "Machine-managed section. Edit state via ingestion/confirmation flows.",
+      "Most recent state decisions:",
+      zoneMarkers(canonicalZoneId).start,
+      zoneMarkers(canonicalZoneId).end,
+      zoneMarkers(changesZoneId).start,
+      zoneMarkers(changesZoneId).end
+    ];
+    const anchorPositions = legacyAnchors
+      .map((anchor) => heartbeatText.indexOf(anchor))
+      .filter((idx) => idx >= 0);
+    if (anchorPositions.length > 0) {
+      const firstAnchor = Math.min(...anchorPositions);
+      heartbeatText = heartbeatText.slice(0, firstAnchor).trimEnd();
+    }
 
-  if (oldCanonicalHash && existingCanonicalHash !== oldCanonicalHash && existingCanonicalHash !== canonicalHash) {
-    logStateChange(rootDir, `drift_detected | section=${canonicalHeading} | action=reconcile`);
-  }
-  if (oldChangesHash && existingChangesHash !== oldChangesHash && existingChangesHash !== changesHash) {
-    logStateChange(rootDir, `drift_detected | section=${changesHeading} | action=reconcile`);
-  }
+    heartbeatText = removeAllHeadingSections(heartbeatText, canonicalHeading);
+    heartbeatText = removeAllHeadingSections(heartbeatText, changesHeading);
+    const canonicalBlock = buildSectionBlock(canonicalHeading, canonicalZoneId, nextCanonical);
+    const changesBlock = buildSectionBlock(changesHeading, changesZoneId, nextChanges);
+    heartbeatText = `${heartbeatText}\n\n${canonicalBlock}\n${changesBlock}\n`;
+    writeText(paths.heartbeat, heartbeatText);
 
-  const legacyAnchors = [
-    "## 🧠 Canonical State",
-    "## 🧾 State Change Log",
-    canonicalHeading,
-    changesHeading,
-    "Machine-managed section. Edit state via ingestion/confirmation flows.",
-    "Most recent state decisions:",
-    zoneMarkers(canonicalZoneId).start,
-    zoneMarkers(canonicalZoneId).end,
-    zoneMarkers(changesZoneId).start,
-    zoneMarkers(changesZoneId).end
-  ];
-  const anchorPositions = legacyAnchors
-    .map((anchor) => heartbeatText.indexOf(anchor))
-    .filter((idx) => idx >= 0);
-  if (anchorPositions.length > 0) {
-    const firstAnchor = Math.min(...anchorPositions);
-    heartbeatText = heartbeatText.slice(0, firstAnchor).trimEnd();
-  }
-
-  heartbeatText = removeAllHeadingSections(heartbeatText, canonicalHeading);
-  heartbeatText = removeAllHeadingSections(heartbeatText, changesHeading);
-  const canonicalBlock = buildSectionBlock(canonicalHeading, canonicalZoneId, nextCanonical);
-  const changesBlock = buildSectionBlock(changesHeading, changesZoneId, nextChanges);
-  heartbeatText = `${heartbeatText}\n\n${canonicalBlock}\n${changesBlock}\n`;
-  writeText(paths.heartbeat, heartbeatText);
-
-  state.runtime.projection_hashes[canonicalHeading] = canonicalHash;
-  state.runtime.projection_hashes[changesHeading] = changesHash;
-  saveState(rootDir, state);
-  return {
-    status: "ok",
-    projected_sections: [canonicalHeading, changesHeading]
-  };
+    state.runtime.projection_hashes[canonicalHeading] = canonicalHash;
+    state.runtime.projection_hashes[changesHeading] = changesHash;
+    saveState(rootDir, state);
+    return {
+      status: "ok",
+      projected_sections: [canonicalHeading, changesHeading]
+    };
+  });
 }
 
 function getLastReviewTimestamp(rootDir) {
@@ -2452,21 +7035,32 @@ function getStatus(rootDir) {
   const pendingCount = Object.keys(state.pending_confirmations).length;
   const tentativeCount = state.tentative_observations.length;
   const dlq = getDlqSummary(rootDir);
+  const journal = getJournalSummary(rootDir);
+  const dedup = getDedupStats(rootDir);
+  const storage = getStorage(rootDir);
   const lastReview = getLastReviewTimestamp(rootDir);
   return {
     version: state.version,
     last_consistency_check: state.last_consistency_check,
     entities: entities.length,
     committed_fields: committedCount,
+    scheduled_facts: listScheduledFacts(state).length,
     pending_confirmations: pendingCount,
     tentative_observations: tentativeCount,
     pending: pendingCount,
     tentative: tentativeCount,
+    active_conflicts: (state.active_conflicts || []).length,
     dlq,
+    journal,
+    storage: {
+      backend: storage.backend,
+      location: storage.location
+    },
     last_poll: state.runtime.last_poll_at || null,
     last_review_queue: state.runtime.last_review_queue_at || null,
     last_review: lastReview,
-    processed_event_ids: state.processed_event_ids.length,
+    processed_event_ids: dedup.entries,
+    dedup,
     projection_mode: state.runtime.projection_mode,
     adaptive_learning_enabled: Boolean(state.runtime.adaptive_learning_enabled),
     adaptive_mode: adaptive.mode,
@@ -2560,38 +7154,74 @@ function getDoctorReport(rootDir, options = {}) {
     };
   });
 
+  let storageCheck;
+  try {
+    const storage = getStorage(rootDir, { env });
+    storageCheck = {
+      backend: storage.backend,
+      path: storage.location,
+      ...storage.check(),
+      fix: null
+    };
+    if (storageCheck.status !== "ok") {
+      storageCheck.fix = "Run `npm run state:init` to create the state database.";
+    }
+  } catch (error) {
+    storageCheck = {
+      backend: String(env.STATE_STORAGE || ""),
+      path: null,
+      status: "error",
+      message: error.message,
+      fix: "Unset STATE_STORAGE (file backend) or run on Node.js 22.5+ for STATE_STORAGE=sqlite."
+    };
+  }
+  if (storageCheck.fix) {
+    addFix(storageCheck.fix);
+  }
+
   const canonicalChecks = [
     {
       name: "state-tracker",
+      stateFile: true,
       file: paths.stateTracker,
       format: "json",
       missingFix: "Run `npm run state:init` to create canonical state files."
     },
     {
       name: "state-changes",
+      stateFile: true,
       file: paths.stateChanges,
       format: "text",
       missingFix: "Run `npm run state:init` to create canonical state files."
     },
     {
       name: "state-dlq",
+      stateFile: true,
       file: paths.stateDlq,
       format: "text",
       missingFix: "Run `npm run state:init` to create canonical state files."
     },
     {
       name: "state-learning-events",
+      stateFile: true,
       file: paths.stateLearningEvents,
       format: "text",
       missingFix: "Run `npm run state:init` to create canonical state files."
     },
+    {
+      name: "state-journal",
+      stateFile: true,
+      file: paths.stateJournal,
+      format: "text",
+      missingFix: "Run `npm run state:init` to create canonical state files."
+    },
     {
       name: "HEARTBEAT.md",
       file: paths.heartbeat,
       format: "text",
       missingFix: "Create HEARTBEAT.md (or run a projection command to generate machine-managed sections)."
     }
-  ].map((entry) => {
+  ].filter((entry) => !entry.stateFile || storageCheck.backend === "file").map((entry) => {
     if (!fs.existsSync(entry.file)) {
       addFix(entry.missingFix);
       return {
@@ -2752,7 +7382,123 @@ function getDoctorReport(rootDir, options = {}) {
     addFix(cronCheck.fix);
   }
 
-  const tracker = readJsonIfExistsSafe(paths.stateTracker, null);
+  const domainConfig = loadDomainConfig(rootDir);
+  const schemaDomainMismatches = [];
+  for (const schemaDef of schemaChecks.filter((item) => item.status === "ok")) {
+    const schema = readJsonIfExistsSafe(schemaDef.path, null);
+    visitDomainEnums(schema, (property) => {
+      const missing = domainConfig.names.filter((domain) => !property.enum.includes(domain));
+      const extra = property.enum.filter((domain) => !domainConfig.names.includes(domain));
+      if (missing.length > 0 || extra.length > 0) {
+        schemaDomainMismatches.push({ schema: schemaDef.name, missing, extra });
+      }
+    });
+  }
+  const domainsCheck = {
+    status: "ok",
+    path: domainConfig.path,
+    config_status: domainConfig.status,
+    domains: domainConfig.names,
+    errors: domainConfig.errors,
+    schema_mismatches: schemaDomainMismatches,
+    message: domainConfig.status === "missing"
+      ? "state-domains.json not found; using built-in domains"
+      : `${domainConfig.configured.length} configured domain(s) loaded`,
+    fix: null
+  };
+  if (domainConfig.status === "invalid") {
+    domainsCheck.status = "error";
+    domainsCheck.message = `state-domains.json is invalid JSON: ${domainConfig.error}`;
+    domainsCheck.fix = `Fix JSON syntax in ${domainConfig.path}`;
+  } else if (domainConfig.errors.length > 0) {
+    domainsCheck.status = "warn";
+    domainsCheck.message = `state-domains.json has ${domainConfig.errors.length} invalid entr${domainConfig.errors.length === 1 ? "y" : "ies"} (skipped)`;
+    domainsCheck.fix = `Fix the entries listed under domains.errors in ${domainConfig.path}`;
+  } else if (schemaDomainMismatches.length > 0) {
+    domainsCheck.status = "warn";
+    domainsCheck.message = `schema domain enums disagree with the configured domains in ${schemaDomainMismatches.length} place(s) (patched at load time)`;
+    domainsCheck.fix = "Run `node scripts/state-consistency.js domains sync` to write the configured domains into schemas/.";
+  }
+  if (domainsCheck.fix) {
+    addFix(domainsCheck.fix);
+  }
+
+  const sourceRegistry = loadSourceRegistry(rootDir);
+  const sourcesCheck = {
+    status: "ok",
+    path: sourceRegistry.path,
+    config_status: sourceRegistry.status,
+    registered: sourceRegistry.registered,
+    errors: sourceRegistry.errors,
+    message: sourceRegistry.status === "missing"
+      ? "state-sources.json not found; using built-in source types"
+      : `${sourceRegistry.registered.length} registered source type(s) loaded`,
+    fix: null
+  };
+  if (sourceRegistry.status === "invalid") {
+    sourcesCheck.status = "error";
+    sourcesCheck.message = `state-sources.json is invalid JSON: ${sourceRegistry.error}`;
+    sourcesCheck.fix = `Fix JSON syntax in ${sourceRegistry.path}`;
+  } else if (sourceRegistry.errors.length > 0) {
+    sourcesCheck.status = "warn";
+    sourcesCheck.message = `state-sources.json has ${sourceRegistry.errors.length} invalid entr${sourceRegistry.errors.length === 1 ? "y" : "ies"} (skipped)`;
+    sourcesCheck.fix = `Fix the entries listed under sources.errors in ${sourceRegistry.path}`;
+  }
+  if (sourcesCheck.fix) {
+    addFix(sourcesCheck.fix);
+  }
+
+  const fieldCatalog = loadFieldCatalog(rootDir);
+  const fieldsCheck = {
+    status: "ok",
+    path: fieldCatalog.path,
+    config_status: fieldCatalog.status,
+    fields: Object.keys(fieldCatalog.fields),
+    errors: fieldCatalog.errors,
+    message: `${Object.keys(fieldCatalog.fields).length} field definition(s) loaded`,
+    fix: null
+  };
+  if (fieldCatalog.status === "invalid") {
+    fieldsCheck.status = "error";
+    fieldsCheck.message = `state-fields.json is invalid JSON: ${fieldCatalog.error}`;
+    fieldsCheck.fix = `Fix JSON syntax in ${fieldCatalog.path}`;
+  } else if (fieldCatalog.errors.length > 0) {
+    fieldsCheck.status = "warn";
+    fieldsCheck.message = `state-fields.json has ${fieldCatalog.errors.length} invalid entr${fieldCatalog.errors.length === 1 ? "y" : "ies"} (skipped)`;
+    fieldsCheck.fix = `Fix the entries listed under fields.errors in ${fieldCatalog.path}`;
+  }
+  if (fieldsCheck.fix) {
+    addFix(fieldsCheck.fix);
+  }
+
+  let tracker = null;
+  try {
+    tracker = getStorage(rootDir, { env }).readState();
+  } catch (_error) {
+    tracker = null;
+  }
+  const trackerVersion = tracker ? (Number.isInteger(tracker.version) ? tracker.version : 1) : null;
+  const stateVersionCheck = {
+    status: "ok",
+    version: trackerVersion,
+    supported_version: CURRENT_STATE_VERSION,
+    message: trackerVersion === null
+      ? "no tracker yet; it will be created at the current version"
+      : `tracker version v${trackerVersion}`,
+    fix: null
+  };
+  if (trackerVersion !== null && trackerVersion > CURRENT_STATE_VERSION) {
+    stateVersionCheck.status = "error";
+    stateVersionCheck.message = `tracker version v${trackerVersion} is newer than supported v${CURRENT_STATE_VERSION}`;
+    stateVersionCheck.fix = "Upgrade openclaw-state-consistency (or restore an older snapshot) before running state commands.";
+  } else if (trackerVersion !== null && trackerVersion < CURRENT_STATE_VERSION) {
+    stateVersionCheck.status = "warn";
+    stateVersionCheck.message = `tracker version v${trackerVersion} will be upgraded to v${CURRENT_STATE_VERSION} on next load (a backup is written first)`;
+    stateVersionCheck.fix = "Run `npm run state:status` once to upgrade the tracker.";
+  }
+  if (stateVersionCheck.fix) {
+    addFix(stateVersionCheck.fix);
+  }
   const adaptiveRuntime = ensureAdaptiveRuntime(tracker?.runtime?.adaptive_learning);
   const adaptiveMode = normalizeAdaptiveMode(
     options.mode ||
@@ -2780,6 +7526,11 @@ function getDoctorReport(rootDir, options = {}) {
       status: aggregateStatuses(schemaChecks.map((item) => item.status)),
       items: schemaChecks
     },
+    storage: storageCheck,
+    domains: domainsCheck,
+    sources: sourcesCheck,
+    fields: fieldsCheck,
+    state_version: stateVersionCheck,
     canonical_files: {
       status: aggregateStatuses(canonicalChecks.map((item) => item.status)),
       items: canonicalChecks
@@ -2862,15 +7613,28 @@ function usage() {
     "  doctor [--root <path>] [--account <email>] [--target <telegram-id>]",
     `  migrate [--root <path>] [--entity-id ${DEFAULT_ENTITY_ID}] [--force-commit]`,
     "  ingest --file <observation.json> [--root <path>] [--force-commit]",
-    "  extract --entity-id <id> --domain <domain> --text <text> --source-type <type> --source-ref <ref> [--field <field>] [--ingest] [--root <path>]",
+    "  extract --entity-id <id> --domain <domain> --text <text> --source-type <type> --source-ref <ref> [--field <field>] [--timezone <iana>] [--ingest] [--root <path>]",
     "  ingest-signal --file <signal.json> [--root <path>] [--force-commit]",
     `  poll [--root <path>] [--entity-id ${DEFAULT_ENTITY_ID}] [--account email] [--calendar-only|--email-only] [--calendar-from today] [--calendar-to tomorrow] [--calendar-max 25] [--gmail-query "newer_than:2d"] [--gmail-max 25] [--project]`,
     "  review-queue [--root <path>] [--entity-id <id>] [--domain <domain>] [--min-confidence 0.4] [--limit 5] [--max-pending 10] [--project]",
     "  pending [--root <path>] [--entity-id <id>]",
+    "  entities list | entities register <id> [--name <display name>] [--aliases a,b] [--member-of family:x,team:y] [--timezone <iana>] | entities show <id-or-alias> [--merged] [--root <path>]",
+    "  conflicts list [--entity-id <id>] | conflicts resolve <conflict-id> --keep current|incoming | --value <json-or-string> [--root <path>]",
+    "  domains list | domains sync [--dry-run] [--root <path>]",
+    "  sources list | sources register <type> [--reliability <0-1>] [--signal-kinds kind:mode,...] [--auto-commit true|false] [--root <path>]",
+    `  history --field <domain.field> [--entity-id ${DEFAULT_ENTITY_ID}] [--domain <domain>] [--limit 20] [--root <path>]`,
     "  retry-dlq [--root <path>] [--limit 25] [--max-retries 5] [--include-not-due] [--force-commit] [--project] [--entity-id <id>]",
     "  learn-thresholds [--root <path>] [--mode off|shadow|apply] [--min-samples 12] [--lookback-days 14] [--max-step 0.02] [--target-correction-rate 0.08] [--min-interval-hours 20] [--force] [--project] [--entity-id <id>]",
     "  confirm --prompt-id <id> --action confirm|reject|edit [--edited-value <json-or-string>] [--root <path>]",
-    "  project [--root <path>] [--entity-id <id>]"
+    "  project [--root <path>] [--entity-id <id>] [--merged] [--retractions] [--retraction-days 7]",
+    "  rebuild [--root <path>] [--dry-run]",
+    "  state at --ts <iso> [--entity-id <id>] [--root <path>]",
+    "  dedup stats|prune [--root <path>]",
+    "  bench [--count 200] [--target-write-ms 50] [--root <path>]",
+    "  activate [--entity-id <id>] [--dry-run] [--root <path>]",
+    "  expire [--entity-id <id>] [--dry-run] [--root <path>]",
+    "  compact [--if-needed] [--keep-days 7] [--max-bytes 1048576] [--max-age-days 30] [--root <path>]",
+    "  snapshot create <name> [--force] | snapshot list | snapshot diff <a|current> <b|current> | snapshot restore <name> [--dry-run] [--root <path>]"
   ];
   process.stdout.write(`${lines.join("\n")}\n`);
 }
@@ -2934,7 +7698,9 @@ function main(argv) {
           throw new Error(`--${key} is required for extract`);
         }
       }
-      const observation = extractObservationFromText({
+      const observations = extractObservationsFromText({
+        root_dir: rootDir,
+        timezone: args.timezone,
         entity_id: args["entity-id"],
         domain: args.domain,
         text: args.text,
@@ -2943,33 +7709,48 @@ function main(argv) {
         field: args.field
       });
 
-      const validation = validateOrDlq(rootDir, "observation", observation);
-      if (!validation.valid) {
-        printJson({
-          status: "validation_failed",
-          errors: validation.errors,
-          dlq: validation.dlqEntry
-        });
-        return 2;
-      }
+      // Text that yields one observation keeps the `observation`/`result` output of earlier
+      // releases; several field observations are reported as `observations`/`results`.
+      const single = observations.length === 1;
+      const validationFailed = (observation, failure) => ({
+        status: "validation_failed",
+        ...(single ? {} : { observation }),
+        errors: failure.errors,
+        dlq: failure.dlq
+      });
 
-      if (!args.ingest) {
-        printJson({
-          status: "ok",
-          observation
+      if (args.ingest) {
+        const ingested = ingestObservationBatch(rootDir, observations, {
+          forceCommit: Boolean(args["force-commit"])
         });
-        return 0;
+        const failed = ingested.results.some((result) => result.status === "validation_failed");
+        if (!single) {
+          printJson({
+            status: ingested.status,
+            observations,
+            results: ingested.results
+          });
+        } else if (failed) {
+          printJson(validationFailed(observations[0], ingested.results[0]));
+        } else {
+          printJson({
+            status: ingested.results[0].status,
+            observation: observations[0],
+            result: ingested.results[0]
+          });
+        }
+        return failed ? 2 : 0;
       }
 
-      const result = ingestObservation(rootDir, observation, {
-        forceCommit: Boolean(args["force-commit"])
-      });
-      printJson({
-        status: result.status,
-        observation,
-        result
-      });
-      return result.status === "validation_failed" ? 2 : 0;
+      for (const observation of observations) {
+        const validation = validateOrDlq(rootDir, "observation", observation);
+        if (!validation.valid) {
+          printJson(validationFailed(observation, { errors: validation.errors, dlq: validation.dlqEntry }));
+          return 2;
+        }
+      }
+      printJson(single ? { status: "ok", observation: observations[0] } : { status: "ok", observations });
+      return 0;
     }
 
     if (cmd === "ingest-signal") {
@@ -3019,6 +7800,81 @@ function main(argv) {
       return 0;
     }
 
+    if (cmd === "entities") {
+      const action = args._[1] || "list";
+      const splitList = (value) => String(value === true ? "" : value).split(",").map((item) => item.trim()).filter(Boolean);
+      if (action === "list") {
+        printJson(listEntities(rootDir));
+        return 0;
+      }
+      if (action === "register" && args._[2]) {
+        printJson(registerEntity(rootDir, args._[2], {
+          display_name: args.name === undefined ? undefined : String(args.name),
+          aliases: args.aliases === undefined ? undefined : splitList(args.aliases),
+          member_of: args["member-of"] === undefined ? undefined : splitList(args["member-of"]),
+          timezone: args.timezone === undefined ? undefined : String(args.timezone)
+        }));
+        return 0;
+      }
+      if (action === "show" && args._[2]) {
+        const result = getEntityState(rootDir, args._[2], { merged: Boolean(args.merged) });
+        printJson(result);
+        return result.status === "ok" ? 0 : 2;
+      }
+      throw new Error("usage: entities list | entities register <id> [...] | entities show <id-or-alias> [--merged]");
+    }
+
+    if (cmd === "conflicts") {
+      const action = args._[1] || "list";
+      if (action === "list") {
+        printJson(listConflicts(rootDir, { entity_id: args["entity-id"] }));
+        return 0;
+      }
+      if (action === "resolve" && args._[2]) {
+        const result = resolveConflict(rootDir, args._[2], {
+          keep: args.keep,
+          value: args.value === undefined ? undefined : parseMaybeJson(args.value)
+        });
+        printJson(result);
+        return result.status === "resolved" || result.status === "dismissed" ? 0 : 2;
+      }
+      throw new Error("usage: conflicts list | conflicts resolve <conflict-id> --keep current|incoming | --value <json-or-string>");
+    }
+
+    if (cmd === "domains") {
+      const action = args._[1] || "list";
+      if (action === "list") {
+        printJson(listDomains(rootDir));
+        return 0;
+      }
+      if (action === "sync") {
+        const result = syncDomainConfig(rootDir, { dry_run: Boolean(args["dry-run"]) });
+        printJson(result);
+        return result.status === "ok" ? 0 : 2;
+      }
+      throw new Error("usage: domains list | domains sync [--dry-run]");
+    }
+
+    if (cmd === "sources") {
+      const action = args._[1] || "list";
+      if (action === "list") {
+        printJson(listSources(rootDir));
+        return 0;
+      }
+      const autoCommit = args["auto-commit"] === undefined ? undefined : String(args["auto-commit"]);
+      if (action === "register" && args._[2] && [undefined, "true", "false"].includes(autoCommit)) {
+        printJson(registerSourceType(rootDir, args._[2], {
+          reliability: args.reliability === undefined ? undefined : Number(args.reliability),
+          signal_kinds: typeof args["signal-kinds"] === "string"
+            ? args["signal-kinds"].split(",").map((item) => item.trim()).filter(Boolean)
+            : undefined,
+          auto_commit: autoCommit === undefined ? undefined : autoCommit === "true"
+        }));
+        return 0;
+      }
+      throw new Error("usage: sources list | sources register <type> [--reliability <0-1>] [--signal-kinds kind:mode,...] [--auto-commit true|false]");
+    }
+
     if (cmd === "pending") {
       const pending = listPendingConfirmations(rootDir, args["entity-id"] || "");
       printJson({
@@ -3029,6 +7885,95 @@ function main(argv) {
       return 0;
     }
 
+    if (cmd === "history") {
+      if (!args.field) {
+        throw new Error("--field is required for history");
+      }
+      printJson(getFieldHistory(rootDir, {
+        entity_id: args["entity-id"] || DEFAULT_ENTITY_ID,
+        field: args.field,
+        domain: args.domain || "",
+        limit: Number(args.limit || 0)
+      }));
+      return 0;
+    }
+
+    if (cmd === "state") {
+      if (args._[1] !== "at" || !args.ts) {
+        throw new Error("usage: state at --ts <iso>");
+      }
+      printJson(getStateAsOf(rootDir, args.ts, { entity_id: args["entity-id"] || "" }));
+      return 0;
+    }
+
+    if (cmd === "dedup") {
+      const action = args._[1] || "stats";
+      if (action === "stats") {
+        printJson({ status: "ok", ...getDedupStats(rootDir) });
+        return 0;
+      }
+      if (action === "prune") {
+        printJson(pruneDedupIndex(rootDir));
+        return 0;
+      }
+      throw new Error("usage: dedup stats|prune");
+    }
+
+    if (cmd === "activate") {
+      printJson(activateScheduledFacts(rootDir, {
+        entity_id: args["entity-id"],
+        dry_run: Boolean(args["dry-run"])
+      }));
+      return 0;
+    }
+
+    if (cmd === "expire") {
+      printJson(expireFields(rootDir, {
+        entity_id: args["entity-id"],
+        dry_run: Boolean(args["dry-run"])
+      }));
+      return 0;
+    }
+
+    if (cmd === "compact") {
+      printJson(compactLogs(rootDir, {
+        force: !args["if-needed"],
+        keep_days: args["keep-days"],
+        max_bytes: args["max-bytes"],
+        max_age_days: args["max-age-days"]
+      }));
+      return 0;
+    }
+
+    if (cmd === "bench") {
+      printJson(runIngestBenchmark(rootDir, {
+        count: args.count,
+        target_write_ms: args["target-write-ms"]
+      }));
+      return 0;
+    }
+
+    if (cmd === "snapshot") {
+      const action = args._[1];
+      if (action === "create" && args._[2]) {
+        printJson(createSnapshot(rootDir, args._[2], { force: Boolean(args.force) }));
+        return 0;
+      }
+      if (action === "list") {
+        printJson(listSnapshots(rootDir));
+        return 0;
+      }
+      if (action === "diff" && args._[2] && args._[3]) {
+        printJson(diffSnapshots(rootDir, args._[2], args._[3]));
+        return 0;
+      }
+      if (action === "restore" && args._[2]) {
+        printJson(restoreSnapshot(rootDir, args._[2], { dry_run: Boolean(args["dry-run"]) }));
+        return 0;
+      }
+      throw new Error("usage: snapshot create <name> | list | diff <a> <b> | restore <name>");
+    }
+
     if (cmd === "retry-dlq") {
       const result = retryDlqEntries(rootDir, {
         limit: Number(args.limit || 25),
@@ -3096,7 +8041,18 @@ function main(argv) {
 
     if (cmd === "project") {
       const result = renderHeartbeatProjection(rootDir, {
-        entity_id: args["entity-id"] || ""
+        entity_id: args["entity-id"] || "",
+        merged: Boolean(args.merged),
+        include_retractions: Boolean(args.retractions),
+        retraction_days: args["retraction-days"]
+      });
+      printJson(result);
+      return 0;
+    }
+
+    if (cmd === "rebuild") {
+      const result = rebuildStateFromJournal(rootDir, {
+        dry_run: Boolean(args["dry-run"])
       });
       printJson(result);
       return 0;
@@ -3106,7 +8062,7 @@ function main(argv) {
     return 1;
   } catch (error) {
     printJson({
-      status: "error",
+      status: error.code === "locked" ? "locked" : "error",
       message: error.message
     });
     return 1;
@@ -3126,20 +8082,57 @@ module.exports = {
   createDefaultState,
   ensureStateFiles,
   extractObservationFromText,
+  extractObservationsFromText,
+  extractFieldCandidates,
+  extractFieldObservations,
+  parseTemporalExpressions,
+  attachTemporalInfo,
   calendarEventsToSignal,
   gmailThreadsToSignal,
   getPendingConfirmation,
   getStatus,
+  getStorage,
   getDoctorReport,
+  loadDomainConfig,
+  listDomains,
+  syncDomainConfig,
+  loadSourceRegistry,
+  registerSourceType,
+  listSources,
+  loadFieldCatalog,
   getDlqSummary,
+  getDedupStats,
+  pruneDedupIndex,
+  getFieldHistory,
+  createSnapshot,
+  listSnapshots,
+  diffSnapshots,
+  restoreSnapshot,
+  getStateAsOf,
   runAdaptiveThresholdLearning,
   ingestObservation,
+  ingestObservationBatch,
+  runIngestBenchmark,
+  compactLogs,
+  expireFields,
+  activateScheduledFacts,
+  listConflicts,
+  resolveConflict,
+  registerEntity,
+  listEntities,
+  getEntityState,
+  loadLearningEvents,
+  loadSchemaValidators,
   ingestSignalEvent,
   pollSignals,
   loadState,
+  saveState,
+  updateState,
+  withStateLock,
   main,
   migrateToCanonical,
   promoteReviewQueue,
+  rebuildStateFromJournal,
   retryDlqEntries,
   renderHeartbeatProjection,
   validateOrDlq,
@@ -7,6 +7,9 @@ const path = require("path");
 const DEFAULT_ENTITY_ID = "user:primary";
 
 const {
+  activateScheduledFacts,
+  compactLogs,
+  expireFields,
   pollSignals,
   promoteReviewQueue,
   renderHeartbeatProjection,
@@ -49,7 +52,12 @@ function main(argv) {
       max_pending: Number(process.env.STATE_REVIEW_MAX_PENDING || 10)
     });
 
-    const projection = renderHeartbeatProjection(rootDir, { entity_id: entityId });
+    const activation = activateScheduledFacts(rootDir, { entity_id: entityId });
+    const expiry = expireFields(rootDir, { entity_id: entityId });
+    const projection = renderHeartbeatProjection(rootDir, {
+      entity_id: entityId,
+      include_retractions: process.env.STATE_PROJECT_RETRACTIONS === "1"
+    });
     let adaptive;
     try {
       adaptive = runAdaptiveThresholdLearning(rootDir, {});
@@ -60,6 +68,16 @@ function main(argv) {
       };
     }
 
+    let logs;
+    try {
+      logs = compactLogs(rootDir, {});
+    } catch (error) {
+      logs = {
+        status: "error",
+        message: error.message
+      };
+    }
+
     process.stdout.write(
       `${JSON.stringify({
         status: "ok",
@@ -68,15 +86,18 @@ function main(argv) {
         account: account || null,
         poll,
         review,
+        activation,
+        expiry,
         projection,
-        adaptive
+        adaptive,
+        logs
       }, null, 2)}\n`
     );
     return 0;
   } catch (error) {
     process.stderr.write(
       `${JSON.stringify({
-        status: "error",
+        status: error.code === "locked" ? "locked" : "error",
         message: error.message
       }, null, 2)}\n`
     );
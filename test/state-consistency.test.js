@@ -1,24 +1,57 @@
 "use strict";
 
 const assert = require("node:assert/strict");
+const { spawn, spawnSync } = require("node:child_process");
 const fs = require("node:fs");
 const os = require("node:os");
 const path = require("node:path");
 const test = require("node:test");
 
 const {
+  createDefaultState,
   ensureStateFiles,
   getStatus,
   getDoctorReport,
+  getFieldHistory,
+  getStateAsOf,
+  getDedupStats,
+  pruneDedupIndex,
+  createSnapshot,
+  listSnapshots,
+  diffSnapshots,
+  restoreSnapshot,
   ingestObservation,
+  ingestObservationBatch,
   loadState,
   applyUserConfirmation,
   renderHeartbeatProjection,
   ingestSignalEvent,
+  calendarEventsToSignal,
+  getStorage,
+  loadSchemaValidators,
+  runIngestBenchmark,
+  compactLogs,
+  expireFields,
+  activateScheduledFacts,
+  listConflicts,
+  resolveConflict,
+  registerEntity,
+  listEntities,
+  getEntityState,
+  listDomains,
+  syncDomainConfig,
+  registerSourceType,
+  listSources,
+  loadLearningEvents,
+  getDlqSummary,
   migrateToCanonical,
   promoteReviewQueue,
+  rebuildStateFromJournal,
   retryDlqEntries,
   extractObservationFromText,
+  extractObservationsFromText,
+  extractFieldCandidates,
+  parseTemporalExpressions,
   runAdaptiveThresholdLearning
 } = require("../scripts/state-consistency");
 
@@ -86,6 +119,19 @@ function makeUuid(index) {
   return `00000000-0000-4000-8000-${tail}`;
 }
 
+function waitMs(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function hasNodeSqlite() {
+  try {
+    require("node:sqlite");
+    return true;
+  } catch (_error) {
+    return false;
+  }
+}
+
 test("init creates state files and status baseline", () => {
   const rootDir = mkWorkspace();
   ensureStateFiles(rootDir);
@@ -99,6 +145,85 @@ test("init creates state files and status baseline", () => {
   assert.ok(fs.existsSync(path.join(rootDir, "memory", "state-learning-events.jsonl")));
 });
 
+test("concurrent writer processes serialize load/save cycles without lost updates", async () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const modulePath = path.resolve(__dirname, "..", "scripts", "state-consistency.js");
+  const writerSource = `
+    const { ingestObservation } = require(${JSON.stringify(modulePath)});
+    const writer = Number(process.argv[1]);
+    for (let i = 0; i < 5; i += 1) {
+      const result = ingestObservation(${JSON.stringify(rootDir)}, {
+        event_id: "00000000-0000-4000-8000-" + String(writer * 100 + i).padStart(12, "0"),
+        event_ts: new Date().toISOString(),
+        domain: "project",
+        entity_id: "user:primary",
+        field: "project.writer_" + writer + "_" + i,
+        candidate_value: "value " + i,
+        intent: "assertive",
+        source: { type: "conversation_assertive", ref: "thread:lock:" + writer },
+        corroborators: []
+      }, { forceCommit: true });
+      if (result.status !== "committed") {
+        process.exit(3);
+      }
+    }
+  `;
+
+  const exitCodes = await Promise.all([1, 2, 3].map((writer) => new Promise((resolve) => {
+    const child = spawn(process.execPath, ["-e", writerSource, String(writer)], { stdio: "ignore" });
+    child.on("exit", resolve);
+  })));
+  assert.deepEqual(exitCodes, [0, 0, 0]);
+
+  const state = loadState(rootDir);
+  assert.equal(Object.keys(state.entities["user:primary"].state.project).length, 15);
+  assert.equal(getStatus(rootDir).dedup.entries, 15);
+  assert.equal(fs.existsSync(path.join(rootDir, "memory", "state-tracker.json.lock")), false);
+});
+
+test("contending writers get a locked error and stale locks are broken", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const lockPath = path.join(rootDir, "memory", "state-tracker.json.lock");
+  const event = {
+    event_id: "3c1d7c52-6d0f-4a43-9a8e-0a4f3f1b9f10",
+    event_ts: new Date().toISOString(),
+    domain: "travel",
+    entity_id: "user:primary",
+    field: "travel.location",
+    candidate_value: "Tahoe",
+    intent: "assertive",
+    source: { type: "conversation_assertive", ref: "thread:lock:1" },
+    corroborators: []
+  };
+
+  fs.writeFileSync(lockPath, JSON.stringify({
+    token: "held-by-live-process",
+    pid: process.pid,
+    hostname: os.hostname(),
+    acquired_at: new Date().toISOString()
+  }), "utf8");
+  process.env.STATE_LOCK_TIMEOUT_MS = "100";
+  try {
+    assert.throws(() => ingestObservation(rootDir, event), (error) => error.code === "locked");
+  } finally {
+    delete process.env.STATE_LOCK_TIMEOUT_MS;
+  }
+  assert.equal(getStatus(rootDir).dedup.entries, 0);
+
+  const exited = spawnSync(process.execPath, ["-e", ""]);
+  fs.writeFileSync(lockPath, JSON.stringify({
+    token: "held-by-dead-process",
+    pid: exited.pid,
+    hostname: os.hostname(),
+    acquired_at: new Date().toISOString()
+  }), "utf8");
+  const result = ingestObservation(rootDir, event);
+  assert.equal(result.status, "committed");
+  assert.equal(fs.existsSync(lockPath), false);
+});
+
 test("ingestion commits high-confidence events and enforces idempotency", () => {
   const rootDir = mkWorkspace();
   ensureStateFiles(rootDir);
@@ -131,6 +256,55 @@ test("ingestion commits high-confidence events and enforces idempotency", () =>
   );
 });
 
+test("dedup index applies per-source retention and reports hit statistics", () => {
+  const rootDir = mkWorkspace();
+  const dedupPath = path.join(rootDir, "memory", "state-dedup.jsonl");
+  fs.writeFileSync(path.join(rootDir, "memory", "state-tracker.json"), JSON.stringify({
+    ...createDefaultState(),
+    version: 2,
+    processed_event_ids: [makeUuid(701)]
+  }), "utf8");
+  const longAgo = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(dedupPath, [
+    { kind: "seen", event_id: makeUuid(702), source_type: "conversation_assertive", seen_at: longAgo },
+    { kind: "seen", event_id: makeUuid(703), source_type: "static_markdown", seen_at: longAgo }
+  ].map((item) => `${JSON.stringify(item)}\n`).join(""), "utf8");
+  ensureStateFiles(rootDir);
+
+  const observation = (index, sourceType) => ({
+    event_id: makeUuid(index),
+    event_ts: new Date().toISOString(),
+    domain: "project",
+    entity_id: "user:primary",
+    field: `project.dedup_${index}`,
+    candidate_value: "seen",
+    intent: "assertive",
+    source: { type: sourceType, ref: `dedup:${index}` },
+    corroborators: []
+  });
+
+  assert.equal(ingestObservation(rootDir, observation(701, "system_migration"), { forceCommit: true }).status, "duplicate");
+  assert.equal(ingestObservation(rootDir, observation(702, "conversation_assertive"), { forceCommit: true }).status, "committed");
+  assert.equal(ingestObservation(rootDir, observation(702, "conversation_assertive"), { forceCommit: true }).status, "duplicate");
+  assert.equal(ingestObservation(rootDir, observation(703, "static_markdown"), { forceCommit: true }).status, "duplicate");
+
+  const stats = getStatus(rootDir).dedup;
+  assert.equal(stats.hits_total, 3);
+  assert.deepEqual(stats.hits_by_source, { system_migration: 1, conversation_assertive: 1, static_markdown: 1 });
+  assert.equal(stats.entries_by_source.legacy_processed_event_ids, 1);
+  assert.equal(stats.permanent_entries, 2);
+
+  const pruned = pruneDedupIndex(rootDir, { retention: { static_markdown: 30 } });
+  assert.equal(pruned.removed, 1);
+  assert.equal(pruned.hits_total, 3);
+  assert.equal(getDedupStats(rootDir).entries, 2);
+
+  fs.rmSync(dedupPath);
+  const rebuilt = rebuildStateFromJournal(rootDir);
+  assert.equal(rebuilt.dedup_restored, 1);
+  assert.equal(ingestObservation(rootDir, observation(702, "conversation_assertive")).status, "duplicate");
+});
+
 test("review-band events create pending prompt and can be edited/committed", () => {
   const rootDir = mkWorkspace();
   ensureStateFiles(rootDir);
@@ -179,6 +353,44 @@ test("review-band events create pending prompt and can be edited/committed", ()
   );
 });
 
+test("confirmations are checked against the field catalog before they commit", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  fs.writeFileSync(path.join(rootDir, "state-fields.json"), `${JSON.stringify({
+    fields: { "financial.checking_balance": { format: "currency_amount", sources: ["conversation_assertive"] } }
+  })}\n`, "utf8");
+  const ask = (i, field) => ingestObservation(rootDir, {
+    event_id: makeUuid(640 + i),
+    event_ts: new Date().toISOString(),
+    domain: "financial",
+    entity_id: "user:primary",
+    field,
+    candidate_value: 1200,
+    intent: "assertive",
+    source: { type: "conversation_assertive", ref: `test:confirm:${i}` }
+  }).prompt;
+  const answer = (prompt, action, extra = {}) => applyUserConfirmation(rootDir, {
+    prompt_id: prompt.prompt_id,
+    entity_id: "user:primary",
+    domain: "financial",
+    proposed_change: prompt.proposed_change,
+    confidence: prompt.confidence,
+    reason_summary: prompt.reason_summary,
+    action,
+    ts: new Date().toISOString(),
+    ...extra
+  });
+
+  const edited = answer(ask(0, "financial.balance"), "edit", { edited_value: "lots of money" });
+  assert.equal(edited.status, "validation_failed");
+  assert.equal(edited.dlq.validation_errors[0].keyword, "field_type_mismatch");
+  assert.equal(loadState(rootDir).entities["user:primary"]?.state?.financial?.balance, undefined);
+
+  // The catalog's source list applies to the observation that opened the prompt, not to the user's answer.
+  assert.equal(answer(ask(1, "financial.checking_balance"), "confirm").status, "committed");
+  assert.equal(loadState(rootDir).entities["user:primary"].state.financial.checking_balance.value, 1200);
+});
+
 test("review queue promotes tentative observations into pending confirmations", () => {
   const rootDir = mkWorkspace();
   ensureStateFiles(rootDir);
@@ -295,6 +507,158 @@ test("signal ingestion hook processes calendar/email payloads", () => {
   assert.ok(result.pending_confirmation + result.committed >= 1);
 });
 
+test("field catalog sends type, format, unit and source mismatches to the DLQ", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  fs.writeFileSync(path.join(rootDir, "state-fields.json"), `${JSON.stringify({
+    fields: {
+      "financial.checking_balance": {
+        format: "currency_amount",
+        unit: "USD",
+        sources: ["transactions_email", "conversation_assertive"]
+      },
+      "school.status": { format: "enum", values: ["open", "closed", "delayed"] },
+      "family.*_date": { format: "date" }
+    }
+  }, null, 2)}\n`, "utf8");
+
+  let seq = 600;
+  const observe = (domain, field, value, sourceType = "conversation_assertive") => ingestObservation(rootDir, {
+    event_id: makeUuid(seq++),
+    event_ts: new Date().toISOString(),
+    domain,
+    entity_id: "user:primary",
+    field,
+    candidate_value: value,
+    intent: "assertive",
+    source: { type: sourceType, ref: `test:fields:${seq}` }
+  }, { forceCommit: true });
+  const mismatch = (result) => {
+    assert.equal(result.status, "validation_failed");
+    assert.equal(result.dlq.validation_errors[0].keyword, "field_type_mismatch");
+    return result.errors[0].message;
+  };
+
+  assert.match(mismatch(observe("travel", "travel.location", { city: "Tahoe" })), /travel\.location: expected string, got object/);
+  assert.match(mismatch(observe("financial", "financial.checking_balance", "1200")), /expected number \(currency_amount\), got string/);
+  assert.match(mismatch(observe("financial", "financial.checking_balance", 10.555)), /at most two decimals/);
+  assert.match(mismatch(observe("financial", "financial.checking_balance", { amount: 10, currency: "EUR" })), /unit "EUR" does not match USD/);
+  assert.match(mismatch(observe("financial", "financial.checking_balance", 10, "calendar_poll")), /does not accept source calendar_poll/);
+  assert.match(mismatch(observe("school", "school.status", "maybe")), /expected one of "open", "closed", "delayed"/);
+  assert.match(mismatch(observe("family", "family.recital_date", "March 3")), /YYYY-MM-DD/);
+
+  assert.equal(observe("financial", "financial.checking_balance", 1200.5).status, "committed");
+  assert.equal(observe("financial", "financial.checking_balance", { amount: 99.99, currency: "USD" }, "transactions_email").status, "committed");
+  assert.equal(observe("school", "school.status", "Closed").status, "committed");
+  assert.equal(observe("family", "family.recital_date", "2026-03-03").status, "committed");
+  assert.equal(observe("travel", "travel.location", "Tahoe").status, "committed");
+  assert.equal(observe("travel", "travel.location", null).status, "committed");
+
+  assert.equal(getDlqSummary(rootDir).total, 7);
+  assert.equal(getDoctorReport(rootDir, { env: {} }).checks.fields.status, "ok");
+});
+
+test("equivalent re-observations refresh the committed value instead of prompting", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  fs.writeFileSync(path.join(rootDir, "state-fields.json"), `${JSON.stringify({
+    fields: {
+      "travel.location": { type: "string", aliases: { Tahoe: ["Lake Tahoe", "South Lake Tahoe"] } }
+    }
+  }, null, 2)}\n`, "utf8");
+
+  let seq = 620;
+  const observe = (domain, field, value, sourceType, eventTs, options = {}) => ingestObservation(rootDir, {
+    event_id: makeUuid(seq++),
+    event_ts: eventTs,
+    domain,
+    entity_id: "user:primary",
+    field,
+    candidate_value: value,
+    intent: "assertive",
+    source: { type: sourceType, ref: `test:normalize:${seq}` }
+  }, options);
+  const earlier = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const now = new Date().toISOString();
+
+  assert.equal(observe("travel", "travel.location", "Tahoe", "calendar_poll", earlier, { forceCommit: true }).status, "committed");
+  const again = observe("travel", "travel.location", "Lake Tahoe", "conversation_assertive", now);
+  assert.equal(again.status, "reconfirmed");
+  assert.equal(observe("travel", "travel.location", "  TAHOE. ", "calendar_poll", now).status, "reconfirmed");
+
+  let record = loadState(rootDir).entities["user:primary"].state.travel.location;
+  assert.equal(record.value, "Tahoe");
+  assert.equal(record.source, "calendar_poll");
+  assert.equal(Date.parse(record.last_update), Date.parse(now));
+  assert.ok(record.confidence > 0.95);
+  assert.equal(record.confidence, again.confidence);
+  assert.deepEqual(record.corroborators.map((item) => item.type), ["conversation_assertive"]);
+  assert.equal(Object.keys(loadState(rootDir).pending_confirmations).length, 0);
+  assert.equal(getFieldHistory(rootDir, { field: "travel.location" }).total_versions, 1);
+
+  observe("project", "project.budget", 1200, "conversation_assertive", now, { forceCommit: true });
+  assert.equal(observe("project", "project.budget", "$1,200.00", "email_poll", now).status, "reconfirmed");
+  observe("family", "family.recital", "2026-03-03", "conversation_assertive", now, { forceCommit: true });
+  assert.equal(observe("family", "family.recital", "March 3rd, 2026", "calendar_poll", now).status, "reconfirmed");
+  assert.notEqual(observe("family", "family.recital", "March 4th, 2026", "calendar_poll", now).status, "reconfirmed");
+
+  rebuildStateFromJournal(rootDir);
+  record = loadState(rootDir).entities["user:primary"].state.travel.location;
+  assert.equal(record.value, "Tahoe");
+  assert.deepEqual(record.corroborators.map((item) => item.type), ["conversation_assertive"]);
+});
+
+test("registered source types validate, map signal kinds and honor auto_commit", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  registerSourceType(rootDir, "github_api", { reliability: 0.98, signal_kinds: ["github:poll"], auto_commit: false });
+  registerSourceType(rootDir, "manual_cli", { reliability: 0.97, signal_kinds: ["manual:cli"] });
+  assert.throws(() => registerSourceType(rootDir, "notion_poll", {}), /reliability: required/);
+  assert.throws(() => registerSourceType(rootDir, "Bad Type", { reliability: 0.5 }), /invalid source type/);
+  const cli = (flag) => spawnSync(process.execPath, [
+    path.resolve(__dirname, "..", "scripts", "state-consistency.js"),
+    "sources", "register", "cli_source", "--reliability", "0.5", "--auto-commit", flag, "--root", rootDir
+  ], { encoding: "utf8" });
+  for (const flag of ["no", "0", "False"]) {
+    const rejected = cli(flag);
+    assert.equal(rejected.status, 1);
+    assert.match(rejected.stdout, /--auto-commit true\|false/);
+  }
+  assert.equal(listSources(rootDir).sources.find((item) => item.source_type === "cli_source"), undefined);
+  assert.equal(cli("false").status, 0);
+  assert.equal(listSources(rootDir).sources.find((item) => item.source_type === "cli_source").auto_commit, false);
+
+  const listed = listSources(rootDir).sources;
+  assert.equal(listed.find((item) => item.source_type === "github_api").origin, "config");
+  assert.equal(listed.find((item) => item.source_type === "calendar_poll").origin, "builtin");
+  assert.equal(loadState(rootDir).source_reliability.github_api, 0.98);
+
+  const observed = ingestObservation(rootDir, {
+    event_id: makeUuid(580),
+    event_ts: new Date().toISOString(),
+    domain: "project",
+    entity_id: "user:primary",
+    field: "project.release",
+    candidate_value: "v1.2 shipped",
+    intent: "assertive",
+    source: { type: "github_api", ref: "github:releases:1" }
+  });
+  assert.equal(observed.status, "pending_confirmation");
+  assert.ok(Object.values(loadState(rootDir).pending_confirmations)
+    .some((prompt) => prompt.reason_summary.some((reason) => reason.includes("auto_commit=false"))));
+
+  const signal = ingestSignalEvent(rootDir, {
+    signal_id: makeUuid(581),
+    event_ts: new Date().toISOString(),
+    source: { kind: "manual", mode: "cli", ref: "manual:cli:session-1" },
+    entity_id: "user:primary",
+    items: [{ domain: "project", field: "project.owner", value: "AJ", intent: "assertive" }]
+  });
+  assert.equal(signal.status, "ok");
+  assert.equal(signal.committed, 1);
+  assert.equal(loadState(rootDir).entities["user:primary"].state.project.owner.source, "manual_cli");
+});
+
 test("signal item ref keeps poll ingestion idempotent across runs", () => {
   const rootDir = mkWorkspace();
   ensureStateFiles(rootDir);
@@ -335,6 +699,189 @@ test("signal item ref keeps poll ingestion idempotent across runs", () => {
   assert.equal(second.duplicate, 1);
 });
 
+test("signal items are evaluated against one state and committed with a single save", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+
+  const storage = getStorage(rootDir);
+  const writeState = storage.writeState;
+  let writes = 0;
+  storage.writeState = function countedWriteState(state) {
+    writes += 1;
+    return writeState.call(this, state);
+  };
+
+  let result;
+  try {
+    result = ingestSignalEvent(rootDir, {
+      signal_id: "0b2f2a0e-7d4e-4f35-9a55-5c8f4e0d9a11",
+      event_ts: new Date().toISOString(),
+      source: { kind: "calendar", mode: "poll", ref: "gcal:batch" },
+      entity_id: "user:primary",
+      items: [
+        { domain: "travel", field: "travel.batch_a", ref: "evt:a", value: "Tahoe", intent: "assertive" },
+        { domain: "travel", field: "travel.batch_b", ref: "evt:b", value: "Reno", intent: "assertive" },
+        { domain: "travel", field: "travel.batch_a", ref: "evt:a", value: "Tahoe", intent: "assertive" },
+        { domain: "travel", field: "travel.batch_c", ref: "evt:c", value: "Truckee", intent: "historical" }
+      ]
+    });
+  } finally {
+    storage.writeState = writeState;
+  }
+
+  assert.equal(result.status, "ok");
+  assert.equal(result.total_items, 4);
+  assert.equal(result.duplicate, 1);
+  assert.equal(result.committed + result.pending_confirmation + result.tentative, 3);
+  assert.equal(writes, 1);
+
+  const state = loadState(rootDir);
+  const staged = Object.keys(state.entities["user:primary"]?.state?.travel || {}).length
+    + Object.keys(state.pending_confirmations).length
+    + state.tentative_observations.length;
+  assert.equal(staged, 3);
+  assert.equal(getStatus(rootDir).dedup.entries, 3);
+});
+
+test("schema validators are compiled once per root and recompiled when a schema changes", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+
+  const first = loadSchemaValidators(rootDir);
+  assert.equal(loadSchemaValidators(rootDir), first);
+
+  const schemaPath = path.join(rootDir, "schemas", "state_observation.schema.json");
+  const schema = JSON.parse(fs.readFileSync(schemaPath, "utf8"));
+  schema.description = `${schema.description || ""} (edited)`;
+  fs.writeFileSync(schemaPath, `${JSON.stringify(schema, null, 2)}\n`, "utf8");
+  const future = new Date(Date.now() + 5000);
+  fs.utimesSync(schemaPath, future, future);
+
+  const second = loadSchemaValidators(rootDir);
+  assert.notEqual(second, first);
+  assert.equal(loadSchemaValidators(rootDir), second);
+});
+
+test("bench measures ingest throughput in a scratch workspace", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+
+  const report = runIngestBenchmark(rootDir, { count: 5 });
+  assert.equal(report.status, "ok");
+  assert.equal(report.count, 5);
+  assert.ok(report.ingest.ops_per_sec > 0);
+  assert.ok(report.ingest.p95_ms >= report.ingest.p50_ms);
+  assert.equal(typeof report.within_target, "boolean");
+  assert.equal(getStatus(rootDir).dedup.entries, 0);
+});
+
+test("compact rolls old log lines into dated archives that readers still see", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const memoryDir = path.join(rootDir, "memory");
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const learningEvent = (id, ts) => JSON.stringify({
+    learning_event_id: id,
+    ts,
+    domain: "travel",
+    decision: "ask_user",
+    outcome: "confirmed",
+    confidence: 0.8
+  });
+  fs.writeFileSync(
+    path.join(memoryDir, "state-learning-events.jsonl"),
+    [learningEvent("le-old", daysAgo(40)), learningEvent("le-recent", daysAgo(10)), learningEvent("le-now", daysAgo(0))]
+      .map((line) => `${line}\n`).join(""),
+    "utf8"
+  );
+
+  const changeLines = ["# State Changes Log", ""];
+  for (let i = 0; i < 25; i += 1) {
+    changeLines.push(`- ${daysAgo(40)} | archived-change-${i} | decision=auto_commit`);
+  }
+  changeLines.push(`- ${daysAgo(0)} | live-change | decision=auto_commit`);
+  fs.writeFileSync(path.join(memoryDir, "state-changes.md"), `${changeLines.join("\n")}\n`, "utf8");
+
+  fs.writeFileSync(
+    path.join(memoryDir, "state-dlq.jsonl"),
+    [
+      JSON.stringify({ dlq_id: "dlq-a", schema_name: "observation", status: "pending_retry", first_seen_ts: daysAgo(3), retry_count: 0 }),
+      JSON.stringify({ dlq_id: "dlq-a", schema_name: "observation", status: "resolved", resolved_at: daysAgo(2), retry_count: 1 }),
+      JSON.stringify({ dlq_id: "dlq-b", schema_name: "observation", status: "pending_retry", first_seen_ts: daysAgo(1), retry_count: 0 }),
+      JSON.stringify({ dlq_id: "dlq-b", schema_name: "observation", retry_count: 1, last_retry_ts: daysAgo(0) }),
+      "{not json"
+    ].map((line) => `${line}\n`).join(""),
+    "utf8"
+  );
+
+  const dlqBefore = getDlqSummary(rootDir);
+  assert.deepEqual([dlqBefore.total, dlqBefore.resolved, dlqBefore.pending_retry], [2, 1, 1]);
+
+  const result = compactLogs(rootDir, { force: true });
+  assert.equal(result.status, "ok");
+  assert.equal(result.streams.learning_events.archived, 2);
+  assert.equal(result.streams.changes.archived, 25);
+  assert.equal(result.streams.dlq.lines_after, 1);
+  assert.equal(result.streams.dlq.archived, 1);
+  assert.equal(result.streams.dlq.dropped_malformed, 1);
+  assert.ok(fs.readdirSync(path.join(memoryDir, "archive")).some((file) => file.startsWith("state-learning-events.")));
+
+  const liveLearning = fs.readFileSync(path.join(memoryDir, "state-learning-events.jsonl"), "utf8").trim().split("\n");
+  assert.equal(liveLearning.length, 1);
+  const learning = loadLearningEvents(rootDir, { lookback_days: 14 });
+  assert.deepEqual(learning.events.map((event) => event.learning_event_id), ["le-recent", "le-now"]);
+
+  const dlqLines = fs.readFileSync(path.join(memoryDir, "state-dlq.jsonl"), "utf8").trim().split("\n");
+  assert.equal(dlqLines.length, 1);
+  assert.equal(JSON.parse(dlqLines[0]).retry_count, 1);
+  const dlqAfter = getDlqSummary(rootDir);
+  assert.deepEqual([dlqAfter.total, dlqAfter.resolved, dlqAfter.pending_retry], [2, 1, 1]);
+  assert.equal(dlqAfter.last_resolved_at, dlqBefore.last_resolved_at);
+
+  renderHeartbeatProjection(rootDir, { entity_id: "user:primary" });
+  const heartbeat = fs.readFileSync(path.join(rootDir, "HEARTBEAT.md"), "utf8");
+  assert.ok(heartbeat.includes("live-change"));
+  assert.ok(heartbeat.includes("archived-change-24"));
+
+  const again = compactLogs(rootDir, {});
+  assert.equal(again.streams.changes.rotated, false);
+  assert.equal(again.streams.learning_events.rotated, false);
+  assert.equal(again.streams.dlq.rotated, false);
+});
+
+test("compact keeps lines appended without the state lock while a stream rotates", (t) => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const dlqPath = path.join(rootDir, "memory", "state-dlq.jsonl");
+  const dlqLine = (id) => JSON.stringify({ dlq_id: id, schema_name: "observation", status: "pending_retry", first_seen_ts: new Date().toISOString(), retry_count: 0 });
+  fs.writeFileSync(dlqPath, `${dlqLine("dlq-before")}\n`, "utf8");
+
+  // A writer appends right after the live file is moved aside, and again before the rotated file is installed.
+  const { renameSync, linkSync } = fs;
+  let raced = 0;
+  t.mock.method(fs, "renameSync", (from, to) => {
+    renameSync(from, to);
+    if (from === dlqPath && raced === 0) {
+      raced += 1;
+      fs.appendFileSync(dlqPath, `${dlqLine("dlq-during-read")}\n`, "utf8");
+    }
+  });
+  t.mock.method(fs, "linkSync", (from, to) => {
+    if (to === dlqPath && raced === 1) {
+      raced += 1;
+      fs.appendFileSync(dlqPath, `${dlqLine("dlq-during-install")}\n`, "utf8");
+    }
+    linkSync(from, to);
+  });
+
+  compactLogs(rootDir, { force: true });
+  t.mock.restoreAll();
+  const ids = fs.readFileSync(dlqPath, "utf8").trim().split("\n").map((line) => JSON.parse(line).dlq_id);
+  assert.deepEqual(ids, ["dlq-before", "dlq-during-read", "dlq-during-install"]);
+  assert.deepEqual(fs.readdirSync(path.dirname(dlqPath)).filter((file) => /\.(rotating|next)-/.test(file)), []);
+});
+
 test("adaptive learning shadow mode computes recommendations without mutating thresholds", () => {
   const rootDir = mkWorkspace();
   ensureStateFiles(rootDir);
@@ -386,10 +933,14 @@ test("adaptive learning shadow mode computes recommendations without mutating th
   assert.equal(learned.mode, "shadow");
   assert.equal(learned.domains.general.status, "ok");
   assert.equal(learned.domains_recommended >= 1, true);
+  assert.equal(learned.sources.conversation_assertive.status, "ok");
+  assert.equal(learned.sources.conversation_assertive.confirm_count, 9);
+  assert.equal(learned.sources_recommended, 1);
 
   const after = loadState(rootDir);
   assert.equal(after.domains.general.ask_threshold, beforeAsk);
   assert.equal(after.domains.general.auto_threshold, beforeAuto);
+  assert.equal(after.source_reliability.conversation_assertive, 0.9);
   assert.equal(after.runtime.adaptive_learning.mode, "shadow");
   assert.equal(after.runtime.adaptive_learning_enabled, false);
 });
@@ -452,6 +1003,19 @@ test("adaptive learning apply mode updates thresholds within bounds", () => {
   assert.ok(after.domains.general.auto_threshold <= 0.99);
   assert.ok(after.domains.general.ask_threshold >= 0.55);
   assert.ok(after.domains.general.ask_threshold <= 0.8);
+
+  // 8 confirms / 10 rejects against a 0.9 prior: posterior 17/28, approached in one bounded step
+  const source = learned.sources.conversation_assertive;
+  assert.equal(source.posterior_reliability, 0.607);
+  assert.equal(source.next_reliability, 0.87);
+  assert.equal(learned.sources_updated, 1);
+  assert.equal(after.source_reliability.conversation_assertive, 0.87);
+  assert.equal(after.learned_source_reliability.conversation_assertive.sample_count, 18);
+  assert.ok(fs.readFileSync(path.join(rootDir, "memory", "state-changes.md"), "utf8")
+    .includes("adaptive_reliability_update | source=conversation_assertive | reliability=0.9->0.87"));
+
+  rebuildStateFromJournal(rootDir);
+  assert.equal(loadState(rootDir).source_reliability.conversation_assertive, 0.87);
 });
 
 test("structured intent extraction uses command output when schema-valid", () => {
@@ -540,6 +1104,64 @@ test("migration ingests HEARTBEAT/MEMORY into canonical state", () => {
   assert.ok(summary.committed > 0);
 });
 
+test("snapshots diff and restore canonical state through the journal", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const base = {
+    event_ts: new Date().toISOString(),
+    domain: "travel",
+    entity_id: "user:primary",
+    intent: "assertive",
+    corroborators: []
+  };
+  ingestObservation(rootDir, {
+    ...base,
+    event_id: makeUuid(481),
+    field: "travel.location",
+    candidate_value: "San Jose",
+    source: { type: "conversation_assertive", ref: "thread:snapshot:1" }
+  }, { forceCommit: true });
+  const created = createSnapshot(rootDir, "before-trip");
+  assert.equal(created.committed_fields, 1);
+  assert.throws(() => createSnapshot(rootDir, "before-trip"), /already exists/);
+  assert.throws(() => createSnapshot(rootDir, "../escape"), /Invalid snapshot name/);
+  assert.throws(() => createSnapshot(rootDir, "current"), /reserved for the live state/);
+
+  const migrated = migrateToCanonical(rootDir, { entity_id: "user:primary", force_commit: true });
+  assert.ok(migrated.checkpoint.startsWith("pre-migrate-"));
+  ingestObservation(rootDir, {
+    ...base,
+    event_id: makeUuid(482),
+    field: "travel.location",
+    candidate_value: "Tahoe",
+    source: { type: "conversation_assertive", ref: "thread:snapshot:2" }
+  }, { forceCommit: true });
+
+  const diff = diffSnapshots(rootDir, "before-trip", "current");
+  assert.deepEqual(diff.fields.changed, [
+    { entity_id: "user:primary", domain: "travel", field: "location", from: "San Jose", to: "Tahoe" }
+  ]);
+  assert.ok(diff.fields.added.length > 0);
+
+  const restored = restoreSnapshot(rootDir, "before-trip");
+  assert.equal(restored.status, "ok");
+  assert.ok(restored.backup_snapshot.startsWith("pre-restore-"));
+  const state = loadState(rootDir);
+  assert.equal(state.entities["user:primary"].state.travel.location.value, "San Jose");
+  assert.equal(Object.keys(state.entities["user:primary"].state).length, 1);
+  assert.deepEqual(diffSnapshots(rootDir, "before-trip", "current").fields.added, []);
+
+  const names = listSnapshots(rootDir).items.map((item) => item.name);
+  assert.equal(names[0], "before-trip");
+  assert.equal(names.length, 3);
+
+  const replayed = rebuildStateFromJournal(rootDir, { dry_run: true });
+  assert.equal(replayed.records_by_type.snapshot_restored, 1);
+  assert.equal(replayed.committed_fields, 1);
+  const log = fs.readFileSync(path.join(rootDir, "memory", "state-changes.md"), "utf8");
+  assert.ok(log.includes("snapshot_restore | name=before-trip"));
+});
+
 test("projection writes machine-managed sections", () => {
   const rootDir = mkWorkspace();
   ensureStateFiles(rootDir);
@@ -652,6 +1274,831 @@ test("retry-dlq replays due observation entries and marks them resolved", () =>
   assert.equal(status.dlq.resolved, 1);
 });
 
+test("field history records each committed version with its decision path", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const base = {
+    event_ts: new Date().toISOString(),
+    domain: "travel",
+    entity_id: "user:primary",
+    field: "travel.location",
+    intent: "assertive",
+    corroborators: []
+  };
+
+  ingestObservation(rootDir, {
+    ...base,
+    event_id: makeUuid(451),
+    candidate_value: "San Jose",
+    source: { type: "conversation_assertive", ref: "thread:history:1" }
+  }, { forceCommit: true });
+  const pending = ingestObservation(rootDir, {
+    ...base,
+    event_id: makeUuid(452),
+    candidate_value: "Tahoe",
+    source: { type: "static_markdown", ref: "MEMORY.md:5" },
+    corroborators: [{ type: "calendar", ref: "event:5" }, { type: "email", ref: "thread:5" }]
+  });
+  assert.equal(pending.status, "pending_confirmation");
+  applyUserConfirmation(rootDir, {
+    prompt_id: pending.prompt.prompt_id,
+    entity_id: "user:primary",
+    domain: "travel",
+    proposed_change: pending.prompt.proposed_change,
+    confidence: pending.prompt.confidence,
+    reason_summary: pending.prompt.reason_summary,
+    action: "edit",
+    edited_value: "Tahoe, Northstar",
+    ts: new Date().toISOString()
+  });
+  ingestObservation(rootDir, {
+    ...base,
+    event_id: makeUuid(453),
+    candidate_value: null,
+    intent: "retract",
+    source: { type: "conversation_assertive", ref: "thread:history:2" }
+  }, { forceCommit: true });
+
+  const history = getFieldHistory(rootDir, { entity_id: "user:primary", field: "travel.location" });
+  assert.equal(history.current, null);
+  assert.deepEqual(history.versions.map((item) => item.decision), ["force_commit", "user_edit", "force_commit"]);
+  assert.deepEqual(history.versions.map((item) => item.value), ["San Jose", "Tahoe, Northstar", null]);
+  assert.equal(history.versions[1].prompt_id, pending.prompt.prompt_id);
+  assert.equal(history.versions[1].source, "user_confirmation");
+  assert.equal(history.versions[2].retracted, true);
+  assert.ok(history.versions.every((item) => typeof item.committed_at === "string"));
+
+  const latest = getFieldHistory(rootDir, { entity_id: "user:primary", field: "travel.location", limit: 1 });
+  assert.equal(latest.total_versions, 3);
+  assert.equal(latest.versions.length, 1);
+  assert.equal(latest.versions[0].event_id, makeUuid(453));
+});
+
+test("expire sweep moves ended calendar events and TTL-expired fields into history", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+  const signal = calendarEventsToSignal("user:primary", [
+    { id: "ended1", summary: "Standup", start: { dateTime: hoursFromNow(-3) }, end: { dateTime: hoursFromNow(-2) } },
+    { id: "upcoming1", summary: "Flight", start: { dateTime: hoursFromNow(20) }, end: { dateTime: hoursFromNow(24) } }
+  ], "gcal:test");
+  const ingested = ingestSignalEvent(rootDir, signal, { forceCommit: true });
+  assert.equal(ingested.committed, 2);
+  ingestObservation(rootDir, {
+    event_id: makeUuid(470),
+    event_ts: hoursFromNow(-5),
+    domain: "general",
+    entity_id: "user:primary",
+    field: "general.scratch_note",
+    candidate_value: "call back",
+    intent: "assertive",
+    source: { type: "conversation_assertive", ref: "thread:ttl" }
+  }, { forceCommit: true });
+
+  const rules = [{ match: "general.scratch_*", ttl_hours: 4 }];
+  const preview = expireFields(rootDir, { rules, dry_run: true });
+  assert.deepEqual(preview.expired.map((item) => `${item.field}:${item.reason}`).sort(), [
+    "calendar_event_ended1:value_end",
+    "scratch_note:ttl"
+  ]);
+  const scratchBefore = loadState(rootDir).entities["user:primary"].state.general.scratch_note;
+  assert.ok(scratchBefore);
+
+  const swept = expireFields(rootDir, { rules });
+  assert.equal(swept.expired.length, 2);
+  const state = loadState(rootDir);
+  const calendarDomain = signal.items[0].domain;
+  assert.equal(state.entities["user:primary"].state[calendarDomain].calendar_event_ended1, undefined);
+  assert.ok(state.entities["user:primary"].state[signal.items[1].domain].calendar_event_upcoming1);
+  assert.equal(state.entities["user:primary"].state.general.scratch_note, undefined);
+
+  const history = getFieldHistory(rootDir, { entity_id: "user:primary", field: `${calendarDomain}.calendar_event_ended1` });
+  assert.deepEqual(history.versions.map((item) => item.decision), ["force_commit", "expired"]);
+  assert.equal(history.versions[0].value.summary, "Standup");
+  assert.equal(history.versions[1].expired, true);
+  assert.equal(history.versions[1].value.summary, "Standup");
+  const scratch = getFieldHistory(rootDir, { entity_id: "user:primary", field: "general.scratch_note", limit: 1 }).versions[0];
+  assert.deepEqual(
+    [scratch.value, scratch.source, scratch.confidence, scratch.expired, scratch.expired_reason],
+    ["call back", "conversation_assertive", scratchBefore.confidence, true, "ttl"]
+  );
+
+  const rebuilt = rebuildStateFromJournal(rootDir, { dry_run: true });
+  assert.equal(rebuilt.records_by_type.field_expired, 2);
+  assert.equal(rebuilt.committed_fields, 1);
+  assert.equal(expireFields(rootDir, { rules }).expired.length, 0);
+});
+
+test("planned facts with a validity window are scheduled, activated at valid_from and expire at valid_to", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+  const observe = (i, value, intent, window = {}, options = {}) => ingestObservation(rootDir, {
+    event_id: makeUuid(620 + i),
+    event_ts: new Date().toISOString(),
+    ...window,
+    domain: "travel",
+    entity_id: "user:primary",
+    field: "travel.location",
+    candidate_value: value,
+    intent,
+    source: { type: "conversation_planning", ref: `test:scheduled:${i}` }
+  }, options);
+
+  observe(0, "Home", "assertive", {}, { forceCommit: true });
+  assert.equal(observe(1, "Tahoe", "planning").status, "tentative");
+
+  const window = { valid_from: hoursFromNow(48), valid_to: hoursFromNow(120) };
+  const planned = observe(2, "Tahoe", "planning", window);
+  assert.equal(planned.status, "pending_confirmation");
+  assert.equal(planned.conflict, undefined);
+  assert.equal(planned.confidence_breakdown.intent, 0.95);
+
+  const invalid = observe(3, "Tahoe", "planning", { valid_from: window.valid_to, valid_to: window.valid_from });
+  assert.equal(invalid.status, "validation_failed");
+  assert.equal(invalid.errors[0].keyword, "invalid_validity_window");
+
+  const confirmed = applyUserConfirmation(rootDir, {
+    prompt_id: planned.prompt.prompt_id,
+    entity_id: "user:primary",
+    domain: "travel",
+    proposed_change: planned.prompt.proposed_change,
+    confidence: planned.prompt.confidence,
+    reason_summary: planned.prompt.reason_summary,
+    action: "confirm",
+    ts: new Date().toISOString()
+  });
+  assert.equal(confirmed.status, "committed");
+  let state = loadState(rootDir);
+  assert.equal(state.entities["user:primary"].state.travel.location.value, "Home");
+  assert.equal(state.scheduled_facts["user:primary"].travel.location.value, "Tahoe");
+  const view = getEntityState(rootDir, "user:primary");
+  assert.deepEqual(view.fields.map((item) => item.value), ["Home"]);
+  assert.equal(view.scheduled[0].valid_from, window.valid_from);
+
+  renderHeartbeatProjection(rootDir, {});
+  const heartbeat = fs.readFileSync(path.join(rootDir, "HEARTBEAT.md"), "utf8");
+  assert.ok(heartbeat.includes("[user:primary] travel.location = Home"));
+  assert.ok(heartbeat.includes(`### Scheduled State\n- [user:primary] travel.location = Tahoe from ${window.valid_from} until ${window.valid_to}`));
+
+  assert.deepEqual(activateScheduledFacts(rootDir, { now: hoursFromNow(24) }).activated, []);
+  const preview = activateScheduledFacts(rootDir, { now: hoursFromNow(72), dry_run: true });
+  assert.deepEqual(preview.activated.map((item) => item.value), ["Tahoe"]);
+  assert.ok(loadState(rootDir).scheduled_facts["user:primary"]);
+
+  assert.equal(activateScheduledFacts(rootDir, { now: hoursFromNow(72) }).activated.length, 1);
+  state = loadState(rootDir);
+  assert.deepEqual(state.scheduled_facts, {});
+  assert.equal(state.entities["user:primary"].state.travel.location.value, "Tahoe");
+  assert.equal(state.entities["user:primary"].state.travel.location.valid_to, window.valid_to);
+  const history = getFieldHistory(rootDir, { entity_id: "user:primary", field: "travel.location" });
+  assert.deepEqual(history.versions.map((item) => item.decision), ["force_commit", "scheduled_activation"]);
+  assert.equal(rebuildStateFromJournal(rootDir, { dry_run: true }).records_by_type.scheduled_fact_activated, 1);
+
+  const expired = expireFields(rootDir, { now: hoursFromNow(121) });
+  assert.deepEqual(expired.expired.map((item) => `${item.field}:${item.reason}`), ["location:valid_to"]);
+  assert.equal(loadState(rootDir).entities["user:primary"].state.travel.location, undefined);
+});
+
+test("temporal expressions resolve in the entity timezone and open validity windows", () => {
+  // Wednesday 2026-02-18, noon in Los Angeles.
+  const now = "2026-02-18T20:00:00Z";
+  const parse = (text) => parseTemporalExpressions(text, { now, timezone: "America/Los_Angeles" }).expressions;
+  assert.deepEqual(parse("Dentist tomorrow at 3pm").map((item) => [item.text, item.start, item.granularity]), [
+    ["tomorrow at 3pm", "2026-02-19T23:00:00.000Z", "minute"]
+  ]);
+  assert.deepEqual(parse("We leave for Tahoe next Sunday")[0], {
+    text: "next Sunday",
+    date: "2026-02-22",
+    start: "2026-02-22T08:00:00.000Z",
+    end: "2026-02-23T08:00:00.000Z",
+    granularity: "day",
+    role: "at"
+  });
+  assert.equal(parse("Back on Feb 24")[0].date, "2026-02-24");
+  assert.equal(parse("Renewal is Jan 5")[0].date, "2027-01-05");
+  assert.equal(parse("Check in two weeks")[0].date, "2026-03-04");
+  assert.equal(parse("Call at 3:30 p.m. on March 8")[0].start, "2026-03-08T22:30:00.000Z");
+  assert.deepEqual(parse("Cabin from Feb 24 to Feb 28").map((item) => `${item.date}:${item.role}`), ["2026-02-24:at", "2026-02-28:until"]);
+  assert.deepEqual(parse("I may go sometime"), []);
+  assert.deepEqual(parse("I may 5 people to the party"), []);
+  assert.deepEqual(parse("the 5 may come later"), []);
+  assert.equal(parse("Recital is May 5")[0].date, "2026-05-05");
+  assert.equal(parse("recital on may 5")[0].date, "2026-05-05");
+  assert.equal(parse("recital is may 5th")[0].date, "2026-05-05");
+
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  assert.throws(() => registerEntity(rootDir, "user:primary", { timezone: "Mars/Olympus" }), /Invalid timezone/);
+  registerEntity(rootDir, "family:primary", { timezone: "Asia/Kolkata" });
+  registerEntity(rootDir, "user:primary", { member_of: ["family:primary"] });
+  fs.writeFileSync(path.join(rootDir, "state-fields.json"), `${JSON.stringify({
+    fields: { "travel.departure_date": { format: "date" } }
+  })}\n`, "utf8");
+  const extract = (text, field, extra = {}) => extractObservationFromText({
+    root_dir: rootDir,
+    domain: "travel",
+    text,
+    field,
+    entity_id: "user:primary",
+    source_type: "conversation_planning",
+    source_ref: "test:temporal",
+    ...extra
+  });
+
+  const planned = extract("We leave for Tahoe in two weeks until Feb 28, 2099", "travel.location");
+  assert.equal(planned.meta.temporal.timezone, "Asia/Kolkata");
+  assert.match(planned.valid_from, /T18:30:00\.000Z$/);
+  assert.equal(planned.valid_to, "2099-02-28T18:30:00.000Z");
+  assert.equal(planned.candidate_value, "We leave for Tahoe in two weeks until Feb 28, 2099");
+  assert.equal(planned.intent, "planning");
+  assert.equal(ingestObservation(rootDir, planned).status, "pending_confirmation");
+
+  const departure = extract("Departing Feb 24", "travel.departure_date", { now });
+  assert.equal(departure.candidate_value, "2026-02-24");
+  assert.equal(departure.meta.original_text, "Departing Feb 24");
+  assert.equal(departure.valid_from, "2026-02-23T18:30:00.000Z");
+});
+
+test("text extraction maps sentences to typed field observations", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  fs.writeFileSync(path.join(rootDir, "state-fields.json"), `${JSON.stringify({
+    fields: {
+      "family.school_status": { format: "enum", values: ["open", "closed", "delayed"] },
+      "health.resting_hr": {
+        type: "integer",
+        extract: [{ pattern: "resting heart rate (?:is|was) (?<value>\\d+)", intent: "assertive" }]
+      }
+    }
+  })}\n`, "utf8");
+  fs.writeFileSync(path.join(rootDir, "state-domains.json"), `${JSON.stringify({ domains: { health: {} } })}\n`, "utf8");
+  const extract = (text, extra = {}) => extractObservationsFromText({
+    root_dir: rootDir,
+    domain: "general",
+    text,
+    entity_id: "user:primary",
+    source_type: "conversation_assertive",
+    source_ref: "test:extract",
+    timezone: "America/Los_Angeles",
+    now: "2099-02-18T20:00:00Z",
+    ...extra
+  });
+
+  const observations = extract("We're in Lake Tahoe now. School is CLOSED tomorrow. My resting heart rate is 58.");
+  assert.deepEqual(observations.map((obs) => [obs.field, obs.candidate_value, obs.intent]), [
+    ["travel.location", "Lake Tahoe", "assertive"],
+    ["family.school_status", "closed", "planning"],
+    ["health.resting_hr", 58, "assertive"]
+  ]);
+  assert.equal(observations[1].valid_from, "2099-02-19T08:00:00.000Z");
+  assert.equal(observations[1].meta.extraction.text, "School is CLOSED tomorrow.");
+  assert.equal(observations[0].meta.extraction.method, "pattern_library");
+  assert.equal(observations[2].meta.extraction.rule, "health.resting_hr#0");
+  assert.equal(new Set(observations.map((obs) => obs.meta.extraction.message_event_id)).size, 1);
+  assert.equal(new Set(observations.map((obs) => obs.event_id)).size, 3);
+
+  assert.equal(extract("If we are in Reno by noon, call me")[0].intent, "hypothetical");
+  assert.deepEqual(extract("Just thinking out loud").map((obs) => obs.field), ["general.note"]);
+  assert.deepEqual(extract("We're in Reno", { field: "travel.notes" }).map((obs) => obs.field), ["travel.notes"]);
+
+  const results = ingestObservationBatch(rootDir, observations, { forceCommit: true }).results;
+  assert.deepEqual(results.map((result) => result.status), ["committed", "committed", "committed"]);
+  const state = loadState(rootDir);
+  assert.equal(state.entities["user:primary"].state.travel.location.value, "Lake Tahoe");
+  assert.equal(state.entities["user:primary"].state.family?.school_status, undefined);
+  assert.equal(state.scheduled_facts["user:primary"].family.school_status.value, "closed");
+  assert.equal(state.scheduled_facts["user:primary"].family.school_status.valid_from, "2099-02-19T08:00:00.000Z");
+
+  const cli = (...extra) => JSON.parse(spawnSync(process.execPath, [
+    path.resolve(__dirname, "..", "scripts", "state-consistency.js"),
+    "extract", "--root", rootDir, "--entity-id", "user:primary", "--domain", "travel",
+    "--source-type", "conversation_assertive", "--source-ref", "test:extract-cli", ...extra
+  ], { encoding: "utf8" }).stdout);
+  const single = cli("--text", "We're in Reno", "--field", "travel.notes", "--ingest");
+  assert.equal(single.observation.field, "travel.notes");
+  assert.equal(single.result.status, single.status);
+  const several = cli("--text", "We're in Reno. School is closed today.");
+  assert.deepEqual(several.observations.map((obs) => obs.field), ["travel.location", "family.school_status"]);
+
+  const command = (output) => extractFieldCandidates(rootDir, {
+    text: "We're in Reno",
+    field_extractor_cmd: `printf '%s' '${JSON.stringify(output)}'`
+  });
+  const byCommand = command({ observations: [{ field: "travel.location", value: "Reno, NV", intent: "assertive" }, { field: "pets.name", value: "Rex" }] });
+  assert.equal(byCommand.method, "command");
+  assert.equal(extractFieldCandidates(rootDir, { text: "We're in Reno", intent_extractor_mode: "command", env: {} }).method, "pattern_library");
+  assert.deepEqual(byCommand.candidates.map((item) => [item.field, item.value]), [["travel.location", "Reno, NV"]]);
+  const fallback = command({ intent: "assertive" });
+  assert.equal(fallback.method, "pattern_library");
+  assert.equal(fallback.fallback_reason, "command_output_invalid");
+  assert.deepEqual(fallback.candidates.map((item) => [item.field, item.value]), [["travel.location", "Reno"]]);
+});
+
+test("cross-source disagreements follow the domain conflict strategy", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const observe = (i, domain, field, value, sourceType, eventTs, options = {}) => ingestObservation(rootDir, {
+    event_id: makeUuid(480 + i),
+    event_ts: eventTs || new Date().toISOString(),
+    domain,
+    entity_id: "user:primary",
+    field,
+    candidate_value: value,
+    intent: "assertive",
+    source: { type: sourceType, ref: `test:conflict:${i}` }
+  }, options);
+
+  // general: always ask, and the disagreement is tracked until resolved.
+  observe(0, "general", "general.home_city", "Reno", "conversation_assertive", null, { forceCommit: true });
+  const asked = observe(1, "general", "general.home_city", "Sparks", "email_poll");
+  assert.equal(asked.status, "pending_confirmation");
+  assert.equal(asked.prompt.conflict_id, asked.conflict.conflict_id);
+
+  const listed = listConflicts(rootDir);
+  assert.equal(listed.count, 1);
+  assert.deepEqual(listed.conflicts[0].values.map((item) => `${item.role}:${item.value}:${item.source}`), [
+    "current:Reno:conversation_assertive",
+    "incoming:Sparks:email_poll"
+  ]);
+  renderHeartbeatProjection(rootDir, { entity_id: "user:primary" });
+  assert.ok(fs.readFileSync(path.join(rootDir, "HEARTBEAT.md"), "utf8").includes(`[${asked.conflict.conflict_id}]`));
+
+  const resolved = resolveConflict(rootDir, asked.conflict.conflict_id.slice(0, 8), { keep: "current" });
+  assert.equal(resolved.status, "resolved");
+  let state = loadState(rootDir);
+  assert.equal(state.active_conflicts.length, 0);
+  assert.equal(Object.keys(state.pending_confirmations).length, 0);
+  assert.equal(state.entities["user:primary"].state.general.home_city.value, "Reno");
+
+  // financial: the more reliable source keeps its value.
+  observe(2, "financial", "financial.card_due", "2026-03-01", "email_poll", null, { forceCommit: true });
+  const weaker = observe(3, "financial", "financial.card_due", "2026-03-05", "conversation_planning");
+  assert.equal(weaker.status, "tentative");
+  assert.ok(weaker.reasons[0].includes("winner=current"));
+
+  // travel: the fresher observation wins without tripping the margin rule.
+  observe(4, "travel", "travel.hotel", "Hyatt", "email_poll", hoursAgo(2), { forceCommit: true });
+  const fresher = observe(5, "travel", "travel.hotel", "Marriott", "conversation_assertive");
+  assert.equal(fresher.status, "committed");
+  assert.ok(fresher.reasons[0].includes("winner=incoming"));
+
+  state = loadState(rootDir);
+  assert.equal(state.entities["user:primary"].state.travel.hotel.value, "Marriott");
+  assert.equal(state.active_conflicts.length, 0);
+
+  // Strategy-decided conflicts are still journaled with both values and the winner, already resolved.
+  assert.equal(weaker.conflict.winner, "current");
+  assert.equal(fresher.conflict.winner, "incoming");
+  const journaled = fs.readFileSync(path.join(rootDir, "memory", "state-journal.jsonl"), "utf8")
+    .trim().split("\n").map((line) => JSON.parse(line))
+    .filter((record) => record.conflict?.resolution === "strategy");
+  assert.deepEqual(journaled.map((record) => [record.type, record.conflict.strategy, record.conflict.winner]), [
+    ["observation_tentative", "most_reliable", "current"],
+    ["observation_committed", "freshest", "incoming"]
+  ]);
+  assert.deepEqual(journaled[0].conflict.values.map((item) => `${item.role}:${item.value}:${item.source}`), [
+    "current:2026-03-01:email_poll",
+    "incoming:2026-03-05:conversation_planning"
+  ]);
+  assert.equal(typeof journaled[0].conflict.values[1].confidence, "number");
+  assert.ok(journaled[1].conflict.resolved_at);
+  assert.ok(fs.readFileSync(path.join(rootDir, "memory", "state-changes.md"), "utf8").includes(`conflict_id=${fresher.conflict.conflict_id} | winner=incoming`));
+
+  // A strategy winner below auto_threshold still asks, so the conflict stays open until answered.
+  observe(6, "travel", "travel.flight", "UA 100", "conversation_assertive", hoursAgo(1), { forceCommit: true });
+  const belowAuto = observe(7, "travel", "travel.flight", "UA 200", "calendar_poll");
+  assert.equal(belowAuto.status, "pending_confirmation");
+  assert.equal(belowAuto.conflict.resolved_at, undefined);
+  assert.equal(belowAuto.prompt.conflict_id, belowAuto.conflict.conflict_id);
+  assert.deepEqual(listConflicts(rootDir).conflicts.map((item) => item.conflict_id), [belowAuto.conflict.conflict_id]);
+});
+
+test("equivalent values from other sources corroborate observations and settle pending prompts", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const observe = (i, field, value, sourceType, intent, eventTs) => ingestObservation(rootDir, {
+    event_id: makeUuid(500 + i),
+    event_ts: eventTs || new Date().toISOString(),
+    domain: "travel",
+    entity_id: "user:primary",
+    field,
+    candidate_value: value,
+    intent,
+    source: { type: sourceType, ref: `test:corroborate:${i}` },
+    corroborators: []
+  });
+
+  // A calendar entry just under the auto threshold is asked about...
+  const calendar = observe(0, "travel.destination", "Tahoe", "calendar_webhook", "assertive", hoursAgo(10));
+  assert.equal(calendar.status, "pending_confirmation");
+  // ...until a weak conversational mention of the same place pushes it over.
+  const chat = observe(1, "travel.destination", " tahoe", "conversation_planning", "planning");
+  assert.equal(chat.status, "tentative");
+
+  let state = loadState(rootDir);
+  assert.equal(Object.keys(state.pending_confirmations).length, 0);
+  assert.equal(state.entities["user:primary"].state.travel.destination.value, "Tahoe");
+  const history = getFieldHistory(rootDir, { entity_id: "user:primary", field: "travel.destination" });
+  assert.deepEqual(history.versions.map((item) => item.decision), ["corroborated"]);
+  assert.equal(history.versions[0].prompt_id, calendar.prompt.prompt_id);
+
+  // A pending prompt is also closed once another source commits the same value.
+  const planning = observe(2, "travel.hotel", "Hyatt", "conversation_planning", "assertive");
+  assert.equal(planning.status, "pending_confirmation");
+  const webhook = observe(3, "travel.hotel", "Hyatt", "calendar_webhook", "assertive");
+  assert.equal(webhook.status, "committed");
+
+  state = loadState(rootDir);
+  assert.equal(Object.keys(state.pending_confirmations).length, 0);
+  assert.equal(getFieldHistory(rootDir, { entity_id: "user:primary", field: "travel.hotel" }).total_versions, 1);
+  const journal = fs.readFileSync(path.join(rootDir, "memory", "state-journal.jsonl"), "utf8")
+    .trim().split("\n").map((line) => JSON.parse(line));
+  const committedHotel = journal.find((record) => record.type === "observation_committed" && record.observation.field === "travel.hotel");
+  assert.deepEqual(committedHotel.observation.corroborators, [{ type: "conversation_planning", ref: "test:corroborate:2" }]);
+  assert.equal(journal.filter((record) => record.type === "prompt_corroborated").length, 2);
+});
+
+test("retractions leave tombstones that older, weaker observations cannot overturn", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const observe = (i, value, sourceType, intent, eventTs, options = {}) => ingestObservation(rootDir, {
+    event_id: makeUuid(520 + i),
+    event_ts: eventTs,
+    domain: "travel",
+    entity_id: "user:primary",
+    field: "travel.location",
+    candidate_value: value,
+    intent,
+    source: { type: sourceType, ref: `test:tombstone:${i}` }
+  }, options);
+
+  observe(0, "Tahoe", "conversation_assertive", "assertive", hoursAgo(2), { forceCommit: true });
+  assert.equal(observe(1, null, "conversation_assertive", "retract", hoursAgo(1), { forceCommit: true }).status, "committed");
+
+  let history = getFieldHistory(rootDir, { entity_id: "user:primary", field: "travel.location" });
+  assert.equal(history.current, null);
+  assert.equal(history.tombstone.event_id, makeUuid(521));
+  assert.equal(history.tombstone.source, "conversation_assertive");
+  assert.equal(history.tombstone.previous_value, "Tahoe");
+  assert.equal(typeof history.tombstone.retracted_at, "string");
+
+  const stale = observe(2, "Tahoe", "email_poll", "assertive", hoursAgo(3));
+  assert.equal(stale.status, "tentative");
+  assert.ok(stale.reasons[0].startsWith("retracted at"));
+  assert.equal(loadState(rootDir).entities["user:primary"].state.travel.location, undefined);
+
+  renderHeartbeatProjection(rootDir, { entity_id: "user:primary", include_retractions: true });
+  const heartbeat = fs.readFileSync(path.join(rootDir, "HEARTBEAT.md"), "utf8");
+  assert.ok(heartbeat.includes("### Recent Retractions"));
+  assert.ok(heartbeat.includes(`travel.location (was Tahoe) retracted`));
+
+  assert.equal(observe(3, "Truckee", "conversation_assertive", "assertive", new Date().toISOString()).status, "committed");
+  history = getFieldHistory(rootDir, { entity_id: "user:primary", field: "travel.location" });
+  assert.equal(history.current.value, "Truckee");
+  assert.equal(history.tombstone, null);
+});
+
+test("entity registry merges family state into a member's view with provenance", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const observe = (i, entityId, domain, field, value) => ingestObservation(rootDir, {
+    event_id: makeUuid(540 + i),
+    event_ts: new Date().toISOString(),
+    domain,
+    entity_id: entityId,
+    field,
+    candidate_value: value,
+    intent: "assertive",
+    source: { type: "conversation_assertive", ref: `test:registry:${i}` }
+  }, { forceCommit: true });
+
+  registerEntity(rootDir, "family:bhatalkar", { display_name: "Bhatalkar family" });
+  registerEntity(rootDir, "user:aj", { display_name: "AJ", aliases: ["AJ", "ajeenkya"], member_of: ["family:bhatalkar"] });
+  assert.throws(() => registerEntity(rootDir, "family:bhatalkar", { member_of: ["user:aj"] }), /cycle/);
+  assert.throws(() => registerEntity(rootDir, "user:other", { aliases: ["aj"] }), /already belongs to user:aj/);
+
+  observe(0, "family:bhatalkar", "family", "family.school_pickup", "3:15pm");
+  observe(1, "family:bhatalkar", "travel", "travel.location", "Home");
+  observe(2, "user:aj", "travel", "travel.location", "Tahoe");
+
+  const own = getEntityState(rootDir, "ajeenkya");
+  assert.equal(own.entity_id, "user:aj");
+  assert.deepEqual(own.fields.map((item) => item.field), ["travel.location"]);
+
+  const merged = getEntityState(rootDir, "AJ", { merged: true });
+  assert.deepEqual(merged.fields.map((item) => `${item.field}=${item.value}@${item.inherited_from || "own"}`), [
+    "family.school_pickup=3:15pm@family:bhatalkar",
+    "travel.location=Tahoe@own"
+  ]);
+
+  const listed = listEntities(rootDir).entities.find((item) => item.entity_id === "family:bhatalkar");
+  assert.deepEqual(listed.members, ["user:aj"]);
+
+  renderHeartbeatProjection(rootDir, { entity_id: "user:aj", merged: true });
+  const heartbeat = fs.readFileSync(path.join(rootDir, "HEARTBEAT.md"), "utf8");
+  assert.ok(heartbeat.includes("Merged view for user:aj with family:bhatalkar"));
+  assert.ok(heartbeat.includes("family.school_pickup = 3:15pm (confidence="));
+  assert.ok(heartbeat.includes("inherited from family:bhatalkar"));
+
+  rebuildStateFromJournal(rootDir);
+  assert.deepEqual(loadState(rootDir).entity_registry["user:aj"].member_of, ["family:bhatalkar"]);
+});
+
+test("state as-of replays the journal up to a timestamp including pending prompts", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const base = {
+    event_ts: new Date().toISOString(),
+    domain: "travel",
+    entity_id: "user:primary",
+    field: "travel.location",
+    intent: "assertive",
+    corroborators: []
+  };
+  const beforeAll = new Date().toISOString();
+  waitMs(5);
+
+  ingestObservation(rootDir, {
+    ...base,
+    event_id: makeUuid(471),
+    candidate_value: "San Jose",
+    source: { type: "conversation_assertive", ref: "thread:asof:1" }
+  }, { forceCommit: true });
+  waitMs(5);
+  const afterCommit = new Date().toISOString();
+  waitMs(5);
+
+  const pending = ingestObservation(rootDir, {
+    ...base,
+    event_id: makeUuid(472),
+    candidate_value: "Tahoe",
+    source: { type: "static_markdown", ref: "MEMORY.md:7" },
+    corroborators: [{ type: "calendar", ref: "event:7" }, { type: "email", ref: "thread:7" }]
+  });
+  waitMs(5);
+  const whilePending = new Date().toISOString();
+  waitMs(5);
+
+  applyUserConfirmation(rootDir, {
+    prompt_id: pending.prompt.prompt_id,
+    entity_id: "user:primary",
+    domain: "travel",
+    proposed_change: pending.prompt.proposed_change,
+    confidence: pending.prompt.confidence,
+    reason_summary: pending.prompt.reason_summary,
+    action: "confirm",
+    ts: new Date().toISOString()
+  });
+
+  const empty = getStateAsOf(rootDir, beforeAll);
+  assert.equal(empty.before_journal_start, true);
+  assert.deepEqual(empty.entities, {});
+
+  const first = getStateAsOf(rootDir, afterCommit);
+  assert.equal(first.entities["user:primary"].travel.location.value, "San Jose");
+  assert.deepEqual(first.pending_confirmations, []);
+
+  const asked = getStateAsOf(rootDir, whilePending, { entity_id: "user:primary" });
+  assert.equal(asked.entities["user:primary"].travel.location.value, "San Jose");
+  assert.deepEqual(asked.pending_confirmations.map((item) => item.prompt_id), [pending.prompt.prompt_id]);
+
+  const now = getStateAsOf(rootDir, new Date().toISOString());
+  assert.equal(now.entities["user:primary"].travel.location.value, "Tahoe");
+  assert.deepEqual(now.pending_confirmations, []);
+  assert.throws(() => getStateAsOf(rootDir, "not-a-date"), /Invalid timestamp/);
+});
+
+test("journal replay rebuilds a corrupted tracker deterministically", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const base = {
+    event_ts: new Date().toISOString(),
+    domain: "travel",
+    entity_id: "user:primary",
+    intent: "assertive",
+    corroborators: []
+  };
+
+  ingestObservation(rootDir, {
+    ...base,
+    event_id: makeUuid(501),
+    field: "travel.location",
+    candidate_value: "Tahoe",
+    source: { type: "conversation_assertive", ref: "thread:journal:1" }
+  });
+  const pending = ingestObservation(rootDir, {
+    ...base,
+    event_id: makeUuid(502),
+    field: "travel.lodging",
+    candidate_value: "Northstar condo",
+    source: { type: "static_markdown", ref: "MEMORY.md:3" },
+    corroborators: [{ type: "calendar", ref: "event:1" }, { type: "email", ref: "thread:1" }]
+  });
+  applyUserConfirmation(rootDir, {
+    prompt_id: pending.prompt.prompt_id,
+    entity_id: "user:primary",
+    domain: "travel",
+    proposed_change: pending.prompt.proposed_change,
+    confidence: pending.prompt.confidence,
+    reason_summary: pending.prompt.reason_summary,
+    action: "edit",
+    edited_value: "Northstar lodge",
+    ts: new Date().toISOString()
+  });
+  ingestObservation(rootDir, {
+    ...base,
+    event_id: makeUuid(503),
+    field: "travel.maybe",
+    candidate_value: "Possible detour",
+    intent: "historical",
+    source: { type: "static_markdown", ref: "HEARTBEAT.md:4" }
+  });
+  promoteReviewQueue(rootDir, { entity_id: "user:primary", min_confidence: 0.4 });
+  ingestObservation(rootDir, {
+    ...base,
+    event_id: makeUuid(504),
+    field: "travel.location",
+    candidate_value: null,
+    intent: "retract",
+    source: { type: "conversation_assertive", ref: "thread:journal:2" }
+  }, { forceCommit: true });
+  const equivalent = {
+    ...base,
+    event_id: makeUuid(505),
+    field: "travel.lodging",
+    candidate_value: "northstar lodge",
+    source: { type: "calendar_webhook", ref: "event:journal:5" }
+  };
+  assert.equal(ingestObservation(rootDir, equivalent).status, "reconfirmed");
+
+  const before = loadState(rootDir);
+  const statePath = path.join(rootDir, "memory", "state-tracker.json");
+  fs.writeFileSync(statePath, "{\"entities\": {", "utf8");
+  fs.writeFileSync(path.join(rootDir, "memory", "state-dedup.jsonl"), "", "utf8");
+
+  const rebuilt = rebuildStateFromJournal(rootDir);
+  assert.equal(rebuilt.status, "ok");
+  assert.equal(rebuilt.records_by_type.observation_retracted, 1);
+  assert.ok(fs.existsSync(rebuilt.backup_path));
+
+  const after = loadState(rootDir);
+  assert.deepEqual(after.entities, before.entities);
+  assert.deepEqual(after.pending_confirmations, before.pending_confirmations);
+  assert.deepEqual(after.tentative_observations, before.tentative_observations);
+  assert.deepEqual(after.learning_stats, before.learning_stats);
+  assert.equal(after.entities["user:primary"].state.travel.lodging.value, "Northstar lodge");
+  assert.equal(after.entities["user:primary"].state.travel.location, undefined);
+  assert.equal(rebuilt.records_by_type.observation_reconfirmed, 1);
+  assert.equal(ingestObservation(rootDir, equivalent).status, "duplicate");
+});
+
+test("journal starts from a baseline record when adopting an existing tracker", () => {
+  const rootDir = mkWorkspace();
+  const seeded = {
+    version: 1,
+    entities: {
+      "user:primary": {
+        state: {
+          profile: {
+            timezone: { value: "America/Los_Angeles", confidence: 0.95, source: "manual_markdown", event_id: "seed" }
+          }
+        }
+      }
+    }
+  };
+  fs.writeFileSync(path.join(rootDir, "memory", "state-tracker.json"), JSON.stringify(seeded), "utf8");
+  ensureStateFiles(rootDir);
+
+  const rebuilt = rebuildStateFromJournal(rootDir, { dry_run: true });
+  assert.equal(rebuilt.records_by_type.baseline, 1);
+  assert.equal(rebuilt.committed_fields, 1);
+  assert.equal(getStatus(rootDir).journal.records, 1);
+});
+
+test("sqlite storage bootstraps from the file layout and stores fields as rows", {
+  skip: hasNodeSqlite() ? false : "node:sqlite requires Node.js 22.5+"
+}, () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const base = {
+    event_ts: new Date().toISOString(),
+    domain: "travel",
+    entity_id: "user:primary",
+    intent: "assertive",
+    corroborators: []
+  };
+  ingestObservation(rootDir, {
+    ...base,
+    event_id: makeUuid(601),
+    field: "travel.location",
+    candidate_value: "Tahoe",
+    source: { type: "conversation_assertive", ref: "thread:sqlite:1" }
+  }, { forceCommit: true });
+  const trackerPath = path.join(rootDir, "memory", "state-tracker.json");
+  const trackerBefore = fs.readFileSync(trackerPath, "utf8");
+
+  const previous = process.env.STATE_STORAGE;
+  process.env.STATE_STORAGE = "sqlite";
+  try {
+    assert.equal(loadState(rootDir).entities["user:primary"].state.travel.location.value, "Tahoe");
+
+    const lodging = {
+      ...base,
+      event_id: makeUuid(602),
+      field: "travel.lodging",
+      candidate_value: "Northstar condo",
+      source: { type: "conversation_assertive", ref: "thread:sqlite:2" }
+    };
+    assert.equal(ingestObservation(rootDir, lodging, { forceCommit: true }).status, "committed");
+    assert.equal(ingestObservation(rootDir, lodging, { forceCommit: true }).status, "duplicate");
+    const pending = ingestObservation(rootDir, {
+      ...base,
+      event_id: makeUuid(603),
+      field: "travel.return_day",
+      candidate_value: "Sunday",
+      source: { type: "static_markdown", ref: "MEMORY.md:9" },
+      corroborators: [{ type: "calendar", ref: "event:9" }, { type: "email", ref: "thread:9" }]
+    });
+    assert.equal(pending.status, "pending_confirmation");
+
+    const status = getStatus(rootDir);
+    assert.equal(status.storage.backend, "sqlite");
+    assert.equal(status.committed_fields, 2);
+    assert.equal(status.pending_confirmations, 1);
+    assert.equal(status.journal.records, 3);
+    assert.equal(fs.readFileSync(trackerPath, "utf8"), trackerBefore);
+
+    const { DatabaseSync } = require("node:sqlite");
+    const db = new DatabaseSync(path.join(rootDir, "memory", "state.sqlite"));
+    try {
+      const fields = db.prepare("SELECT field FROM state_fields WHERE domain = ? ORDER BY field").all("travel");
+      assert.deepEqual(fields.map((row) => row.field), ["location", "lodging"]);
+      const prompts = db.prepare("SELECT prompt_id FROM pending_confirmations WHERE entity_id = ?").all("user:primary");
+      assert.deepEqual(prompts.map((row) => row.prompt_id), [pending.prompt.prompt_id]);
+    } finally {
+      db.close();
+    }
+
+    const rebuilt = rebuildStateFromJournal(rootDir, { dry_run: true });
+    assert.equal(rebuilt.committed_fields, 2);
+    assert.equal(rebuilt.pending_confirmations, 1);
+    assert.equal(getDoctorReport(rootDir).checks.storage.status, "ok");
+  } finally {
+    if (previous === undefined) {
+      delete process.env.STATE_STORAGE;
+    } else {
+      process.env.STATE_STORAGE = previous;
+    }
+  }
+});
+
+test("loadState upgrades v1 trackers with a backup and refuses newer versions", () => {
+  const rootDir = mkWorkspace();
+  const trackerPath = path.join(rootDir, "memory", "state-tracker.json");
+  const legacy = {
+    version: 1,
+    entities: {
+      "user:primary": {
+        state: {
+          travel: { location: { value: "Tahoe", confidence: 0.9, source: "conversation_assertive", event_id: "legacy" } }
+        }
+      }
+    },
+    learning_stats: { auto_commits: "3" }
+  };
+  fs.writeFileSync(trackerPath, JSON.stringify(legacy), "utf8");
+
+  const state = loadState(rootDir);
+  assert.equal(state.version, 7);
+  assert.equal(state.learning_stats.auto_commits, 3);
+  assert.equal(state.learning_stats.user_edits, 0);
+  assert.equal(state.runtime.last_poll_at, null);
+  assert.deepEqual(state.field_history, {});
+  assert.deepEqual(state.tombstones, {});
+  assert.deepEqual(state.entity_registry, {});
+  assert.deepEqual(state.learned_source_reliability, {});
+  assert.deepEqual(state.scheduled_facts, {});
+  assert.equal(JSON.parse(fs.readFileSync(trackerPath, "utf8")).version, 7);
+  const backups = fs.readdirSync(path.join(rootDir, "memory")).filter((file) => file.startsWith("state-tracker.json.pre-v7-"));
+  assert.equal(backups.length, 1);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(rootDir, "memory", backups[0]), "utf8")), legacy);
+
+  loadState(rootDir);
+  assert.equal(
+    fs.readdirSync(path.join(rootDir, "memory")).filter((file) => file.startsWith("state-tracker.json.pre-v7-")).length,
+    1
+  );
+
+  fs.writeFileSync(trackerPath, JSON.stringify({ ...legacy, version: 99 }), "utf8");
+  assert.throws(() => loadState(rootDir), (error) => error.code === "unsupported_state_version");
+  assert.equal(getDoctorReport(rootDir, { env: {} }).checks.state_version.status, "error");
+});
+
 test("doctor flags missing runtime config with actionable fixes", () => {
   const rootDir = mkWorkspace();
   const report = getDoctorReport(rootDir, {
@@ -671,6 +2118,127 @@ test("doctor flags missing runtime config with actionable fixes", () => {
   assert.ok(report.fixes.some((fix) => fix.includes("state:init")));
 });
 
+test("domains from state-domains.json validate, classify and sync into schemas", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  fs.writeFileSync(
+    path.join(rootDir, "state-domains.json"),
+    `${JSON.stringify({
+      domains: {
+        health: {
+          ask_threshold: 0.7,
+          auto_threshold: 0.93,
+          margin_threshold: 0.2,
+          conflict_strategy: "most_reliable",
+          examples: [{ input: "My blood pressure was 120/80 this morning.", intent: "assertive" }]
+        },
+        travel: { auto_threshold: 0.88 },
+        "Bad Name": { ask_threshold: 0.5 }
+      }
+    }, null, 2)}\n`,
+    "utf8"
+  );
+
+  const before = getDoctorReport(rootDir, { env: {} }).checks.domains;
+  assert.equal(before.status, "warn");
+  assert.ok(before.errors.some((error) => error.startsWith("Bad Name:")));
+
+  const ingested = ingestObservation(rootDir, {
+    event_id: makeUuid(560),
+    event_ts: new Date().toISOString(),
+    domain: "health",
+    entity_id: "user:primary",
+    field: "health.blood_pressure",
+    candidate_value: "120/80",
+    intent: "assertive",
+    source: { type: "conversation_assertive", ref: "test:domains:1" }
+  }, { forceCommit: true });
+  assert.equal(ingested.status, "committed");
+  assert.equal(loadState(rootDir).domains.health.conflict_strategy, "most_reliable");
+
+  const observation = extractObservationFromText({
+    root_dir: rootDir,
+    domain: "health",
+    text: "My resting heart rate is 58.",
+    entity_id: "user:primary",
+    source_type: "conversation_assertive",
+    source_ref: "test:domains:2"
+  });
+  assert.equal(observation.domain, "health");
+  assert.ok(observation.meta.few_shot_prompt.includes("My blood pressure was 120/80 this morning."));
+
+  const listed = listDomains(rootDir).domains;
+  assert.equal(listed.find((item) => item.domain === "health").origin, "config");
+  const travel = listed.find((item) => item.domain === "travel");
+  assert.equal(travel.origin, "builtin+config");
+  assert.equal(travel.in_sync, false);
+
+  fs.writeFileSync(path.join(rootDir, "state-domains.json"), `${JSON.stringify({
+    domains: {
+      health: { ask_threshold: 0.7, auto_threshold: 0.93, conflict_strategy: "most_reliable" },
+      travel: { auto_threshold: 0.88 }
+    }
+  })}\n`, "utf8");
+  const synced = syncDomainConfig(rootDir);
+  assert.deepEqual(synced.domains_updated, ["travel"]);
+  assert.equal(synced.schemas_updated.length, 4);
+  assert.equal(loadState(rootDir).domains.travel.auto_threshold, 0.88);
+  const observationSchema = JSON.parse(fs.readFileSync(path.join(rootDir, "schemas", "state_observation.schema.json"), "utf8"));
+  assert.ok(observationSchema.properties.domain.enum.includes("health"));
+  assert.equal(getDoctorReport(rootDir, { env: {} }).checks.domains.status, "ok");
+  assert.deepEqual(syncDomainConfig(rootDir).domains_updated, []);
+});
+
+test("recency decay follows the domain and source models from state-domains.json", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const observe = (i, sourceType, eventTs) => ingestObservation(rootDir, {
+    event_id: makeUuid(600 + i),
+    event_ts: eventTs,
+    domain: "travel",
+    entity_id: "user:primary",
+    field: `travel.decay_${i}`,
+    candidate_value: "Tahoe",
+    intent: "assertive",
+    source: { type: sourceType, ref: `test:decay:${i}` }
+  });
+
+  const linear = observe(0, "conversation_assertive", hoursAgo(84));
+  assert.equal(linear.confidence_breakdown.decay.model, "linear");
+  assert.equal(linear.confidence_breakdown.recency, 0.7);
+
+  fs.writeFileSync(path.join(rootDir, "state-domains.json"), `${JSON.stringify({
+    domains: {
+      travel: {
+        decay: {
+          model: "exponential",
+          half_life_hours: 24,
+          floor: 0.2,
+          by_source: { calendar_webhook: { model: "step", steps: [{ max_hours: 12, factor: 1 }, { max_hours: 48, factor: 0.9 }], floor: 0.6 } }
+        }
+      },
+      family: { decay: { model: "step", steps: [] } }
+    }
+  })}\n`, "utf8");
+  const doctor = getDoctorReport(rootDir, { env: {} }).checks.domains;
+  assert.ok(doctor.errors.some((error) => error.startsWith("family.decay.steps:")));
+  assert.deepEqual(syncDomainConfig(rootDir).domains_updated, ["travel"]);
+  assert.equal(loadState(rootDir).domains.travel.decay.half_life_hours, 24);
+
+  const exponential = observe(1, "conversation_assertive", hoursAgo(24));
+  assert.equal(exponential.confidence_breakdown.decay.model, "exponential");
+  assert.equal(exponential.confidence_breakdown.decay.scope, "domain");
+  assert.ok(Math.abs(exponential.confidence_breakdown.recency - 0.5) < 0.001);
+  assert.ok(Math.abs(exponential.confidence_breakdown.decay.age_hours - 24) < 0.01);
+
+  const stepped = observe(2, "calendar_webhook", hoursAgo(30));
+  assert.equal(stepped.confidence_breakdown.decay.model, "step");
+  assert.equal(stepped.confidence_breakdown.decay.scope, "source");
+  assert.equal(stepped.confidence_breakdown.recency, 0.9);
+  assert.equal(observe(3, "calendar_webhook", hoursAgo(72)).confidence_breakdown.recency, 0.6);
+});
+
 test("doctor resolves healthy runtime from cron config and PATH binaries", () => {
   const rootDir = mkWorkspace();
   ensureStateFiles(rootDir);
@@ -11,6 +11,7 @@ const { ensureStateFiles, ingestObservation, loadState } = require("../scripts/s
 
 const {
   buildInboundObservation,
+  buildInboundObservations,
   buildCanonicalPrependContext,
   buildPromptButtons,
   parseNaturalConfirmationAction,
@@ -158,6 +159,59 @@ test("buildInboundObservation creates deterministic event ids and source refs",
   assert.equal(typeof a.meta.fallback_used, "boolean");
 });
 
+test("buildInboundObservations splits a message into field observations", () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const stateApi = require("../scripts/state-consistency");
+  const params = {
+    ctx: { channelId: "telegram", conversationId: "7986763678" },
+    stateApi,
+    rootDir,
+    entityId: "user:primary",
+    sourceType: "conversation_assertive"
+  };
+
+  const split = buildInboundObservations({
+    ...params,
+    event: { from: "7986763678", content: "We're in Tahoe. School is closed today.", timestamp: 1_708_800_000, metadata: { messageId: "tg-2" } }
+  });
+  assert.deepEqual(split.map((obs) => [obs.field, obs.candidate_value]), [
+    ["travel.location", "Tahoe"],
+    ["family.school_status", "closed"]
+  ]);
+  assert.equal(new Set(split.map((obs) => obs.event_id)).size, 2);
+  assert.equal(split[1].meta.extraction.text, "School is closed today.");
+  assert.ok(split[1].meta.extraction.message_event_id);
+
+  const whole = buildInboundObservations({
+    ...params,
+    event: { from: "7986763678", content: "Trip planning feels chaotic this week.", timestamp: 1_708_800_000, metadata: { messageId: "tg-3" } }
+  });
+  assert.equal(whole.length, 1);
+  assert.equal(whole[0].field, "travel.current_assertion");
+});
+
+test("message_received hook ingests every field observation of a message in one batch", async () => {
+  const rootDir = mkWorkspace();
+  ensureStateFiles(rootDir);
+  const { api, hooks } = makeFakeApi(rootDir);
+  plugin(api);
+
+  await hooks.message_received(
+    {
+      from: "7986763678",
+      content: "We're in Tahoe. School is closed today.",
+      timestamp: Math.floor(Date.now() / 1000),
+      metadata: { messageId: "tg-batch-1" }
+    },
+    { channelId: "telegram", conversationId: "7986763678" }
+  );
+
+  const state = loadState(rootDir);
+  const pendingFields = Object.values(state.pending_confirmations).map((prompt) => prompt.observation_event.field).sort();
+  assert.deepEqual(pendingFields, ["family.school_status", "travel.location"]);
+});
+
 test("buildPromptButtons uses /state-confirm callback command", () => {
   const id = "e6fe33d0-e259-4d3a-a426-44ea49f46505";
   const buttons = buildPromptButtons(id);
@@ -203,6 +257,49 @@ test("buildCanonicalPrependContext renders deterministic canonical snapshot", ()
   assert.ok(out.includes("Active pending check: e6fe33d0"));
 });
 
+test("buildCanonicalPrependContext can merge family state into the member's view", () => {
+  const state = {
+    entity_registry: {
+      "user:aj": { display_name: "AJ", aliases: [], member_of: ["family:bhatalkar"] }
+    },
+    entities: {
+      "user:aj": {
+        state: { travel: { location: { value: "Tahoe", confidence: 0.9, source: "conversation_assertive" } } }
+      },
+      "family:bhatalkar": {
+        state: {
+          travel: { location: { value: "Home", confidence: 0.9, source: "calendar_poll" } },
+          family: { school_pickup: { value: "3:15pm", confidence: 0.95, source: "calendar_poll" } }
+        }
+      }
+    },
+    pending_confirmations: {}
+  };
+
+  const out = buildCanonicalPrependContext(state, { mergedEntityId: "user:aj" });
+  assert.ok(out.includes("[user:aj] travel.location = Tahoe"));
+  assert.ok(out.includes("[user:aj] family.school_pickup = 3:15pm (confidence=0.95, source=calendar_poll, inherited from family:bhatalkar)"));
+  assert.ok(!out.includes("= Home"));
+});
+
+test("buildCanonicalPrependContext lists scheduled facts apart from current state", () => {
+  const state = {
+    entities: {
+      "user:primary": { state: { travel: { location: { value: "Home", confidence: 0.9, source: "conversation_assertive" } } } }
+    },
+    scheduled_facts: {
+      "user:primary": {
+        travel: { location: { value: "Tahoe", valid_from: "2026-03-01T09:00:00Z", valid_to: "2026-03-04T18:00:00Z" } }
+      }
+    },
+    pending_confirmations: {}
+  };
+
+  const out = buildCanonicalPrependContext(state, {});
+  assert.ok(out.includes("[user:primary] travel.location = Home"));
+  assert.ok(out.includes("Scheduled (not yet current): 1\n- [user:primary] travel.location = Tahoe from 2026-03-01T09:00:00Z until 2026-03-04T18:00:00Z"));
+});
+
 test("plugin /state-confirm command commits pending confirmation", async () => {
   const rootDir = mkWorkspace();
   ensureStateFiles(rootDir);
@@ -269,7 +366,7 @@ test("message_received hook ingests assertions and natural yes commits active pe
   assert.equal(pendingIds.length, 1);
   const prompt = state.pending_confirmations[pendingIds[0]];
   assert.equal(prompt.domain, "travel");
-  assert.equal(prompt.observation_event.field, "travel.current_assertion");
+  assert.equal(prompt.observation_event.field, "travel.location");
 
   await hooks.message_received(
     {
@@ -286,8 +383,5 @@ test("message_received hook ingests assertions and natural yes commits active pe
 
   state = loadState(rootDir);
   assert.equal(Object.keys(state.pending_confirmations).length, 0);
-  assert.equal(
-    state.entities?.["user:primary"]?.state?.travel?.current_assertion?.value,
-    "We are in Tahoe now."
-  );
+  assert.equal(state.entities?.["user:primary"]?.state?.travel?.location?.value, "Tahoe");
 });